@@ -51,6 +51,55 @@ async function createIndexes() {
 
     // Medical logs indexes
     await db.collection('medicalLogs').createIndex({ animalId: 1 });
+    await db.collection('medicalLogs').createIndex({ animalId: 1, administeredAt: 1 });
+
+    // Formulary indexes (one current revision per code)
+    await db.collection('formulary').createIndex({ code: 1, supersededAt: 1 });
+    await db.collection('formulary').createIndex({ 'profiles.species': 1 });
+
+    // Treatment course indexes
+    await db.collection('treatment_courses').createIndex({ animalId: 1, status: 1 });
+
+    // Quarantine episode indexes
+    await db.collection('quarantines').createIndex({ animalId: 1, startedAt: -1 });
+
+    // Status history indexes (append-only audit trail)
+    await db.collection('status_history').createIndex({ animalId: 1, changedAt: -1 });
+
+    // Medicine stock indexes (expiry alerts per farm)
+    await db.collection('medicine_stock').createIndex({ farmerId: 1, expiryDate: 1 });
+
+    // Vet links and prescriptions
+    await db.collection('vet_links').createIndex({ farmerId: 1, vetId: 1 });
+    await db.collection('vet_links').createIndex({ vetId: 1 });
+    await db.collection('prescriptions').createIndex({ animalId: 1, issuedAt: -1 });
+
+    // Breeding records (reproduction history per animal, herd alerts per farm)
+    await db.collection('breeding_records').createIndex({ animalId: 1, occurredAt: -1 });
+    await db.collection('breeding_records').createIndex({ ownerId: 1 });
+
+    // Feed and weight records (FCR and weight analytics per animal and month)
+    await db.collection('feed_records').createIndex({ animalId: 1, feedDate: 1 });
+    await db.collection('weight_records').createIndex({ animalId: 1, recordedDate: 1 });
+
+    // Milk records (yields per milking, lactation curves)
+    await db.collection('milk_records').createIndex({ animalId: 1, recordedOn: 1 });
+
+    // Herd groups and their membership history
+    await db.collection('herd_groups').createIndex({ ownerId: 1 });
+    await db.collection('group_memberships').createIndex({ groupId: 1, leftAt: 1 });
+    await db.collection('group_memberships').createIndex({ animalId: 1, groupType: 1, leftAt: 1 });
+    await db.collection('group_feedings').createIndex({ groupId: 1, feedDate: -1 });
+
+    // Feed store items and purchases
+    await db.collection('feed_items').createIndex({ farmerId: 1 });
+    await db.collection('feed_purchases').createIndex({ feedItemId: 1, purchaseDate: 1 });
+    await db.collection('feed_purchases').createIndex({ farmerId: 1 });
+
+    // Saved rations and the groups fed them
+    await db.collection('rations').createIndex({ farmerId: 1 });
+    await db.collection('ration_schedules').createIndex({ stoppedAt: 1 });
+    await db.collection('ration_schedules').createIndex({ groupId: 1, stoppedAt: 1 });
 
     // Products indexes
     await db.collection('products').createIndex({ sellerId: 1 });
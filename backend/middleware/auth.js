@@ -7,16 +7,17 @@ const requireAuth = (req, res, next) => {
     next();
 };
 
-const requireRole = (role) => {
+// Allow one or more roles, e.g. requireRole('farmer', 'vet')
+const requireRole = (...roles) => {
     return (req, res, next) => {
         if (!req.session || !req.session.userId) {
             return res.redirect('/login');
         }
 
-        if (req.session.userRole !== role) {
+        if (!roles.includes(req.session.userRole)) {
             return res.status(403).render('error', {
                 user: req.session.userId ? { role: req.session.userRole } : null,
-                message: `Access denied. This page is for ${role}s only.`
+                message: `Access denied. This page is for ${roles.map(role => `${role}s`).join(' and ')} only.`
             });
         }
 
@@ -24,14 +25,17 @@ const requireRole = (role) => {
     };
 };
 
+// Landing page for each role
+const getHomePath = (role) => {
+    if (role === 'farmer') return '/dashboard';
+    if (role === 'vet') return '/vet';
+    return '/marketplace';
+};
+
 const redirectIfAuth = (req, res, next) => {
     if (req.session && req.session.userId) {
         // Redirect based on role
-        if (req.session.userRole === 'farmer') {
-            return res.redirect('/dashboard');
-        } else {
-            return res.redirect('/marketplace');
-        }
+        return res.redirect(getHomePath(req.session.userRole));
     }
     next();
 };
@@ -39,5 +43,6 @@ const redirectIfAuth = (req, res, next) => {
 module.exports = {
     requireAuth,
     requireRole,
-    redirectIfAuth
+    redirectIfAuth,
+    getHomePath
 };
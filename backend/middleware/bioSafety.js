@@ -1,12 +1,32 @@
 const Animal = require('../models/Animal');
+const StatusHistory = require('../models/StatusHistory');
+const { emitAnimalUnlocked } = require('../utils/animalEvents');
 const { ObjectId } = require('mongodb');
 
 // Pillar B & C: Bio-Safety Gatekeeper Middleware
 // This middleware enforces withdrawal periods before allowing marketplace listings
 
+// Which withdrawal lock applies to each product type. Eggs share the milk lock,
+// which carries the egg withdrawal for poultry. Unknown types must clear both locks.
+const PRODUCT_WITHDRAWAL_LOCKS = {
+    milk: 'milk',
+    ghee: 'milk',
+    cheese: 'milk',
+    butter: 'milk',
+    paneer: 'milk',
+    yogurt: 'milk',
+    eggs: 'milk',
+    meat: 'meat'
+};
+
+function getWithdrawalLockType(productType) {
+    if (!productType) return null;
+    return PRODUCT_WITHDRAWAL_LOCKS[productType.toLowerCase()] || null;
+}
+
 const checkBioSafety = async (req, res, next) => {
     try {
-        const { animalId } = req.body;
+        const { animalId, productType } = req.body;
 
         if (!animalId) {
             return res.status(400).json({
@@ -33,25 +53,34 @@ const checkBioSafety = async (req, res, next) => {
             });
         }
 
-        // CRITICAL CHECK: Is the animal under withdrawal lock?
+        // CRITICAL CHECK: Is the animal under a withdrawal lock for this product?
         if (animal.status === 'WITHDRAWAL_LOCK') {
-            // Double-check the date (in case the lock should have expired)
             const now = new Date();
+            const lockType = getWithdrawalLockType(productType);
+            const lockEndsAt = Animal.getWithdrawalEndsAt(animal, lockType, now);
 
-            if (now < animal.withdrawalEndsAt) {
-                // REJECT THE REQUEST - Animal is still locked
-                const daysRemaining = Math.ceil((animal.withdrawalEndsAt - now) / (1000 * 60 * 60 * 24));
+            if (lockEndsAt) {
+                // REJECT THE REQUEST - Animal is still locked for this product
+                const daysRemaining = Math.ceil((lockEndsAt - now) / (1000 * 60 * 60 * 24));
+                const lockLabel = lockType ? `${lockType} ` : '';
 
                 return res.status(403).json({
                     success: false,
-                    error: `CRITICAL: ${animal.tagId} is under medical withdrawal period.`,
-                    details: `This animal cannot be used for production for ${daysRemaining} more day(s).`,
-                    withdrawalEndsAt: animal.withdrawalEndsAt,
+                    error: `CRITICAL: ${animal.tagId} is under a ${lockLabel}withdrawal period.`,
+                    details: `This animal cannot be used for ${productType || 'production'} for ${daysRemaining} more day(s).`,
+                    withdrawalEndsAt: lockEndsAt,
+                    lockType,
                     blocked: true
                 });
-            } else {
-                // Auto-unlock if the withdrawal period has passed
-                await Animal.updateStatus(animalId, 'HEALTHY', null);
+            }
+
+            // Auto-unlock once every withdrawal period has passed
+            if (!Animal.getWithdrawalEndsAt(animal, null, now)) {
+                await Animal.updateStatus(animalId, 'HEALTHY', {}, {
+                    cause: { type: 'AUTO_UNLOCK' },
+                    actor: StatusHistory.systemActor()
+                });
+                emitAnimalUnlocked(animal, 'bio-safety-check');
                 console.log(`✅ Auto-unlocked animal ${animal.tagId} - withdrawal period expired`);
             }
         }
@@ -65,7 +94,7 @@ const checkBioSafety = async (req, res, next) => {
             });
         }
 
-        // SUCCESS: Animal is HEALTHY and verified safe
+        // SUCCESS: No active lock for this product - verified safe
         req.body.isVerifiedSafe = true;
         req.verifiedAnimal = animal; // Attach animal data for route handler
 
@@ -80,20 +109,7 @@ const checkBioSafety = async (req, res, next) => {
     }
 };
 
-// Optional: Middleware to auto-unlock expired animals on any request
-const autoUnlockExpired = async (req, res, next) => {
-    try {
-        const unlockedCount = await Animal.checkAndUnlockExpired();
-        if (unlockedCount > 0) {
-            console.log(`✅ Auto-unlocked ${unlockedCount} animal(s) with expired withdrawal periods`);
-        }
-    } catch (error) {
-        console.error('Auto-unlock error:', error);
-    }
-    next();
-};
-
 module.exports = {
-    checkBioSafety,
-    autoUnlockExpired
+    getWithdrawalLockType,
+    checkBioSafety
 };
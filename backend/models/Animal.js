@@ -1,5 +1,41 @@
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
+const StatusHistory = require('./StatusHistory');
+const MedicalLog = require('./MedicalLog');
+const WeightRecord = require('./WeightRecord');
+const Quarantine = require('./Quarantine');
+const TreatmentCourse = require('./TreatmentCourse');
+const { calculateHealthScore } = require('../utils/healthScore');
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+function latestDate(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return new Date(a) > new Date(b) ? a : b;
+}
+
+// Append a status history entry when the status or either lock changed
+async function recordStatusChange(previous, updated, change) {
+    const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+    if (previous.status === updated.status
+        && sameDate(previous.meatWithdrawalEndsAt, updated.meatWithdrawalEndsAt)
+        && sameDate(previous.milkWithdrawalEndsAt, updated.milkWithdrawalEndsAt)) {
+        return null;
+    }
+
+    return await StatusHistory.record(previous._id, {
+        from: { status: previous.status, meat: previous.meatWithdrawalEndsAt, milk: previous.milkWithdrawalEndsAt },
+        to: { status: updated.status, meat: updated.meatWithdrawalEndsAt, milk: updated.milkWithdrawalEndsAt },
+        cause: change.cause || { type: 'MANUAL' },
+        actor: change.actor
+    });
+}
 
 class Animal {
     static async create(animalData) {
@@ -9,16 +45,26 @@ class Animal {
             tagId: animalData.tagId,
             ownerId: new ObjectId(animalData.ownerId),
             species: animalData.species,
+            sex: ['female', 'male'].includes(animalData.sex) ? animalData.sex : null, // null when not recorded
             breed: animalData.breed || '',
             geneticLineage: animalData.geneticLineage || '',
             dateOfBirth: animalData.dateOfBirth ? new Date(animalData.dateOfBirth) : null,
+            // Parentage from birth registration - sireName covers sires outside the herd (AI bulls)
+            damId: animalData.damId ? new ObjectId(animalData.damId) : null,
+            sireId: animalData.sireId ? new ObjectId(animalData.sireId) : null,
+            sireName: animalData.sireName || '',
+            // { conceivedAt: Date|null, confirmedAt } while pregnant - drives treatment safety checks
+            pregnancy: null,
 
             // Pillar B: Bio-Safety State
             status: 'HEALTHY', // HEALTHY, WITHDRAWAL_LOCK, QUARANTINE
-            withdrawalEndsAt: null,
+            meatWithdrawalEndsAt: null,
+            milkWithdrawalEndsAt: null,
+            withdrawalEndsAt: null, // Latest of the meat/milk locks
 
             // Health Analytics
             healthScore: 100,
+            healthScoreBreakdown: null, // { components: [{ key, label, points, detail }], computedAt }
 
             createdAt: new Date(),
             updatedAt: new Date()
@@ -33,6 +79,13 @@ class Animal {
         return await db.collection('animals').findOne({ _id: new ObjectId(id) });
     }
 
+    static async findByIds(ids) {
+        const db = getDB();
+        return await db.collection('animals')
+            .find({ _id: { $in: ids.map(id => new ObjectId(id)) } })
+            .toArray();
+    }
+
     static async findByTagId(tagId) {
         const db = getDB();
         return await db.collection('animals').findOne({ tagId });
@@ -46,6 +99,15 @@ class Animal {
             .toArray();
     }
 
+    // Animals registered as born to this dam or sired by this animal
+    static async findOffspring(id) {
+        const db = getDB();
+        return await db.collection('animals')
+            .find({ $or: [{ damId: new ObjectId(id) }, { sireId: new ObjectId(id) }] })
+            .sort({ dateOfBirth: -1 })
+            .toArray();
+    }
+
     static async updateById(id, updateData) {
         const db = getDB();
         updateData.updatedAt = new Date();
@@ -58,12 +120,37 @@ class Animal {
         return result.modifiedCount > 0;
     }
 
-    static async updateStatus(id, status, withdrawalEndsAt = null) {
+    // pregnancy: { conceivedAt, confirmedAt } or null once the animal is no longer pregnant
+    static async setPregnancy(id, pregnancy) {
+        return await this.updateById(id, {
+            pregnancy: pregnancy ? {
+                conceivedAt: pregnancy.conceivedAt ? new Date(pregnancy.conceivedAt) : null,
+                confirmedAt: new Date(pregnancy.confirmedAt || Date.now())
+            } : null
+        });
+    }
+
+    // Age in whole days at a given time, or null when the date of birth isn't known
+    static getAgeInDays(animal, at = new Date()) {
+        if (!animal.dateOfBirth) return null;
+        return Math.floor((new Date(at) - new Date(animal.dateOfBirth)) / (1000 * 60 * 60 * 24));
+    }
+
+    // withdrawalLocks: { meat: Date|null, milk: Date|null }
+    // change: { cause, actor } - recorded in the status history (see StatusHistory.record)
+    static async updateStatus(id, status, withdrawalLocks = {}, change = {}) {
         const db = getDB();
+        const previous = await this.findById(id);
+        if (!previous) return false;
+
+        const meatWithdrawalEndsAt = withdrawalLocks.meat || null;
+        const milkWithdrawalEndsAt = withdrawalLocks.milk || null;
 
         const updateData = {
             status,
-            withdrawalEndsAt,
+            meatWithdrawalEndsAt,
+            milkWithdrawalEndsAt,
+            withdrawalEndsAt: latestDate(meatWithdrawalEndsAt, milkWithdrawalEndsAt),
             updatedAt: new Date()
         };
 
@@ -72,9 +159,107 @@ class Animal {
             { $set: updateData }
         );
 
+        await recordStatusChange(previous, updateData, change);
+
         return result.modifiedCount > 0;
     }
 
+    // Lock the animal for meat and/or milk. An existing lock that ends later is kept,
+    // so a short-withdrawal drug never cuts short the lock from an earlier one.
+    static async extendWithdrawal(id, withdrawalLocks, change = {}) {
+        const animal = await this.findById(id);
+        if (!animal) return false;
+
+        const now = new Date();
+        const meat = latestDate(this.getWithdrawalEndsAt(animal, 'meat', now), withdrawalLocks.meat);
+        const milk = latestDate(this.getWithdrawalEndsAt(animal, 'milk', now), withdrawalLocks.milk);
+
+        if (!meat && !milk) return false;
+
+        // A quarantined animal stays in quarantine - the locks apply once it is released
+        const status = animal.status === 'QUARANTINE' ? 'QUARANTINE' : 'WITHDRAWAL_LOCK';
+        return await this.updateStatus(id, status, { meat, milk }, change);
+    }
+
+    // Rebuild both locks from the unvoided medical history and running treatment courses.
+    // Unlike extendWithdrawal this can shorten a lock - used after a log is corrected or a course stopped.
+    static async recomputeWithdrawal(id, change = {}) {
+        const animal = await this.findById(id);
+        if (!animal) return false;
+
+        const [medicalLogs, activeCourses] = await Promise.all([
+            MedicalLog.findUnvoidedByAnimal(id),
+            TreatmentCourse.findActiveByAnimal(id)
+        ]);
+
+        let meat = null;
+        let milk = null;
+        const applyWithdrawal = (lastDoseAt, withdrawalPeriod) => {
+            if (withdrawalPeriod.meat > 0) meat = latestDate(meat, addDays(lastDoseAt, withdrawalPeriod.meat));
+            if (withdrawalPeriod.milk > 0) milk = latestDate(milk, addDays(lastDoseAt, withdrawalPeriod.milk));
+        };
+
+        medicalLogs.forEach(log => applyWithdrawal(
+            log.administeredAt,
+            // Logs from before the meat/milk split only carry withdrawalDays
+            log.withdrawalPeriod || { meat: log.withdrawalDays || 0, milk: log.withdrawalDays || 0 }
+        ));
+        activeCourses.forEach(course => applyWithdrawal(TreatmentCourse.getFinalScheduledAt(course), course.withdrawalPeriod));
+
+        const now = new Date();
+        if (meat && meat <= now) meat = null;
+        if (milk && milk <= now) milk = null;
+
+        let status = meat || milk ? 'WITHDRAWAL_LOCK' : 'HEALTHY';
+        if (animal.status === 'QUARANTINE') status = 'QUARANTINE';
+
+        return await this.updateStatus(id, status, { meat, milk }, change);
+    }
+
+    // Quarantine keeps any withdrawal locks in place
+    static async enterQuarantine(id, change = {}) {
+        const animal = await this.findById(id);
+        if (!animal) return false;
+
+        const now = new Date();
+        return await this.updateStatus(id, 'QUARANTINE', {
+            meat: this.getWithdrawalEndsAt(animal, 'meat', now),
+            milk: this.getWithdrawalEndsAt(animal, 'milk', now)
+        }, change);
+    }
+
+    // Back to WITHDRAWAL_LOCK if a lock is still running, otherwise HEALTHY
+    static async releaseFromQuarantine(id, change = {}) {
+        const animal = await this.findById(id);
+        if (!animal) return false;
+
+        const now = new Date();
+        const meat = this.getWithdrawalEndsAt(animal, 'meat', now);
+        const milk = this.getWithdrawalEndsAt(animal, 'milk', now);
+
+        if (meat || milk) {
+            return await this.updateStatus(id, 'WITHDRAWAL_LOCK', { meat, milk }, change);
+        }
+        return await this.updateStatus(id, 'HEALTHY', {}, change);
+    }
+
+    // Active lock end date for 'meat' or 'milk' (null when not locked).
+    // Without a lock type the latest of both is returned.
+    static getWithdrawalEndsAt(animal, lockType = null, now = new Date()) {
+        let endsAt;
+
+        if (lockType === 'meat' || lockType === 'milk') {
+            const field = `${lockType}WithdrawalEndsAt`;
+            // Animals locked before the meat/milk split only carry withdrawalEndsAt
+            endsAt = animal[field] !== undefined ? animal[field] : animal.withdrawalEndsAt;
+        } else {
+            endsAt = animal.withdrawalEndsAt;
+        }
+
+        if (!endsAt || new Date(endsAt) <= now) return null;
+        return new Date(endsAt);
+    }
+
     static async updateHealthScore(id, healthScore) {
         const db = getDB();
 
@@ -89,6 +274,44 @@ class Animal {
         return result.modifiedCount > 0;
     }
 
+    // Recompute the health score from the animal's history and store the breakdown behind it
+    static async recomputeHealthScore(id, now = new Date()) {
+        const db = getDB();
+
+        const [medicalLogs, weightRecords, quarantines] = await Promise.all([
+            MedicalLog.findUnvoidedByAnimal(id),
+            WeightRecord.getWeightHistory(id),
+            Quarantine.findByAnimal(id)
+        ]);
+
+        const { score, components } = calculateHealthScore({ medicalLogs, weightRecords, quarantines }, now);
+
+        await db.collection('animals').updateOne(
+            { _id: new ObjectId(id) },
+            {
+                $set: {
+                    healthScore: score,
+                    healthScoreBreakdown: { components, computedAt: now },
+                    updatedAt: new Date()
+                }
+            }
+        );
+
+        return { score, components };
+    }
+
+    // Scores move with time (treatments age, recovery accrues), so they are refreshed daily
+    static async recomputeAllHealthScores() {
+        const db = getDB();
+        const animalIds = await db.collection('animals').distinct('_id');
+
+        for (const animalId of animalIds) {
+            await this.recomputeHealthScore(animalId);
+        }
+
+        return animalIds.length;
+    }
+
     static async deleteById(id) {
         const db = getDB();
 
@@ -100,31 +323,59 @@ class Animal {
         await db.collection('medicalLogs').deleteMany({ animalId: new ObjectId(id) });
         console.log(`\uD83D\uDDD1\uFE0F Cascade deleted medical logs for animal ${id}`);
 
+        // CASCADE DELETE: Delete all treatment courses and quarantine episodes
+        await db.collection('treatment_courses').deleteMany({ animalId: new ObjectId(id) });
+        await db.collection('quarantines').deleteMany({ animalId: new ObjectId(id) });
+        await db.collection('breeding_records').deleteMany({ animalId: new ObjectId(id) });
+        await db.collection('milk_records').deleteMany({ animalId: new ObjectId(id) });
+
+        // Group memberships are ended rather than deleted so group histories stay complete
+        await db.collection('group_memberships').updateMany(
+            { animalId: new ObjectId(id), leftAt: null },
+            { $set: { leftAt: new Date() } }
+        );
+
         // Delete the animal itself
         const result = await db.collection('animals').deleteOne({ _id: new ObjectId(id) });
         return result.deletedCount > 0;
     }
 
-    // Check and auto-unlock animals whose withdrawal period has expired
+    // Release every withdrawal lock that has run out. Returns the animals unlocked.
     static async checkAndUnlockExpired() {
         const db = getDB();
         const now = new Date();
 
-        const result = await db.collection('animals').updateMany(
-            {
+        const expired = await db.collection('animals')
+            .find({
                 status: 'WITHDRAWAL_LOCK',
                 withdrawalEndsAt: { $lte: now }
-            },
-            {
-                $set: {
-                    status: 'HEALTHY',
-                    withdrawalEndsAt: null,
-                    updatedAt: now
-                }
-            }
-        );
+            })
+            .toArray();
+
+        const unlocked = {
+            status: 'HEALTHY',
+            meatWithdrawalEndsAt: null,
+            milkWithdrawalEndsAt: null,
+            withdrawalEndsAt: null,
+            updatedAt: now
+        };
+
+        // One animal at a time, still expired at the moment of the write - a lock
+        // extended by a treatment since the find is left alone
+        const released = [];
+        for (const animal of expired) {
+            const previous = await db.collection('animals').findOneAndUpdate(
+                { _id: animal._id, status: 'WITHDRAWAL_LOCK', withdrawalEndsAt: { $lte: now } },
+                { $set: unlocked },
+                { returnDocument: 'before' }
+            );
+            if (!previous) continue;
+
+            await recordStatusChange(previous, unlocked, { cause: { type: 'AUTO_UNLOCK' }, actor: StatusHistory.systemActor() });
+            released.push(previous);
+        }
 
-        return result.modifiedCount;
+        return released;
     }
 }
 
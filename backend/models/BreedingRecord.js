@@ -0,0 +1,117 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const Formulary = require('./Formulary');
+
+class BreedingRecord {
+    // Reproduction figures per species (days). A pregnancy diagnosis is reliable
+    // from diagnosisAfterDays after service; an animal is "open past target" when
+    // it hasn't conceived targetOpenDays after calving (or after reaching
+    // firstServiceAgeDays for maiden animals).
+    static getSpeciesProfile(species) {
+        const profiles = {
+            cattle: { gestationDays: 283, heatCycleDays: 21, diagnosisAfterDays: 45, firstServiceAgeDays: 450, targetOpenDays: 120, birthTerm: 'calving' },
+            buffalo: { gestationDays: 310, heatCycleDays: 21, diagnosisAfterDays: 45, firstServiceAgeDays: 730, targetOpenDays: 150, birthTerm: 'calving' },
+            goat: { gestationDays: 150, heatCycleDays: 21, diagnosisAfterDays: 30, firstServiceAgeDays: 240, targetOpenDays: 90, birthTerm: 'kidding' },
+            sheep: { gestationDays: 147, heatCycleDays: 17, diagnosisAfterDays: 30, firstServiceAgeDays: 240, targetOpenDays: 90, birthTerm: 'lambing' }
+        };
+        return profiles[Formulary.normalizeSpecies(species)] || null;
+    }
+
+    static getTypes() {
+        return {
+            HEAT: 'Heat observed',
+            SERVICE: 'Service',
+            PREGNANCY_DIAGNOSIS: 'Pregnancy diagnosis',
+            CALVING: 'Calving / kidding'
+        };
+    }
+
+    static getBirthOutcomes() {
+        return { LIVE: 'Born alive', STILLBORN: 'Stillborn' };
+    }
+
+    static getServiceMethods() {
+        return { AI: 'Artificial insemination', NATURAL: 'Natural service' };
+    }
+
+    static getDiagnosisMethods() {
+        return ['Rectal palpation', 'Ultrasound', 'Blood/milk test', 'Non-return to heat'];
+    }
+
+    static async create(recordData) {
+        const db = getDB();
+
+        const record = {
+            animalId: new ObjectId(recordData.animalId),
+            ownerId: new ObjectId(recordData.ownerId),
+            type: recordData.type, // HEAT, SERVICE, PREGNANCY_DIAGNOSIS, CALVING
+            occurredAt: new Date(recordData.occurredAt || Date.now()),
+            // HEAT: signs seen (e.g. bellowing, mucus discharge, standing to be mounted)
+            signs: recordData.signs || '',
+            // SERVICE: AI or NATURAL, the sire ({ animalId, name } - animalId when it is in the herd),
+            // the semen straw used for AI and who inseminated. CALVING: the sire of the offspring
+            method: recordData.method || null,
+            sire: recordData.sire ? {
+                animalId: recordData.sire.animalId ? new ObjectId(recordData.sire.animalId) : null,
+                name: recordData.sire.name || ''
+            } : null,
+            semenStrawId: recordData.semenStrawId || '',
+            technician: recordData.technician || '',
+            // PREGNANCY_DIAGNOSIS: PREGNANT or OPEN, how it was diagnosed and the service it refers to
+            result: recordData.result || null,
+            diagnosisMethod: recordData.diagnosisMethod || '',
+            serviceId: recordData.serviceId ? new ObjectId(recordData.serviceId) : null,
+            // CALVING: every calf, kid or lamb born - [{ animalId, tagId, sex, birthWeight, outcome }];
+            // live births are registered as animals (animalId), stillbirths are kept here only
+            offspring: (recordData.offspring || []).map(born => ({
+                animalId: born.animalId ? new ObjectId(born.animalId) : null,
+                tagId: born.tagId || '',
+                sex: born.sex || null,
+                birthWeight: born.birthWeight || null,
+                outcome: born.outcome // LIVE, STILLBORN
+            })),
+            // SERVICE: expected calving date; PREGNANCY_DIAGNOSIS: the same, once confirmed pregnant
+            expectedCalvingAt: recordData.expectedCalvingAt ? new Date(recordData.expectedCalvingAt) : null,
+            notes: recordData.notes || '',
+            actor: recordData.actor || null,
+            createdAt: new Date()
+        };
+
+        const result = await db.collection('breeding_records').insertOne(record);
+        return { ...record, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('breeding_records').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Newest first
+    static async findByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('breeding_records')
+            .find({ animalId: new ObjectId(animalId) })
+            .sort({ occurredAt: -1 })
+            .toArray();
+    }
+
+    static async findByOwner(ownerId) {
+        const db = getDB();
+        return await db.collection('breeding_records')
+            .find({ ownerId: new ObjectId(ownerId) })
+            .sort({ occurredAt: -1 })
+            .toArray();
+    }
+
+    // Expected calving counted from the service date
+    static getExpectedCalvingAt(species, servedAt) {
+        const profile = this.getSpeciesProfile(species);
+        if (!profile || !servedAt) return null;
+
+        const expected = new Date(servedAt);
+        expected.setDate(expected.getDate() + profile.gestationDays);
+        return expected;
+    }
+}
+
+module.exports = BreedingRecord;
@@ -28,14 +28,16 @@ class Compliance {
         };
     }
 
-    // Get or create today's compliance record for a farmer
-    static async getTodayCompliance(farmerId) {
+    // Get or create today's compliance record for a farmer. Herd groups keep their own
+    // checklist (groupId); the farm-wide checklist has groupId null.
+    static async getTodayCompliance(farmerId, groupId = null) {
         const db = getDB();
         const today = new Date();
         today.setHours(0, 0, 0, 0);
 
         let compliance = await db.collection('compliance').findOne({
             farmerId: new ObjectId(farmerId),
+            groupId: groupId ? new ObjectId(groupId) : null,
             date: today
         });
 
@@ -43,6 +45,7 @@ class Compliance {
             // Create new compliance record for today
             compliance = {
                 farmerId: new ObjectId(farmerId),
+                groupId: groupId ? new ObjectId(groupId) : null,
                 date: today,
                 completedItems: [],
                 score: 0,
@@ -57,12 +60,12 @@ class Compliance {
     }
 
     // Toggle completion of a checklist item
-    static async toggleItem(farmerId, itemId) {
+    static async toggleItem(farmerId, itemId, groupId = null) {
         const db = getDB();
         const today = new Date();
         today.setHours(0, 0, 0, 0);
 
-        const compliance = await this.getTodayCompliance(farmerId);
+        const compliance = await this.getTodayCompliance(farmerId, groupId);
         const completedItems = compliance.completedItems || [];
         const index = completedItems.indexOf(itemId);
 
@@ -94,7 +97,7 @@ class Compliance {
     }
 
     // Get compliance history for a farmer
-    static async getHistory(farmerId, days = 7) {
+    static async getHistory(farmerId, days = 7, groupId = null) {
         const db = getDB();
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - days);
@@ -103,6 +106,7 @@ class Compliance {
         return await db.collection('compliance')
             .find({
                 farmerId: new ObjectId(farmerId),
+                groupId: groupId ? new ObjectId(groupId) : null,
                 date: { $gte: startDate }
             })
             .sort({ date: -1 })
@@ -110,8 +114,8 @@ class Compliance {
     }
 
     // Get average compliance score
-    static async getAverageScore(farmerId, days = 7) {
-        const history = await this.getHistory(farmerId, days);
+    static async getAverageScore(farmerId, days = 7, groupId = null) {
+        const history = await this.getHistory(farmerId, days, groupId);
         if (history.length === 0) return 0;
 
         const totalScore = history.reduce((sum, record) => sum + (record.score || 0), 0);
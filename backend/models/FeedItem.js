@@ -0,0 +1,120 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class FeedItem {
+    static getCategories() {
+        return {
+            CONCENTRATE: 'Concentrate',
+            GREEN_FODDER: 'Green fodder',
+            DRY_FODDER: 'Dry fodder',
+            SILAGE: 'Silage',
+            MINERAL: 'Mineral / supplement',
+            OTHER: 'Other'
+        };
+    }
+
+    // Typical values for common feeds, used to fill in a new item's nutrients.
+    // dryMatter is % of the feed as fed, crudeProtein % of dry matter and
+    // energy metabolisable energy in MJ per kg of dry matter.
+    static getReferenceNutrients() {
+        return [
+            { names: ['maize silage', 'corn silage'], dryMatter: 30, crudeProtein: 8, energy: 10.5 },
+            { names: ['silage'], dryMatter: 30, crudeProtein: 8, energy: 9.5 },
+            { names: ['green maize', 'maize fodder', 'green fodder'], dryMatter: 20, crudeProtein: 8, energy: 9.5 },
+            { names: ['napier'], dryMatter: 18, crudeProtein: 9, energy: 8.5 },
+            { names: ['berseem'], dryMatter: 16, crudeProtein: 18, energy: 9.5 },
+            { names: ['lucerne', 'alfalfa'], dryMatter: 88, crudeProtein: 18, energy: 8.8 },
+            { names: ['wheat straw', 'bhusa', 'bhoosa'], dryMatter: 90, crudeProtein: 3.5, energy: 6.5 },
+            { names: ['paddy straw', 'rice straw'], dryMatter: 90, crudeProtein: 4, energy: 6 },
+            { names: ['stover', 'kadbi', 'jowar', 'sorghum'], dryMatter: 90, crudeProtein: 5, energy: 7 },
+            { names: ['hay', 'dry fodder'], dryMatter: 88, crudeProtein: 8, energy: 8 },
+            { names: ['wheat bran'], dryMatter: 88, crudeProtein: 16, energy: 10.5 },
+            { names: ['rice bran'], dryMatter: 90, crudeProtein: 13, energy: 10 },
+            { names: ['mustard cake'], dryMatter: 90, crudeProtein: 38, energy: 12 },
+            { names: ['groundnut cake'], dryMatter: 90, crudeProtein: 45, energy: 12.5 },
+            { names: ['cottonseed cake', 'cotton seed cake', 'binola'], dryMatter: 90, crudeProtein: 24, energy: 11 },
+            { names: ['soybean meal', 'soya meal', 'soybean'], dryMatter: 89, crudeProtein: 48, energy: 13.2 },
+            { names: ['maize', 'corn'], dryMatter: 88, crudeProtein: 9, energy: 13.5 },
+            { names: ['cattle feed', 'concentrate', 'pellet'], dryMatter: 90, crudeProtein: 20, energy: 11.5 },
+            { names: ['mineral'], dryMatter: 97, crudeProtein: 0, energy: 0 }
+        ];
+    }
+
+    // Reference nutrients for a feed name - the first entry a name contains, or null
+    static findReferenceNutrients(name) {
+        const lower = (name || '').toLowerCase();
+        const match = this.getReferenceNutrients().find(entry => entry.names.some(part => lower.includes(part)));
+        if (!match) return null;
+
+        const { names, ...nutrients } = match;
+        return nutrients;
+    }
+
+    // A feed the farm keeps in store. Feed records whose feed type matches the
+    // item's name draw from its purchases. Quantities are in kg.
+    static async create(itemData) {
+        const db = getDB();
+
+        const item = {
+            farmerId: new ObjectId(itemData.farmerId),
+            name: itemData.name,
+            category: itemData.category || 'OTHER',
+            // Flag the item as low once the store holds this much or less (0 = days of stock only)
+            reorderLevel: parseFloat(itemData.reorderLevel) || 0,
+            // { dryMatter, crudeProtein, energy } for the ration builder - reference values when the name is a known feed
+            nutrients: itemData.nutrients || this.findReferenceNutrients(itemData.name),
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await db.collection('feed_items').insertOne(item);
+        return { ...item, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('feed_items').findOne({ _id: new ObjectId(id) });
+    }
+
+    static async findByFarmer(farmerId) {
+        const db = getDB();
+        return await db.collection('feed_items')
+            .find({ farmerId: new ObjectId(farmerId) })
+            .sort({ name: 1 })
+            .toArray();
+    }
+
+    // Feed types are free text, so names match case-insensitively
+    static async findByFarmerAndName(farmerId, name) {
+        if (!name) return null;
+        const items = await this.findByFarmer(farmerId);
+        return items.find(item => item.name.toLowerCase() === name.trim().toLowerCase()) || null;
+    }
+
+    static async update(id, updates) {
+        const db = getDB();
+        const result = await db.collection('feed_items').updateOne(
+            { _id: new ObjectId(id) },
+            {
+                $set: {
+                    name: updates.name,
+                    category: updates.category,
+                    reorderLevel: parseFloat(updates.reorderLevel) || 0,
+                    updatedAt: new Date()
+                }
+            }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    static async setNutrients(id, nutrients) {
+        const db = getDB();
+        const result = await db.collection('feed_items').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { nutrients, updatedAt: new Date() } }
+        );
+        return result.modifiedCount > 0;
+    }
+}
+
+module.exports = FeedItem;
@@ -0,0 +1,109 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class FeedPurchase {
+    // One delivery of a feed item. Feed records draw from the oldest purchase
+    // first, so each record knows the batches and price of the feed it used.
+    static async create(purchaseData) {
+        const db = getDB();
+
+        const quantity = parseFloat(purchaseData.quantity);
+
+        const purchase = {
+            farmerId: new ObjectId(purchaseData.farmerId),
+            feedItemId: new ObjectId(purchaseData.feedItemId),
+            feedName: purchaseData.feedName,
+            supplier: purchaseData.supplier || '',
+            batchNumber: purchaseData.batchNumber || '',
+            quantityPurchased: quantity, // in kg
+            quantityRemaining: quantity,
+            costPerKg: parseFloat(purchaseData.costPerKg),
+            purchaseDate: purchaseData.purchaseDate ? new Date(purchaseData.purchaseDate) : new Date(),
+            // One entry per feed record that drew from this purchase
+            usage: [],
+            discardedAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await db.collection('feed_purchases').insertOne(purchase);
+        return { ...purchase, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('feed_purchases').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Newest first
+    static async findByFarmer(farmerId) {
+        const db = getDB();
+        return await db.collection('feed_purchases')
+            .find({ farmerId: new ObjectId(farmerId) })
+            .sort({ purchaseDate: -1 })
+            .toArray();
+    }
+
+    // Purchases with feed left, oldest first - the order they are used in
+    static async findInStockByItem(feedItemId) {
+        const db = getDB();
+        return await db.collection('feed_purchases')
+            .find({ feedItemId: new ObjectId(feedItemId), discardedAt: null, quantityRemaining: { $gt: 0 } })
+            .sort({ purchaseDate: 1 })
+            .toArray();
+    }
+
+    // Take feed out of a purchase. The filter only matches while enough is left,
+    // so two feed records added at once can't draw it below zero.
+    static async deduct(id, quantity, { feedRecordId, animalId }) {
+        const db = getDB();
+
+        const result = await db.collection('feed_purchases').updateOne(
+            { _id: new ObjectId(id), discardedAt: null, quantityRemaining: { $gte: quantity } },
+            {
+                $inc: { quantityRemaining: -quantity },
+                $push: {
+                    usage: {
+                        feedRecordId: new ObjectId(feedRecordId),
+                        animalId: new ObjectId(animalId),
+                        quantity,
+                        usedAt: new Date()
+                    }
+                },
+                $set: { updatedAt: new Date() }
+            }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    // Put back what a feed record drew, when the record is corrected or deleted
+    static async restore(id, quantity, feedRecordId) {
+        const db = getDB();
+
+        const result = await db.collection('feed_purchases').updateOne(
+            { _id: new ObjectId(id), 'usage.feedRecordId': new ObjectId(feedRecordId) },
+            {
+                $inc: { quantityRemaining: quantity },
+                $pull: { usage: { feedRecordId: new ObjectId(feedRecordId) } },
+                $set: { updatedAt: new Date() }
+            }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    // Write off what's left (spoiled, lost). It stays on record but can't be used.
+    static async discard(id) {
+        const db = getDB();
+
+        const result = await db.collection('feed_purchases').updateOne(
+            { _id: new ObjectId(id), discardedAt: null },
+            { $set: { discardedAt: new Date(), updatedAt: new Date() } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+}
+
+module.exports = FeedPurchase;
@@ -1,5 +1,6 @@
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
+const WeightRecord = require('./WeightRecord');
 
 class FeedRecord {
     // Add a feed record for an animal
@@ -12,6 +13,11 @@ class FeedRecord {
             feedType: recordData.feedType || 'Standard Feed',
             feedDate: new Date(recordData.feedDate || Date.now()),
             notes: recordData.notes || '',
+            // Set when the record is this animal's share of a group feeding
+            groupFeedingId: recordData.groupFeedingId ? new ObjectId(recordData.groupFeedingId) : null,
+            // Feed store item the record draws from - stock is set once it has been deducted
+            feedItemId: recordData.feedItemId ? new ObjectId(recordData.feedItemId) : null,
+            stock: null,
             createdAt: new Date()
         };
 
@@ -34,6 +40,72 @@ class FeedRecord {
         return await query.toArray();
     }
 
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('feed_records').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Correct a wrongly entered feed record - stock is set again once the new amount is drawn
+    static async update(id, updates) {
+        const db = getDB();
+        const result = await db.collection('feed_records').updateOne(
+            { _id: new ObjectId(id) },
+            {
+                $set: {
+                    feedAmount: parseFloat(updates.feedAmount),
+                    feedDate: new Date(updates.feedDate),
+                    notes: updates.notes || '',
+                    updatedAt: new Date()
+                }
+            }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    static async deleteById(id) {
+        const db = getDB();
+        const result = await db.collection('feed_records').deleteOne({ _id: new ObjectId(id) });
+        return result.deletedCount > 0;
+    }
+
+    // What a record took from the feed store: { draws: [{ purchaseId, batchNumber, quantity, costPerKg }], shortfall, cost }
+    static async setStock(id, stock) {
+        const db = getDB();
+        await db.collection('feed_records').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { stock } }
+        );
+    }
+
+    // Records for a set of animals in a period, oldest first
+    static async findByAnimalsBetween(animalIds, startDate, endDate) {
+        const db = getDB();
+        return await db.collection('feed_records')
+            .find({
+                animalId: { $in: animalIds.map(id => new ObjectId(id)) },
+                feedDate: { $gte: new Date(startDate), $lte: new Date(endDate) }
+            })
+            .sort({ feedDate: 1 })
+            .toArray();
+    }
+
+    // Every record of a set of animals, newest first as in getFeedHistory
+    static async findByAnimals(animalIds) {
+        const db = getDB();
+        return await db.collection('feed_records')
+            .find({ animalId: { $in: animalIds.map(id => new ObjectId(id)) } })
+            .sort({ feedDate: -1 })
+            .toArray();
+    }
+
+    // Records drawing from a feed store item since a date, for consumption rates
+    static async findByFeedItemSince(feedItemId, since) {
+        const db = getDB();
+        return await db.collection('feed_records')
+            .find({ feedItemId: new ObjectId(feedItemId), feedDate: { $gte: new Date(since) } })
+            .toArray();
+    }
+
     // Get total feed consumed for an animal in a period
     static async getTotalFeedConsumed(animalId, startDate, endDate) {
         const db = getDB();
@@ -53,8 +125,6 @@ class FeedRecord {
     // FCR = Total Feed Consumed / Total Weight Gained
     // Lower FCR is better (means more efficient)
     static async calculateFCR(animalId) {
-        const WeightRecord = require('./WeightRecord');
-
         const weightGainData = await WeightRecord.calculateWeightGain(animalId);
 
         if (weightGainData.totalGain <= 0) {
@@ -86,20 +156,25 @@ class FeedRecord {
     }
 
     // Get average FCR for all animals of a farmer
+    // Same figures as averaging calculateFCR over the herd
     static async getFarmAverageFCR(farmerId) {
         const db = getDB();
 
-        const animals = await db.collection('animals').find({ ownerId: new ObjectId(farmerId) }).toArray();
+        const animals = await db.collection('animals')
+            .find({ ownerId: new ObjectId(farmerId) }, { projection: { _id: 1 } })
+            .toArray();
 
         if (animals.length === 0) return 0;
 
+        const fcrs = await this.getFCRByAnimal(animals.map(a => a._id));
+
+        // Summed in herd order
         let totalFCR = 0;
         let animalCount = 0;
-
         for (const animal of animals) {
-            const fcrData = await this.calculateFCR(animal._id);
-            if (fcrData.fcr > 0) {
-                totalFCR += fcrData.fcr;
+            const fcr = fcrs.get(animal._id.toString());
+            if (fcr) {
+                totalFCR += fcr;
                 animalCount++;
             }
         }
@@ -107,72 +182,238 @@ class FeedRecord {
         return animalCount > 0 ? Math.round((totalFCR / animalCount) * 100) / 100 : 0;
     }
 
+    // calculateFCR for many animals in one pipeline: each animal's first and last
+    // weighing, with the feed between them joined in. Returns Map of animalId -> fcr,
+    // holding only the animals with an FCR above 0.
+    static async getFCRByAnimal(animalIds) {
+        const db = getDB();
+
+        if (animalIds.length === 0) return new Map();
+
+        const spans = await db.collection('weight_records').aggregate([
+            { $match: { animalId: { $in: animalIds.map(id => new ObjectId(id)) } } },
+            { $sort: { animalId: 1, recordedDate: 1, _id: 1 } },
+            {
+                $group: {
+                    _id: '$animalId',
+                    count: { $sum: 1 },
+                    firstWeight: { $first: '$weight' },
+                    lastWeight: { $last: '$weight' },
+                    startDate: { $first: '$recordedDate' },
+                    endDate: { $last: '$recordedDate' }
+                }
+            },
+            { $match: { count: { $gte: 2 } } },
+            {
+                $lookup: {
+                    from: 'feed_records',
+                    let: { animalId: '$_id', startDate: '$startDate', endDate: '$endDate' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: {
+                                    $and: [
+                                        { $eq: ['$animalId', '$$animalId'] },
+                                        { $gte: ['$feedDate', '$$startDate'] },
+                                        { $lte: ['$feedDate', '$$endDate'] }
+                                    ]
+                                }
+                            }
+                        },
+                        { $group: { _id: null, total: { $sum: '$feedAmount' } } }
+                    ],
+                    as: 'feed'
+                }
+            }
+        ]).toArray();
+
+        // Rounded as calculateFCR rounds them
+        const fcrs = new Map();
+        spans.forEach(span => {
+            const weightGained = Math.round((span.lastWeight - span.firstWeight) * 100) / 100;
+            if (weightGained <= 0) return;
+
+            const feedConsumed = Math.round((span.feed.length > 0 ? span.feed[0].total : 0) * 100) / 100;
+            const fcr = Math.round((feedConsumed / weightGained) * 100) / 100;
+            if (fcr > 0) fcrs.set(span._id.toString(), fcr);
+        });
+
+        return fcrs;
+    }
+
+    // Month windows for the trend charts: [{ month, start, end }] from the start of the
+    // period to now. end is the month's last day at midnight, as the trends have always used.
+    static getTrendMonths(period = '6m', now = new Date()) {
+        const months = [];
+        const currentDate = WeightRecord.getPeriodStart(period, now);
+
+        while (currentDate <= now) {
+            const start = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
+            const end = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+            months.push({ month: start.toISOString().substring(0, 7), start, end });
+            currentDate.setMonth(currentDate.getMonth() + 1);
+        }
+
+        return months;
+    }
+
+    // Stage that tags each record with the trend month its date falls in (null outside them)
+    static monthOfStage(field, months) {
+        return {
+            $addFields: {
+                month: {
+                    $switch: {
+                        branches: months.map(({ month, start, end }) => ({
+                            case: { $and: [{ $gte: [field, start] }, { $lte: [field, end] }] },
+                            then: month
+                        })),
+                        default: null
+                    }
+                }
+            }
+        };
+    }
+
     // Get FCR trends over time for charts
+    // Per month, the average over animals weighed at least twice in it of feed in the
+    // month over the gain between the month's first and last weighing
     static async getFCRTrends(farmerId, period = '6m') {
         const db = getDB();
-        const WeightRecord = require('./WeightRecord');
-
-        const endDate = new Date();
-        const startDate = new Date();
-        switch (period) {
-            case '1m':
-                startDate.setMonth(startDate.getMonth() - 1);
-                break;
-            case '6m':
-                startDate.setMonth(startDate.getMonth() - 6);
-                break;
-            case '1y':
-                startDate.setFullYear(startDate.getFullYear() - 1);
-                break;
-        }
 
         // Get all animals for this farmer
-        const animals = await db.collection('animals').find({ ownerId: new ObjectId(farmerId) }).toArray();
-        const animalIds = animals.map(a => a._id);
+        const animals = await db.collection('animals')
+            .find({ ownerId: new ObjectId(farmerId) }, { projection: { _id: 1 } })
+            .toArray();
 
-        // Get monthly FCR data
-        const months = [];
-        const currentDate = new Date(startDate);
+        return await this.fcrByMonth(animals.map(a => a._id), this.getTrendMonths(period));
+    }
 
-        while (currentDate <= endDate) {
-            const monthStart = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-            const monthEnd = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+    // One animal's FCR per month, worked out as getFCRTrends does for the farm
+    static async getAnimalFCRTrends(animalId, period = '6m') {
+        return await this.fcrByMonth([new ObjectId(animalId)], this.getTrendMonths(period));
+    }
+
+    static monthKey(animalId, month) {
+        return `${animalId}:${month}`;
+    }
+
+    // Weight gained by each animal weighed at least twice in a trend month, between
+    // its first and last weighing of the month - Map of monthKey(animalId, month) -> kg
+    static async gainsByMonth(animalIds, months) {
+        const db = getDB();
+
+        if (months.length === 0 || animalIds.length === 0) return new Map();
+
+        const gains = await db.collection('weight_records').aggregate([
+            {
+                $match: {
+                    animalId: { $in: animalIds },
+                    recordedDate: { $gte: months[0].start, $lte: months[months.length - 1].end }
+                }
+            },
+            this.monthOfStage('$recordedDate', months),
+            { $match: { month: { $ne: null } } },
+            { $sort: { recordedDate: 1, _id: 1 } },
+            {
+                $group: {
+                    _id: { animalId: '$animalId', month: '$month' },
+                    count: { $sum: 1 },
+                    firstWeight: { $first: '$weight' },
+                    lastWeight: { $last: '$weight' }
+                }
+            },
+            { $match: { count: { $gte: 2 } } }
+        ]).toArray();
+
+        return new Map(gains.map(gain => [this.monthKey(gain._id.animalId, gain._id.month), gain.lastWeight - gain.firstWeight]));
+    }
+
+    // Average FCR per trend month over the animals, in the order given
+    static async fcrByMonth(animalIds, months) {
+        const db = getDB();
 
+        if (months.length === 0 || animalIds.length === 0) return [];
+
+        const from = months[0].start;
+        const to = months[months.length - 1].end;
+
+        const gainsByKey = await this.gainsByMonth(animalIds, months);
+
+        const feeds = await db.collection('feed_records').aggregate([
+            { $match: { animalId: { $in: animalIds }, feedDate: { $gte: from, $lte: to } } },
+            this.monthOfStage('$feedDate', months),
+            { $match: { month: { $ne: null } } },
+            { $group: { _id: { animalId: '$animalId', month: '$month' }, total: { $sum: '$feedAmount' } } }
+        ]).toArray();
+
+        const key = this.monthKey;
+        const feedByKey = new Map(feeds.map(feed => [key(feed._id.animalId, feed._id.month), Math.round(feed.total * 100) / 100]));
+
+        // Summed in herd order, as the per-animal loop did
+        const trends = [];
+        for (const { month } of months) {
             let monthFCR = 0;
             let validAnimals = 0;
 
             for (const animalId of animalIds) {
-                // Get weight gain for this month
-                const weightRecords = await db.collection('weight_records')
-                    .find({
-                        animalId: animalId,
-                        recordedDate: { $gte: monthStart, $lte: monthEnd }
-                    })
-                    .sort({ recordedDate: 1 })
-                    .toArray();
-
-                if (weightRecords.length >= 2) {
-                    const weightGain = weightRecords[weightRecords.length - 1].weight - weightRecords[0].weight;
-                    const feedConsumed = await this.getTotalFeedConsumed(animalId, monthStart, monthEnd);
-
-                    if (weightGain > 0 && feedConsumed > 0) {
-                        monthFCR += feedConsumed / weightGain;
-                        validAnimals++;
-                    }
+                const weightGain = gainsByKey.get(key(animalId, month));
+                const feedConsumed = feedByKey.get(key(animalId, month)) || 0;
+
+                if (weightGain > 0 && feedConsumed > 0) {
+                    monthFCR += feedConsumed / weightGain;
+                    validAnimals++;
                 }
             }
 
             if (validAnimals > 0) {
-                months.push({
-                    month: monthStart.toISOString().substring(0, 7),
+                trends.push({
+                    month,
                     fcr: Math.round((monthFCR / validAnimals) * 100) / 100
                 });
             }
-
-            currentDate.setMonth(currentDate.getMonth() + 1);
         }
 
-        return months;
+        return trends;
+    }
+
+    // Get feed consumed per month for charts
+    static async getFeedTrends(farmerId, period = '6m') {
+        const db = getDB();
+
+        const animals = await db.collection('animals')
+            .find({ ownerId: new ObjectId(farmerId) }, { projection: { _id: 1 } })
+            .toArray();
+
+        return await this.totalByMonth(animals.map(a => a._id), this.getTrendMonths(period));
+    }
+
+    static async getAnimalFeedTrends(animalId, period = '6m') {
+        return await this.totalByMonth([new ObjectId(animalId)], this.getTrendMonths(period));
+    }
+
+    // Feed given to the animals in each trend month - months without feed are left out, as in the other trends
+    static async totalByMonth(animalIds, months) {
+        const db = getDB();
+
+        if (months.length === 0 || animalIds.length === 0) return [];
+
+        const totals = await db.collection('feed_records').aggregate([
+            {
+                $match: {
+                    animalId: { $in: animalIds },
+                    feedDate: { $gte: months[0].start, $lte: months[months.length - 1].end }
+                }
+            },
+            this.monthOfStage('$feedDate', months),
+            { $match: { month: { $ne: null } } },
+            { $group: { _id: '$month', total: { $sum: '$feedAmount' } } },
+            { $sort: { _id: 1 } }
+        ]).toArray();
+
+        return totals.map(month => ({
+            month: month._id,
+            totalFeed: Math.round(month.total * 100) / 100
+        }));
     }
 }
 
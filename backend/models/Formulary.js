@@ -0,0 +1,252 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+// Animal.species values as entered on the add-animal form -> formulary species
+const SPECIES_ALIASES = {
+    cow: 'cattle',
+    bull: 'cattle',
+    ox: 'cattle',
+    hen: 'poultry',
+    chicken: 'poultry'
+};
+
+function normalizeSpecies(species) {
+    const normalized = (species || '').toLowerCase().trim();
+    return SPECIES_ALIASES[normalized] || normalized;
+}
+
+function roundDose(value) {
+    return value >= 100 ? value.toFixed(0) : value.toFixed(1);
+}
+
+class Formulary {
+    static normalizeSpecies(species) {
+        return normalizeSpecies(species);
+    }
+
+    // Publish every seed entry that is missing or newer than its current revision
+    static async ensureSeeded() {
+        const db = getDB();
+        const { formularySeed } = require('../utils/formularySeed');
+        let published = 0;
+
+        for (const entry of formularySeed) {
+            const current = await db.collection('formulary').findOne({ code: entry.code, supersededAt: null });
+
+            if (!current || current.version < entry.version) {
+                await this.publishRevision(entry);
+                published++;
+            }
+        }
+
+        if (published > 0) {
+            console.log(`✅ Formulary updated - ${published} entr${published === 1 ? 'y' : 'ies'} published`);
+        }
+
+        return published;
+    }
+
+    // Add a new revision of an entry. The previous revision is kept (superseded)
+    // so medical logs can always be traced to the figures they were computed from.
+    static async publishRevision(entryData) {
+        const db = getDB();
+        const effectiveFrom = new Date(entryData.effectiveFrom || Date.now());
+
+        const current = await db.collection('formulary').findOne({ code: entryData.code, supersededAt: null });
+        const version = entryData.version || (current ? current.version + 1 : 1);
+
+        const entry = {
+            code: entryData.code,
+            name: entryData.name,
+            type: entryData.type,
+            category: entryData.category || '',
+            sideEffects: entryData.sideEffects || '',
+            precautions: entryData.precautions || '',
+            contraindications: entryData.contraindications || '',
+            safety: entryData.safety || null,
+            profiles: entryData.profiles.map(profile => ({
+                ...profile,
+                species: profile.species.map(normalizeSpecies)
+            })),
+            version,
+            effectiveFrom,
+            supersededAt: null,
+            createdAt: new Date()
+        };
+
+        if (current) {
+            await db.collection('formulary').updateOne(
+                { _id: current._id },
+                { $set: { supersededAt: effectiveFrom } }
+            );
+        }
+
+        const result = await db.collection('formulary').insertOne(entry);
+        return { ...entry, _id: result.insertedId };
+    }
+
+    // Any revision, current or superseded - used when displaying historical logs
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('formulary').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Current entries for a species, flattened to that species' profile
+    static async findCurrentBySpecies(species) {
+        const db = getDB();
+        const normalized = normalizeSpecies(species);
+
+        const entries = await db.collection('formulary')
+            .find({ supersededAt: null, 'profiles.species': normalized })
+            .sort({ name: 1 })
+            .toArray();
+
+        return entries.map(entry => this.forSpecies(entry, normalized));
+    }
+
+    // Current entries across all species - used where a medicine isn't tied to one animal (stock lots)
+    static async findAllCurrent() {
+        const db = getDB();
+        return await db.collection('formulary')
+            .find({ supersededAt: null })
+            .sort({ name: 1 })
+            .toArray();
+    }
+
+    static async findCurrentByCode(species, code) {
+        const db = getDB();
+        const normalized = normalizeSpecies(species);
+
+        const entry = await db.collection('formulary').findOne({
+            code,
+            supersededAt: null,
+            'profiles.species': normalized
+        });
+
+        return entry ? this.forSpecies(entry, normalized) : null;
+    }
+
+    // Merge the species profile over the entry's shared fields
+    static forSpecies(entry, species) {
+        const normalized = normalizeSpecies(species);
+        const profile = entry.profiles.find(p => p.species.includes(normalized));
+        if (!profile) return null;
+
+        const { profiles, ...shared } = entry;
+        const { species: _profileSpecies, ...speciesFields } = profile;
+
+        return {
+            ...shared,
+            ...speciesFields,
+            id: entry.code,
+            entryId: entry._id,
+            species: normalized
+        };
+    }
+
+    static filterByTreatment(medicines, treatmentQuery) {
+        const query = treatmentQuery.toLowerCase();
+
+        return medicines.filter(med =>
+            med.treatments.some(treatment =>
+                treatment.toLowerCase().includes(query)
+            )
+        );
+    }
+
+    static getCategories(medicines) {
+        return Array.from(new Set(medicines.map(med => med.type)));
+    }
+
+    // Dose for a given body weight, as display text
+    static calculateDose(dosage, weightKg) {
+        if (!dosage) return null;
+
+        if (!dosage.doseUnit) {
+            return dosage.instructions || null;
+        }
+
+        const dose = (weightKg / (dosage.perWeightKg || 1)) * dosage.amount;
+        let text = `${roundDose(dose)} ${dosage.doseUnit}`;
+
+        if (dosage.concentration) {
+            text += ` (${(dose / dosage.concentration.value).toFixed(2)}ml of ${dosage.concentration.label})`;
+        }
+        if (dosage.instructions) {
+            text += ` ${dosage.instructions}`;
+        }
+
+        return text;
+    }
+
+    static calculateDosage(medicine, weightKg) {
+        const dosage = this.calculateDose(medicine.dosage, weightKg);
+        if (!dosage) return null;
+
+        return {
+            medicineName: medicine.name,
+            animalWeight: weightKg,
+            dosage,
+            route: medicine.dosage.route,
+            frequency: medicine.dosage.frequency,
+            withdrawalPeriod: medicine.withdrawalPeriod,
+            precautions: medicine.precautions,
+            formularyVersion: medicine.version
+        };
+    }
+
+    // Suggested course from the frequency text, e.g. "Once daily for 3-5 days" -> 3 doses
+    // 24 hours apart. Only a starting point for the form - the farmer can change it.
+    static suggestCourse(dosage) {
+        const frequency = ((dosage && dosage.frequency) || '').toLowerCase();
+
+        let intervalHours = 24;
+        const everyHours = frequency.match(/every (\d+)(?:-\d+)? hours/);
+        if (everyHours) {
+            intervalHours = parseInt(everyHours[1]);
+        } else if (frequency.includes('twice daily') && !frequency.includes('once or twice')) {
+            intervalHours = 12;
+        }
+
+        let totalDoses = 1;
+        const forDays = frequency.match(/(\d+)(?:-\d+)? days/);
+        if (forDays && !frequency.startsWith('single dose') && !frequency.includes('monthly')) {
+            totalDoses = Math.max(1, Math.round(parseInt(forDays[1]) * 24 / intervalHours));
+        }
+
+        return { totalDoses, intervalHours };
+    }
+
+    // Antibiotics, including combinations - the drugs that count towards antimicrobial use
+    static isAntimicrobial(medicine) {
+        return Boolean(medicine && medicine.type && medicine.type.startsWith('Antibiotic'));
+    }
+
+    // Meat and milk lock days for a withdrawal period. Poultry entries carry an
+    // egg withdrawal, which is enforced through the milk lock.
+    static getLockDays(withdrawalPeriod) {
+        const period = withdrawalPeriod || {};
+        return {
+            meat: period.meat || 0,
+            milk: period.milk !== undefined ? period.milk : (period.eggs || 0)
+        };
+    }
+
+    // Longest of the meat/milk withdrawal periods - used where a single figure is shown
+    static getLongestWithdrawal(withdrawalPeriod) {
+        const lockDays = this.getLockDays(withdrawalPeriod);
+        return Math.max(lockDays.meat, lockDays.milk);
+    }
+
+    // Reference stored on medical logs
+    static toLogReference(medicine) {
+        return {
+            entryId: medicine.entryId,
+            code: medicine.code,
+            version: medicine.version,
+            effectiveFrom: medicine.effectiveFrom
+        };
+    }
+}
+
+module.exports = Formulary;
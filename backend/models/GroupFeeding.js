@@ -0,0 +1,88 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class GroupFeeding {
+    // One feed given to a whole group, e.g. "300 kg silage to pen B". The amount is
+    // split into a feed_records entry per member so FCR still works per animal.
+    static getAllocationMethods() {
+        return {
+            HEADCOUNT: 'By headcount',
+            BODY_WEIGHT: 'By body weight'
+        };
+    }
+
+    static async create(feedingData) {
+        const db = getDB();
+
+        const feeding = {
+            groupId: new ObjectId(feedingData.groupId),
+            ownerId: new ObjectId(feedingData.ownerId),
+            totalAmount: parseFloat(feedingData.totalAmount), // in kg
+            feedType: feedingData.feedType || 'Standard Feed',
+            feedDate: new Date(feedingData.feedDate || Date.now()),
+            method: feedingData.method, // HEADCOUNT, BODY_WEIGHT
+            // [{ animalId, feedAmount, weight }] - weight is the one the split used (BODY_WEIGHT only)
+            allocations: feedingData.allocations.map(allocation => ({
+                animalId: new ObjectId(allocation.animalId),
+                feedAmount: allocation.feedAmount,
+                weight: allocation.weight !== undefined ? allocation.weight : null
+            })),
+            notes: feedingData.notes || '',
+            actor: feedingData.actor || null,
+            createdAt: new Date()
+        };
+
+        const result = await db.collection('group_feedings').insertOne(feeding);
+        return { ...feeding, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('group_feedings').findOne({ _id: new ObjectId(id) });
+    }
+
+    static async deleteById(id) {
+        const db = getDB();
+        const result = await db.collection('group_feedings').deleteOne({ _id: new ObjectId(id) });
+        return result.deletedCount > 0;
+    }
+
+    // Keep the split in step when a member's feed record is corrected (feedAmount) or
+    // deleted (null) - the total is the sum of what's left
+    static async setAllocation(id, animalId, feedAmount) {
+        const db = getDB();
+
+        const feeding = await this.findById(id);
+        if (!feeding) return false;
+
+        const allocations = feeding.allocations
+            .map(allocation => allocation.animalId.toString() === animalId.toString()
+                ? { ...allocation, feedAmount }
+                : allocation)
+            .filter(allocation => allocation.feedAmount !== null);
+        const totalAmount = Math.round(allocations.reduce((sum, allocation) => sum + allocation.feedAmount, 0) * 100) / 100;
+
+        const result = await db.collection('group_feedings').updateOne(
+            { _id: feeding._id },
+            { $set: { allocations, totalAmount, updatedAt: new Date() } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    // Newest first
+    static async findByGroup(groupId, limit = null) {
+        const db = getDB();
+
+        const query = db.collection('group_feedings')
+            .find({ groupId: new ObjectId(groupId) })
+            .sort({ feedDate: -1 });
+
+        if (limit) {
+            query.limit(limit);
+        }
+
+        return await query.toArray();
+    }
+}
+
+module.exports = GroupFeeding;
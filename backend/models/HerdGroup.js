@@ -0,0 +1,163 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class HerdGroup {
+    // An animal is in at most one group of each type at a time - moving it to
+    // another pen takes it out of its old pen, but not out of its grazing batch
+    static getTypes() {
+        return {
+            PEN: 'Pen',
+            SHED: 'Shed',
+            LOT: 'Lot',
+            GRAZING_BATCH: 'Grazing batch'
+        };
+    }
+
+    static async create(groupData) {
+        const db = getDB();
+
+        const group = {
+            ownerId: new ObjectId(groupData.ownerId),
+            name: groupData.name,
+            type: groupData.type, // PEN, SHED, LOT, GRAZING_BATCH
+            description: groupData.description || '',
+            archivedAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await db.collection('herd_groups').insertOne(group);
+        return { ...group, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('herd_groups').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Groups in use, by name
+    static async findByOwner(ownerId) {
+        const db = getDB();
+        return await db.collection('herd_groups')
+            .find({ ownerId: new ObjectId(ownerId), archivedAt: null })
+            .sort({ name: 1 })
+            .toArray();
+    }
+
+    static async findByOwnerAndName(ownerId, name) {
+        const db = getDB();
+        const groups = await db.collection('herd_groups')
+            .find({ ownerId: new ObjectId(ownerId), archivedAt: null })
+            .toArray();
+        return groups.find(group => group.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    static async update(id, updates) {
+        const db = getDB();
+        const result = await db.collection('herd_groups').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { name: updates.name, type: updates.type, description: updates.description || '', updatedAt: new Date() } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    // Archiving ends every membership - the history is kept
+    static async archive(id, actor = null) {
+        const db = getDB();
+        const now = new Date();
+
+        await db.collection('group_memberships').updateMany(
+            { groupId: new ObjectId(id), leftAt: null },
+            { $set: { leftAt: now, leftActor: actor } }
+        );
+
+        const result = await db.collection('herd_groups').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { archivedAt: now, updatedAt: now } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    // Put an animal in a group, ending its membership of any other group of the same type.
+    // Returns the group it was moved out of (null if none), or false when it is already a member.
+    static async addMember(group, animalId, actor = null) {
+        const db = getDB();
+        const now = new Date();
+
+        const current = await db.collection('group_memberships').findOne({
+            animalId: new ObjectId(animalId),
+            groupType: group.type,
+            leftAt: null
+        });
+
+        if (current && current.groupId.toString() === group._id.toString()) return false;
+
+        let previousGroup = null;
+        if (current) {
+            await db.collection('group_memberships').updateOne(
+                { _id: current._id },
+                { $set: { leftAt: now, leftActor: actor } }
+            );
+            previousGroup = await this.findById(current.groupId);
+        }
+
+        await db.collection('group_memberships').insertOne({
+            groupId: group._id,
+            groupType: group.type,
+            ownerId: group.ownerId,
+            animalId: new ObjectId(animalId),
+            joinedAt: now,
+            joinedActor: actor,
+            leftAt: null,
+            leftActor: null
+        });
+
+        return previousGroup;
+    }
+
+    static async removeMember(groupId, animalId, actor = null) {
+        const db = getDB();
+        const result = await db.collection('group_memberships').updateOne(
+            { groupId: new ObjectId(groupId), animalId: new ObjectId(animalId), leftAt: null },
+            { $set: { leftAt: new Date(), leftActor: actor } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    // Current members' ids
+    static async findMemberIds(groupId) {
+        const db = getDB();
+        const memberships = await db.collection('group_memberships')
+            .find({ groupId: new ObjectId(groupId), leftAt: null })
+            .toArray();
+        return memberships.map(membership => membership.animalId);
+    }
+
+    // Everyone who has been in the group, newest first
+    static async findMembershipHistory(groupId) {
+        const db = getDB();
+        return await db.collection('group_memberships')
+            .find({ groupId: new ObjectId(groupId) })
+            .sort({ joinedAt: -1 })
+            .toArray();
+    }
+
+    // Current memberships across a farm, for herd views
+    static async findActiveMembershipsByOwner(ownerId) {
+        const db = getDB();
+        return await db.collection('group_memberships')
+            .find({ ownerId: new ObjectId(ownerId), leftAt: null })
+            .toArray();
+    }
+
+    // An animal's group history, newest first
+    static async findMembershipsByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('group_memberships')
+            .find({ animalId: new ObjectId(animalId) })
+            .sort({ joinedAt: -1 })
+            .toArray();
+    }
+}
+
+module.exports = HerdGroup;
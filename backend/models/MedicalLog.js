@@ -6,12 +6,34 @@ class MedicalLog {
         const db = getDB();
 
         const log = {
+            // Callers may reserve the id up front (e.g. to deduct stock before the log is written)
+            _id: logData._id ? new ObjectId(logData._id) : new ObjectId(),
             animalId: new ObjectId(logData.animalId),
             medicineName: logData.medicineName,
             dosage: logData.dosage || '',
             administeredAt: logData.administeredAt || new Date(),
-            withdrawalDays: logData.withdrawalDays || 0,
+            withdrawalPeriod: logData.withdrawalPeriod || { meat: 0, milk: 0 },
+            withdrawalDays: logData.withdrawalDays || 0, // Longest of meat/milk
+            // Formulary revision the withdrawal was computed from (null for custom medicines)
+            formulary: logData.formulary || null,
+            // Set when the dose belongs to a multi-day treatment course
+            courseId: logData.courseId ? new ObjectId(logData.courseId) : null,
+            doseNumber: logData.doseNumber || null,
+            // Stock lot the dose was drawn from: { lotId, lotNumber, expiryDate, quantityUsed, unit }
+            stock: logData.stock || null,
+            // Safety warnings the farmer acknowledged: { warnings, actor, acknowledgedAt }
+            safetyAcknowledgement: logData.safetyAcknowledgement || null,
+            // Vet prescription the treatment was given on: { prescriptionId, vetId, vetName, issuedAt }
+            prescription: logData.prescription || null,
+            // Set for vaccinations: { code, name, disease, doseNumber, label, batchNumber }
+            vaccination: logData.vaccination || null,
+            // Vet co-signature: { vetId, vetName, notes, signedAt }
+            vetSignOff: null,
             notes: logData.notes || '',
+            // Corrections - every edit or void is kept with its reason
+            revisions: [],
+            voidedAt: null,
+            voidReason: null,
             createdAt: new Date()
         };
 
@@ -32,6 +54,41 @@ class MedicalLog {
             .toArray();
     }
 
+    // Logs that still count towards withdrawal locks and the health score
+    static async findUnvoidedByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('medicalLogs')
+            .find({ animalId: new ObjectId(animalId), voidedAt: null })
+            .sort({ administeredAt: -1 })
+            .toArray();
+    }
+
+    // Unvoided vaccinations of a set of animals, for herd reminders
+    static async findVaccinationsByAnimals(animalIds) {
+        const db = getDB();
+        return await db.collection('medicalLogs')
+            .find({
+                animalId: { $in: animalIds.map(id => new ObjectId(id)) },
+                vaccination: { $ne: null },
+                voidedAt: null
+            })
+            .toArray();
+    }
+
+    // Unvoided logs of a set of animals given since a date and not yet signed off by a vet
+    static async findAwaitingSignOffByAnimals(animalIds, since) {
+        const db = getDB();
+        return await db.collection('medicalLogs')
+            .find({
+                animalId: { $in: animalIds.map(id => new ObjectId(id)) },
+                administeredAt: { $gte: new Date(since) },
+                vetSignOff: null,
+                voidedAt: null
+            })
+            .sort({ administeredAt: -1 })
+            .toArray();
+    }
+
     static async findRecent(animalId, limit = 10) {
         const db = getDB();
         return await db.collection('medicalLogs')
@@ -46,6 +103,103 @@ class MedicalLog {
         return await db.collection('medicalLogs')
             .countDocuments({ animalId: new ObjectId(animalId) });
     }
+
+    // Correct a log. Only the fields that actually change are written, and the
+    // previous values go into the revision entry together with the reason.
+    // revision: { reason, actor }
+    static async update(id, updates, revision) {
+        const db = getDB();
+        const log = await this.findById(id);
+        if (!log) return null;
+
+        const changes = {};
+        Object.entries(updates).forEach(([field, value]) => {
+            if (JSON.stringify(log[field]) !== JSON.stringify(value)) {
+                changes[field] = { from: log[field], to: value };
+            }
+        });
+
+        if (Object.keys(changes).length === 0) return log;
+
+        // A sign-off covers the log as the vet saw it - a corrected log needs signing again
+        if (log.vetSignOff) {
+            changes.vetSignOff = { from: log.vetSignOff, to: null };
+        }
+
+        const updateData = {};
+        Object.entries(changes).forEach(([field, change]) => {
+            updateData[field] = change.to;
+        });
+
+        await db.collection('medicalLogs').updateOne(
+            { _id: new ObjectId(id) },
+            {
+                $set: updateData,
+                $push: {
+                    revisions: {
+                        action: 'EDIT',
+                        changes,
+                        reason: revision.reason,
+                        actor: revision.actor,
+                        changedAt: new Date()
+                    }
+                }
+            }
+        );
+
+        return { ...log, ...updateData };
+    }
+
+    // Vet co-signs a treatment. Voided logs can't be signed, and a log is signed once.
+    // signOff: { vetId, vetName, notes }
+    static async signOff(id, signOff) {
+        const db = getDB();
+
+        const result = await db.collection('medicalLogs').updateOne(
+            { _id: new ObjectId(id), voidedAt: null, vetSignOff: null },
+            {
+                $set: {
+                    vetSignOff: {
+                        vetId: new ObjectId(signOff.vetId),
+                        vetName: signOff.vetName,
+                        notes: signOff.notes || '',
+                        signedAt: new Date()
+                    }
+                }
+            }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    // Given on a vet's prescription or co-signed by a vet afterwards
+    static isVetSupervised(log) {
+        return Boolean(log.prescription || log.vetSignOff);
+    }
+
+    // Voided logs stay on record (shown struck through) but no longer count
+    static async void(id, revision) {
+        const db = getDB();
+        const now = new Date();
+
+        const result = await db.collection('medicalLogs').updateOne(
+            { _id: new ObjectId(id), voidedAt: null },
+            {
+                $set: { voidedAt: now, voidReason: revision.reason },
+                $push: {
+                    revisions: {
+                        action: 'VOID',
+                        changes: {},
+                        reason: revision.reason,
+                        actor: revision.actor,
+                        changedAt: now
+                    }
+                }
+            }
+        );
+
+        return result.modifiedCount > 0;
+    }
 }
 
 module.exports = MedicalLog;
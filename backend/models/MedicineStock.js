@@ -0,0 +1,157 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Lots expiring within this many days are flagged on the stock page and dashboard
+const EXPIRY_WARNING_DAYS = 30;
+
+class MedicineStock {
+    static getUnits() {
+        return ['ml', 'tablets', 'g', 'doses'];
+    }
+
+    // One purchased lot of a medicine. medicineCode links the lot to a formulary
+    // entry; lots of custom medicines only carry the name.
+    static async create(lotData) {
+        const db = getDB();
+
+        const quantity = parseFloat(lotData.quantity);
+
+        const lot = {
+            farmerId: new ObjectId(lotData.farmerId),
+            medicineCode: lotData.medicineCode || null,
+            medicineName: lotData.medicineName,
+            lotNumber: lotData.lotNumber,
+            expiryDate: new Date(lotData.expiryDate),
+            quantityPurchased: quantity,
+            quantityRemaining: quantity,
+            unit: lotData.unit || 'ml',
+            supplier: lotData.supplier || '',
+            purchaseDate: lotData.purchaseDate ? new Date(lotData.purchaseDate) : new Date(),
+            // One entry per medical log that drew from this lot
+            usage: [],
+            discardedAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await db.collection('medicine_stock').insertOne(lot);
+        return { ...lot, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('medicine_stock').findOne({ _id: new ObjectId(id) });
+    }
+
+    static async findByFarmer(farmerId) {
+        const db = getDB();
+        return await db.collection('medicine_stock')
+            .find({ farmerId: new ObjectId(farmerId) })
+            .sort({ expiryDate: 1 })
+            .toArray();
+    }
+
+    // Lots with something left to administer, soonest expiry first
+    static async findInStockByFarmer(farmerId) {
+        const db = getDB();
+        return await db.collection('medicine_stock')
+            .find({ farmerId: new ObjectId(farmerId), discardedAt: null, quantityRemaining: { $gt: 0 } })
+            .sort({ expiryDate: 1 })
+            .toArray();
+    }
+
+    // EXPIRED, EXPIRING_SOON (within EXPIRY_WARNING_DAYS) or OK
+    static getExpiryStatus(lot, now = new Date()) {
+        const expiryDate = new Date(lot.expiryDate);
+        if (expiryDate <= now) return 'EXPIRED';
+        if (expiryDate - now <= EXPIRY_WARNING_DAYS * DAY_MS) return 'EXPIRING_SOON';
+        return 'OK';
+    }
+
+    static getDaysToExpiry(lot, now = new Date()) {
+        return Math.ceil((new Date(lot.expiryDate) - now) / DAY_MS);
+    }
+
+    // Lots that are used up or written off don't need attention any more
+    static async getExpiryAlerts(farmerId, now = new Date()) {
+        const lots = await this.findInStockByFarmer(farmerId);
+
+        return {
+            expired: lots.filter(lot => this.getExpiryStatus(lot, now) === 'EXPIRED'),
+            expiringSoon: lots.filter(lot => this.getExpiryStatus(lot, now) === 'EXPIRING_SOON')
+        };
+    }
+
+    // Snapshot of the lot stored on the medical log, so the log still reads
+    // correctly if the lot is later edited or written off
+    static toLogReference(lot, quantityUsed) {
+        return {
+            lotId: lot._id,
+            lotNumber: lot.lotNumber,
+            expiryDate: lot.expiryDate,
+            quantityUsed,
+            unit: lot.unit
+        };
+    }
+
+    // Take quantity out of a lot. The filter only matches while enough is left,
+    // so two treatments logged at once can't draw the lot below zero.
+    static async deduct(id, quantity, { medicalLogId, animalId }) {
+        const db = getDB();
+
+        const result = await db.collection('medicine_stock').updateOne(
+            { _id: new ObjectId(id), discardedAt: null, quantityRemaining: { $gte: quantity } },
+            {
+                $inc: { quantityRemaining: -quantity },
+                $push: {
+                    usage: {
+                        medicalLogId: new ObjectId(medicalLogId),
+                        animalId: new ObjectId(animalId),
+                        quantity,
+                        usedAt: new Date()
+                    }
+                },
+                $set: { updatedAt: new Date() }
+            }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    // Put back what a voided medical log took from the lot
+    static async restore(id, medicalLogId) {
+        const db = getDB();
+        const lot = await this.findById(id);
+        if (!lot) return false;
+
+        const entry = lot.usage.find(use => use.medicalLogId.toString() === medicalLogId.toString());
+        if (!entry) return false;
+
+        const result = await db.collection('medicine_stock').updateOne(
+            { _id: lot._id },
+            {
+                $inc: { quantityRemaining: entry.quantity },
+                $pull: { usage: { medicalLogId: entry.medicalLogId } },
+                $set: { updatedAt: new Date() }
+            }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    // Write off a lot (expired, damaged). It stays on record but can't be used.
+    static async discard(id) {
+        const db = getDB();
+
+        const result = await db.collection('medicine_stock').updateOne(
+            { _id: new ObjectId(id), discardedAt: null },
+            { $set: { discardedAt: new Date(), updatedAt: new Date() } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+}
+
+module.exports = MedicineStock;
@@ -0,0 +1,92 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+// Records aren't tied to a lactation when saved - they are grouped by the calving
+// dates when read, so a calving recorded late still splits the lactations right.
+class MilkRecord {
+    // Milkings a yield can be recorded for. DAILY is the whole day's yield in one
+    // entry, for farmers who don't weigh each milking.
+    static getSessions() {
+        return { MORNING: 'Morning', MIDDAY: 'Midday', EVENING: 'Evening', DAILY: 'Whole day' };
+    }
+
+    static async create(recordData) {
+        const db = getDB();
+
+        const record = {
+            animalId: new ObjectId(recordData.animalId),
+            ownerId: new ObjectId(recordData.ownerId),
+            // Day of the milking (midnight) - daily totals and lactation days are counted on it
+            recordedOn: new Date(recordData.recordedOn),
+            session: recordData.session, // MORNING, MIDDAY, EVENING, DAILY
+            yield: parseFloat(recordData.yield), // litres
+            // Milk from an animal under milk withdrawal can't be sold or used
+            discard: Boolean(recordData.discard),
+            discardReason: recordData.discardReason || '',
+            discardSource: recordData.discardSource || null, // WITHDRAWAL (medicine record) or LOCK
+            notes: recordData.notes || '',
+            actor: recordData.actor || null,
+            createdAt: new Date()
+        };
+
+        const result = await db.collection('milk_records').insertOne(record);
+        return { ...record, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('milk_records').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Oldest first
+    static async findByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('milk_records')
+            .find({ animalId: new ObjectId(animalId) })
+            .sort({ recordedOn: 1 })
+            .toArray();
+    }
+
+    // Every milk record of a set of animals, oldest first
+    static async findByAnimals(animalIds) {
+        const db = getDB();
+        return await db.collection('milk_records')
+            .find({ animalId: { $in: animalIds.map(id => new ObjectId(id)) } })
+            .sort({ recordedOn: 1 })
+            .toArray();
+    }
+
+    // A farm's milk records in a period, oldest first
+    static async findByOwnerBetween(ownerId, startDate, endDate) {
+        const db = getDB();
+        return await db.collection('milk_records')
+            .find({ ownerId: new ObjectId(ownerId), recordedOn: { $gte: new Date(startDate), $lte: new Date(endDate) } })
+            .sort({ recordedOn: 1 })
+            .toArray();
+    }
+
+    static async findByAnimalOn(animalId, recordedOn) {
+        const db = getDB();
+        return await db.collection('milk_records')
+            .find({ animalId: new ObjectId(animalId), recordedOn: new Date(recordedOn) })
+            .toArray();
+    }
+
+    // Set again when the medicine history behind the flag changes
+    static async setDiscard(id, { discard, discardReason, discardSource }) {
+        const db = getDB();
+        const result = await db.collection('milk_records').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { discard, discardReason, discardSource, updatedAt: new Date() } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    static async deleteById(id) {
+        const db = getDB();
+        const result = await db.collection('milk_records').deleteOne({ _id: new ObjectId(id) });
+        return result.deletedCount > 0;
+    }
+}
+
+module.exports = MilkRecord;
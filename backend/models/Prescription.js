@@ -0,0 +1,107 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// How long a prescription can be dispensed for unless the vet sets otherwise
+const DEFAULT_VALID_DAYS = 7;
+
+class Prescription {
+    static getDefaultValidDays() {
+        return DEFAULT_VALID_DAYS;
+    }
+
+    // A vet's prescription for one animal. Written against the formulary so the
+    // withdrawal period is known; the farmer records it through add-medicine.
+    static async create(prescriptionData) {
+        const db = getDB();
+
+        const issuedAt = new Date();
+        const validDays = Math.max(1, parseInt(prescriptionData.validDays) || DEFAULT_VALID_DAYS);
+
+        const prescription = {
+            animalId: new ObjectId(prescriptionData.animalId),
+            farmerId: new ObjectId(prescriptionData.farmerId),
+            vetId: new ObjectId(prescriptionData.vetId),
+            vetName: prescriptionData.vetName,
+            medicineCode: prescriptionData.medicineCode,
+            medicineName: prescriptionData.medicineName,
+            formularyVersion: prescriptionData.formularyVersion,
+            dosage: prescriptionData.dosage || '',
+            totalDoses: Math.max(1, parseInt(prescriptionData.totalDoses) || 1),
+            intervalHours: parseFloat(prescriptionData.intervalHours) || 24,
+            diagnosis: prescriptionData.diagnosis || '',
+            instructions: prescriptionData.instructions || '',
+            issuedAt,
+            validUntil: new Date(issuedAt.getTime() + validDays * DAY_MS),
+            status: 'ISSUED', // ISSUED, DISPENSED, CANCELLED
+            medicalLogId: null,
+            dispensedAt: null,
+            cancelledAt: null
+        };
+
+        const result = await db.collection('prescriptions').insertOne(prescription);
+        return { ...prescription, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('prescriptions').findOne({ _id: new ObjectId(id) });
+    }
+
+    static async findByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('prescriptions')
+            .find({ animalId: new ObjectId(animalId) })
+            .sort({ issuedAt: -1 })
+            .toArray();
+    }
+
+    // Prescriptions the farmer can still record
+    static async findOpenByAnimal(animalId, now = new Date()) {
+        const db = getDB();
+        return await db.collection('prescriptions')
+            .find({ animalId: new ObjectId(animalId), status: 'ISSUED', validUntil: { $gte: now } })
+            .sort({ issuedAt: -1 })
+            .toArray();
+    }
+
+    static isOpen(prescription, now = new Date()) {
+        return prescription.status === 'ISSUED' && new Date(prescription.validUntil) >= now;
+    }
+
+    // Only an issued prescription can be dispensed, and only once
+    static async markDispensed(id, medicalLogId) {
+        const db = getDB();
+
+        const result = await db.collection('prescriptions').updateOne(
+            { _id: new ObjectId(id), status: 'ISSUED' },
+            { $set: { status: 'DISPENSED', medicalLogId: new ObjectId(medicalLogId), dispensedAt: new Date() } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    static async cancel(id) {
+        const db = getDB();
+
+        const result = await db.collection('prescriptions').updateOne(
+            { _id: new ObjectId(id), status: 'ISSUED' },
+            { $set: { status: 'CANCELLED', cancelledAt: new Date() } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    // Reference kept on the medical log
+    static toLogReference(prescription) {
+        return {
+            prescriptionId: prescription._id,
+            vetId: prescription.vetId,
+            vetName: prescription.vetName,
+            issuedAt: prescription.issuedAt
+        };
+    }
+}
+
+module.exports = Prescription;
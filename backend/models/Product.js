@@ -19,6 +19,9 @@ class Product {
 
             description: productData.description || '',
             isVerifiedSafe: productData.isVerifiedSafe || false, // Set by bio-safety middleware
+            // Set when the listing is pulled from the marketplace (e.g. a medicine lot recall)
+            suspendedAt: null,
+            suspendReason: null,
             createdAt: new Date(),
             updatedAt: new Date()
         };
@@ -73,7 +76,7 @@ class Product {
     static async findVerifiedOnly() {
         const db = getDB();
         return await db.collection('products')
-            .find({ isVerifiedSafe: true })
+            .find({ isVerifiedSafe: true, suspendedAt: null })
             .sort({ createdAt: -1 })
             .toArray();
     }
@@ -90,6 +93,18 @@ class Product {
         return result.modifiedCount > 0;
     }
 
+    // Pull listings from the marketplace. Already suspended listings keep their original reason.
+    static async suspendMany(ids, reason) {
+        const db = getDB();
+
+        const result = await db.collection('products').updateMany(
+            { _id: { $in: ids.map(id => new ObjectId(id)) }, suspendedAt: null },
+            { $set: { suspendedAt: new Date(), suspendReason: reason, updatedAt: new Date() } }
+        );
+
+        return result.modifiedCount;
+    }
+
     static async deleteById(id) {
         const db = getDB();
         const result = await db.collection('products').deleteOne({ _id: new ObjectId(id) });
@@ -0,0 +1,166 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+class Quarantine {
+    // Entry reasons with the default isolation period for each
+    static getReasons() {
+        return {
+            SUSPECTED_DISEASE: { label: 'Suspected disease', defaultDays: 14 },
+            NEW_ARRIVAL: { label: 'New arrival', defaultDays: 21 },
+            OUTBREAK_CONTACT: { label: 'Outbreak contact', defaultDays: 14 }
+        };
+    }
+
+    // Common tests offered on the entry form - any test name can be entered
+    static getCommonTests() {
+        return [
+            'Brucellosis',
+            'Tuberculosis (TB)',
+            'Foot and Mouth Disease (FMD)',
+            'Mastitis (CMT)',
+            'Fecal parasite exam',
+            'Blood smear',
+            'Clinical examination'
+        ];
+    }
+
+    // Open a quarantine episode. Only one episode per animal can be active.
+    static async create(episodeData) {
+        const db = getDB();
+
+        const startedAt = new Date(episodeData.startedAt || Date.now());
+        const plannedDays = parseInt(episodeData.plannedDays);
+
+        const episode = {
+            animalId: new ObjectId(episodeData.animalId),
+            ownerId: new ObjectId(episodeData.ownerId),
+            reason: episodeData.reason, // SUSPECTED_DISEASE, NEW_ARRIVAL, OUTBREAK_CONTACT
+            reasonDetails: episodeData.reasonDetails || '',
+            plannedDays,
+            startedAt,
+            plannedEndAt: new Date(startedAt.getTime() + plannedDays * DAY_MS),
+            requiredTests: (episodeData.requiredTests || []).map(name => ({
+                name,
+                result: 'PENDING', // PENDING, NEGATIVE, POSITIVE
+                notes: '',
+                recordedAt: null
+            })),
+            status: 'ACTIVE', // ACTIVE, RELEASED
+            // Release decisions taken during the episode (extensions and the final release)
+            decisions: [],
+            releasedAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await db.collection('quarantines').insertOne(episode);
+        return { ...episode, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('quarantines').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Full episode history, newest first
+    static async findByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('quarantines')
+            .find({ animalId: new ObjectId(animalId) })
+            .sort({ startedAt: -1 })
+            .toArray();
+    }
+
+    static async findActiveByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('quarantines').findOne({
+            animalId: new ObjectId(animalId),
+            status: 'ACTIVE'
+        });
+    }
+
+    static async recordTestResult(id, testName, result, notes) {
+        const db = getDB();
+        const episode = await this.findById(id);
+        if (!episode || !episode.requiredTests.some(test => test.name === testName)) return null;
+
+        const requiredTests = episode.requiredTests.map(test => test.name === testName
+            ? { ...test, result, notes: notes || '', recordedAt: new Date() }
+            : test
+        );
+
+        await db.collection('quarantines').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { requiredTests, updatedAt: new Date() } }
+        );
+
+        return { ...episode, requiredTests };
+    }
+
+    // Exit criteria not yet met: planned period still running, tests pending or positive
+    static getUnmetExitCriteria(episode, now = new Date()) {
+        const unmet = [];
+
+        if (new Date(episode.plannedEndAt) > now) {
+            unmet.push(`Planned quarantine period runs until ${new Date(episode.plannedEndAt).toLocaleDateString()}`);
+        }
+
+        episode.requiredTests.forEach(test => {
+            if (test.result === 'PENDING') {
+                unmet.push(`${test.name}: result pending`);
+            } else if (test.result === 'POSITIVE') {
+                unmet.push(`${test.name}: tested positive`);
+            }
+        });
+
+        return unmet;
+    }
+
+    // Keep the animal isolated for longer, optionally with further tests
+    static async extend(id, extendDays, additionalTests, notes) {
+        const db = getDB();
+        const episode = await this.findById(id);
+        if (!episode) return null;
+
+        const plannedEndAt = new Date(new Date(episode.plannedEndAt).getTime() + extendDays * DAY_MS);
+        const newTests = (additionalTests || [])
+            .filter(name => !episode.requiredTests.some(test => test.name === name))
+            .map(name => ({ name, result: 'PENDING', notes: '', recordedAt: null }));
+
+        const updateData = {
+            plannedDays: episode.plannedDays + extendDays,
+            plannedEndAt,
+            requiredTests: [...episode.requiredTests, ...newTests],
+            updatedAt: new Date()
+        };
+
+        await db.collection('quarantines').updateOne(
+            { _id: new ObjectId(id) },
+            {
+                $set: updateData,
+                $push: { decisions: { decision: 'EXTEND', extendDays, notes: notes || '', decidedAt: new Date() } }
+            }
+        );
+
+        return { ...episode, ...updateData };
+    }
+
+    static async release(id, notes) {
+        const db = getDB();
+        const now = new Date();
+
+        const result = await db.collection('quarantines').updateOne(
+            { _id: new ObjectId(id), status: 'ACTIVE' },
+            {
+                $set: { status: 'RELEASED', releasedAt: now, updatedAt: now },
+                $push: { decisions: { decision: 'RELEASE', notes: notes || '', decidedAt: now } }
+            }
+        );
+
+        return result.modifiedCount > 0;
+    }
+}
+
+module.exports = Quarantine;
@@ -0,0 +1,137 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class Ration {
+    // A saved daily ration per head, as worked out by the ration builder. Prices
+    // and nutrients are copied in so the ration reads the same after purchases change.
+    static async create(rationData) {
+        const db = getDB();
+
+        const ration = {
+            farmerId: new ObjectId(rationData.farmerId),
+            name: rationData.name,
+            // { species, bodyWeight, stage, milkYield, animalId, groupId } the ration was built for
+            inputs: rationData.inputs,
+            requirements: rationData.requirements,
+            // [{ feedItemId, name, category, amount, costPerKg, cost }] - amount in kg as fed per head per day
+            ingredients: rationData.ingredients.map(ingredient => ({
+                ...ingredient,
+                feedItemId: new ObjectId(ingredient.feedItemId)
+            })),
+            supplied: rationData.supplied,
+            costPerHead: rationData.costPerHead,
+            createdAt: new Date()
+        };
+
+        const result = await db.collection('rations').insertOne(ration);
+        return { ...ration, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('rations').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Newest first
+    static async findByFarmer(farmerId) {
+        const db = getDB();
+        return await db.collection('rations')
+            .find({ farmerId: new ObjectId(farmerId) })
+            .sort({ createdAt: -1 })
+            .toArray();
+    }
+
+    // Deleting a ration stops its schedules - feed already recorded stays
+    static async delete(id, actor = null) {
+        const db = getDB();
+
+        await db.collection('ration_schedules').updateMany(
+            { rationId: new ObjectId(id), stoppedAt: null },
+            { $set: { stoppedAt: new Date(), stoppedActor: actor } }
+        );
+
+        const result = await db.collection('rations').deleteOne({ _id: new ObjectId(id) });
+        return result.deletedCount > 0;
+    }
+
+    // Feed a group the ration every day from startsOn. A group follows one ration at
+    // a time, so a group's earlier schedule stops when a new one starts.
+    static async schedule(ration, group, startsOn, actor = null) {
+        const db = getDB();
+
+        await db.collection('ration_schedules').updateMany(
+            { groupId: group._id, stoppedAt: null },
+            { $set: { stoppedAt: new Date(), stoppedActor: actor } }
+        );
+
+        const schedule = {
+            rationId: ration._id,
+            groupId: group._id,
+            farmerId: ration.farmerId,
+            startsOn: new Date(startsOn),
+            lastFedOn: null, // Last day the ration was recorded for
+            actor,
+            stoppedAt: null,
+            stoppedActor: null,
+            createdAt: new Date()
+        };
+
+        const result = await db.collection('ration_schedules').insertOne(schedule);
+        return { ...schedule, _id: result.insertedId };
+    }
+
+    static async findScheduleById(id) {
+        const db = getDB();
+        return await db.collection('ration_schedules').findOne({ _id: new ObjectId(id) });
+    }
+
+    static async findActiveSchedules() {
+        const db = getDB();
+        return await db.collection('ration_schedules').find({ stoppedAt: null }).toArray();
+    }
+
+    static async findActiveSchedulesByFarmer(farmerId) {
+        const db = getDB();
+        return await db.collection('ration_schedules')
+            .find({ farmerId: new ObjectId(farmerId), stoppedAt: null })
+            .sort({ startsOn: -1 })
+            .toArray();
+    }
+
+    static async findActiveScheduleByGroup(groupId) {
+        const db = getDB();
+        return await db.collection('ration_schedules').findOne({ groupId: new ObjectId(groupId), stoppedAt: null });
+    }
+
+    // Claim a day for feeding - only succeeds if lastFedOn is still the day before,
+    // so two runs can't record the same day twice
+    static async claimDay(scheduleId, previous, day) {
+        const db = getDB();
+        const result = await db.collection('ration_schedules').updateOne(
+            { _id: new ObjectId(scheduleId), stoppedAt: null, lastFedOn: previous },
+            { $set: { lastFedOn: new Date(day) } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    // Hand back a claimed day whose feeding failed, so the next run tries it again
+    static async releaseDay(scheduleId, day, previous) {
+        const db = getDB();
+        const result = await db.collection('ration_schedules').updateOne(
+            { _id: new ObjectId(scheduleId), lastFedOn: new Date(day) },
+            { $set: { lastFedOn: previous } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    static async stopSchedule(scheduleId, actor = null) {
+        const db = getDB();
+        const result = await db.collection('ration_schedules').updateOne(
+            { _id: new ObjectId(scheduleId), stoppedAt: null },
+            { $set: { stoppedAt: new Date(), stoppedActor: actor } }
+        );
+        return result.modifiedCount > 0;
+    }
+}
+
+module.exports = Ration;
@@ -0,0 +1,68 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+// Append-only log of animal status and withdrawal-lock changes.
+// Entries are never updated or deleted (they outlive the animal record), so the
+// lock state at any moment can be shown when a sale is disputed.
+class StatusHistory {
+    static getCauseLabels() {
+        return {
+            MEDICAL_LOG: 'Medical log',
+            MEDICAL_LOG_CORRECTION: 'Medical log corrected',
+            AUTO_UNLOCK: 'Withdrawal expired (auto-unlock)',
+            COURSE_CANCELLED: 'Treatment course stopped',
+            QUARANTINE: 'Placed in quarantine',
+            QUARANTINE_RELEASE: 'Released from quarantine',
+            MANUAL: 'Manual change'
+        };
+    }
+
+    // Actor for a change made by the logged-in user
+    static userActor(session) {
+        return {
+            type: 'USER',
+            userId: session.userId ? new ObjectId(session.userId) : null,
+            name: session.userName || '',
+            role: session.userRole || ''
+        };
+    }
+
+    // Actor for changes made by the system itself (auto-unlock)
+    static systemActor() {
+        return { type: 'SYSTEM', userId: null, name: 'System', role: 'system' };
+    }
+
+    // change: { from: {status, meat, milk}, to: {status, meat, milk}, cause, actor }
+    static async record(animalId, change) {
+        const db = getDB();
+
+        const entry = {
+            animalId: new ObjectId(animalId),
+            fromStatus: change.from.status,
+            toStatus: change.to.status,
+            from: { meatWithdrawalEndsAt: change.from.meat || null, milkWithdrawalEndsAt: change.from.milk || null },
+            to: { meatWithdrawalEndsAt: change.to.meat || null, milkWithdrawalEndsAt: change.to.milk || null },
+            // { type: MEDICAL_LOG | MEDICAL_LOG_CORRECTION | AUTO_UNLOCK | COURSE_CANCELLED | QUARANTINE | QUARANTINE_RELEASE | MANUAL, medicalLogId?, quarantineId? }
+            cause: {
+                type: change.cause.type,
+                medicalLogId: change.cause.medicalLogId ? new ObjectId(change.cause.medicalLogId) : null,
+                quarantineId: change.cause.quarantineId ? new ObjectId(change.cause.quarantineId) : null
+            },
+            actor: change.actor || this.systemActor(),
+            changedAt: new Date()
+        };
+
+        const result = await db.collection('status_history').insertOne(entry);
+        return { ...entry, _id: result.insertedId };
+    }
+
+    static async findByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('status_history')
+            .find({ animalId: new ObjectId(animalId) })
+            .sort({ changedAt: -1 })
+            .toArray();
+    }
+}
+
+module.exports = StatusHistory;
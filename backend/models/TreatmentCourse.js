@@ -0,0 +1,180 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+const HOUR_MS = 1000 * 60 * 60;
+
+class TreatmentCourse {
+    // A planned series of doses of one medicine. The first dose is scheduled at startAt,
+    // each following dose intervalHours later.
+    static async create(courseData) {
+        const db = getDB();
+
+        const startAt = new Date(courseData.startAt || Date.now());
+        const totalDoses = Math.max(1, parseInt(courseData.totalDoses) || 1);
+        const intervalHours = parseFloat(courseData.intervalHours) || 24;
+
+        const doses = Array.from({ length: totalDoses }, (_, index) => ({
+            doseNumber: index + 1,
+            scheduledAt: new Date(startAt.getTime() + index * intervalHours * HOUR_MS),
+            status: 'PENDING', // PENDING, GIVEN, SKIPPED
+            administeredAt: null,
+            medicalLogId: null
+        }));
+
+        const course = {
+            animalId: new ObjectId(courseData.animalId),
+            ownerId: new ObjectId(courseData.ownerId),
+            medicineName: courseData.medicineName,
+            dosage: courseData.dosage || '',
+            withdrawalPeriod: courseData.withdrawalPeriod || { meat: 0, milk: 0 },
+            formulary: courseData.formulary || null,
+            // Later doses are drawn from the same lot: { lotId, quantityPerDose }
+            stock: courseData.stock || null,
+            // Vet prescription the course was started on - every dose log carries it
+            prescription: courseData.prescription || null,
+            totalDoses,
+            intervalHours,
+            doses,
+            status: 'ACTIVE', // ACTIVE, COMPLETED, CANCELLED
+            startedAt: startAt,
+            completedAt: null,
+            notes: courseData.notes || '',
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await db.collection('treatment_courses').insertOne(course);
+        return { ...course, _id: result.insertedId };
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('treatment_courses').findOne({ _id: new ObjectId(id) });
+    }
+
+    static async findByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('treatment_courses')
+            .find({ animalId: new ObjectId(animalId) })
+            .sort({ startedAt: -1 })
+            .toArray();
+    }
+
+    static async findActiveByAnimal(animalId) {
+        const db = getDB();
+        return await db.collection('treatment_courses')
+            .find({ animalId: new ObjectId(animalId), status: 'ACTIVE' })
+            .sort({ startedAt: -1 })
+            .toArray();
+    }
+
+    static getFinalScheduledAt(course) {
+        return course.doses[course.doses.length - 1].scheduledAt;
+    }
+
+    // Check off one dose. The course completes once no dose is left pending.
+    static async markDoseGiven(id, doseNumber, administeredAt, medicalLogId) {
+        const db = getDB();
+        const course = await this.findById(id);
+        if (!course) return null;
+
+        const doses = course.doses.map(dose => dose.doseNumber === doseNumber
+            ? { ...dose, status: 'GIVEN', administeredAt: new Date(administeredAt), medicalLogId: new ObjectId(medicalLogId) }
+            : dose
+        );
+
+        const isComplete = doses.every(dose => dose.status !== 'PENDING');
+        const lastGiven = this.getLastAdministeredAt({ doses });
+
+        const updateData = {
+            doses,
+            status: isComplete ? 'COMPLETED' : 'ACTIVE',
+            completedAt: isComplete ? lastGiven : null,
+            updatedAt: new Date()
+        };
+
+        await db.collection('treatment_courses').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: updateData }
+        );
+
+        return { ...course, ...updateData };
+    }
+
+    // Stop a course early - remaining doses are marked as skipped
+    static async cancel(id) {
+        const db = getDB();
+        const course = await this.findById(id);
+        if (!course) return null;
+
+        const doses = course.doses.map(dose => dose.status === 'PENDING'
+            ? { ...dose, status: 'SKIPPED' }
+            : dose
+        );
+
+        const updateData = {
+            doses,
+            status: 'CANCELLED',
+            completedAt: this.getLastAdministeredAt({ doses }),
+            updatedAt: new Date()
+        };
+
+        await db.collection('treatment_courses').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: updateData }
+        );
+
+        return { ...course, ...updateData };
+    }
+
+    // Remove a course whose first dose was never recorded
+    static async deleteById(id) {
+        const db = getDB();
+        const result = await db.collection('treatment_courses').deleteOne({ _id: new ObjectId(id) });
+        return result.deletedCount > 0;
+    }
+
+    // Keep a dose in step with its corrected medical log. A voided dose goes back to
+    // pending while the course is still running, otherwise it counts as skipped.
+    static async syncDoseWithLog(id, log) {
+        const db = getDB();
+        const course = await this.findById(id);
+        if (!course) return null;
+
+        const doses = course.doses.map(dose => {
+            if (dose.doseNumber !== log.doseNumber) return dose;
+
+            if (log.voidedAt) {
+                return {
+                    ...dose,
+                    status: course.status === 'ACTIVE' ? 'PENDING' : 'SKIPPED',
+                    administeredAt: null,
+                    medicalLogId: null
+                };
+            }
+            return { ...dose, administeredAt: new Date(log.administeredAt) };
+        });
+
+        const updateData = { doses, updatedAt: new Date() };
+        if (course.status !== 'ACTIVE') {
+            updateData.completedAt = this.getLastAdministeredAt({ doses });
+        }
+
+        await db.collection('treatment_courses').updateOne(
+            { _id: new ObjectId(id) },
+            { $set: updateData }
+        );
+
+        return { ...course, ...updateData };
+    }
+
+    static getLastAdministeredAt(course) {
+        const given = course.doses
+            .filter(dose => dose.status === 'GIVEN' && dose.administeredAt)
+            .map(dose => new Date(dose.administeredAt));
+
+        return given.length > 0 ? new Date(Math.max(...given)) : null;
+    }
+}
+
+module.exports = TreatmentCourse;
@@ -14,7 +14,7 @@ class User {
             name,
             email: email.toLowerCase(),
             password: hashedPassword,
-            role, // 'farmer' or 'buyer'
+            role, // 'farmer', 'buyer' or 'vet'
             createdAt: new Date(),
             updatedAt: new Date()
         };
@@ -23,6 +23,10 @@ class User {
         return { ...user, _id: result.insertedId };
     }
 
+    static getRoles() {
+        return ['farmer', 'buyer', 'vet'];
+    }
+
     static async findByEmail(email) {
         const db = getDB();
         return await db.collection('users').findOne({ email: email.toLowerCase() });
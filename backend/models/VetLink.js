@@ -0,0 +1,62 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class VetLink {
+    // A farmer gives a vet access to their herd. Unlinking keeps the record so past
+    // prescriptions and sign-offs can still be traced to when the vet had access.
+    static async create(farmerId, vetId) {
+        const db = getDB();
+
+        const link = {
+            farmerId: new ObjectId(farmerId),
+            vetId: new ObjectId(vetId),
+            linkedAt: new Date(),
+            unlinkedAt: null
+        };
+
+        const result = await db.collection('vet_links').insertOne(link);
+        return { ...link, _id: result.insertedId };
+    }
+
+    static async findActive(farmerId, vetId) {
+        const db = getDB();
+        return await db.collection('vet_links').findOne({
+            farmerId: new ObjectId(farmerId),
+            vetId: new ObjectId(vetId),
+            unlinkedAt: null
+        });
+    }
+
+    static async findActiveByFarmer(farmerId) {
+        const db = getDB();
+        return await db.collection('vet_links')
+            .find({ farmerId: new ObjectId(farmerId), unlinkedAt: null })
+            .sort({ linkedAt: 1 })
+            .toArray();
+    }
+
+    static async findActiveByVet(vetId) {
+        const db = getDB();
+        return await db.collection('vet_links')
+            .find({ vetId: new ObjectId(vetId), unlinkedAt: null })
+            .sort({ linkedAt: 1 })
+            .toArray();
+    }
+
+    static async isLinked(farmerId, vetId) {
+        return Boolean(await this.findActive(farmerId, vetId));
+    }
+
+    static async unlink(farmerId, vetId) {
+        const db = getDB();
+
+        const result = await db.collection('vet_links').updateOne(
+            { farmerId: new ObjectId(farmerId), vetId: new ObjectId(vetId), unlinkedAt: null },
+            { $set: { unlinkedAt: new Date() } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+}
+
+module.exports = VetLink;
@@ -33,6 +33,71 @@ class WeightRecord {
         return await query.toArray();
     }
 
+    // Every weighing of a set of animals, oldest first
+    static async findByAnimals(animalIds) {
+        const db = getDB();
+        return await db.collection('weight_records')
+            .find({ animalId: { $in: animalIds.map(id => new ObjectId(id)) } })
+            .sort({ recordedDate: 1, _id: 1 })
+            .toArray();
+    }
+
+    static async findById(id) {
+        const db = getDB();
+        return await db.collection('weight_records').findOne({ _id: new ObjectId(id) });
+    }
+
+    // Correct a wrongly entered weighing
+    static async update(id, updates) {
+        const db = getDB();
+        const result = await db.collection('weight_records').updateOne(
+            { _id: new ObjectId(id) },
+            {
+                $set: {
+                    weight: parseFloat(updates.weight),
+                    recordedDate: new Date(updates.recordedDate),
+                    notes: updates.notes || '',
+                    updatedAt: new Date()
+                }
+            }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    static async deleteById(id) {
+        const db = getDB();
+        const result = await db.collection('weight_records').deleteOne({ _id: new ObjectId(id) });
+        return result.deletedCount > 0;
+    }
+
+    // Latest weighing of each animal in one pipeline - Map of animalId -> { weight, recordedDate }
+    static async getLatestWeights(animalIds) {
+        const db = getDB();
+
+        if (animalIds.length === 0) return new Map();
+
+        const latest = await db.collection('weight_records').aggregate([
+            { $match: { animalId: { $in: animalIds.map(id => new ObjectId(id)) } } },
+            { $sort: { animalId: 1, recordedDate: -1, _id: -1 } },
+            { $group: { _id: '$animalId', weight: { $first: '$weight' }, recordedDate: { $first: '$recordedDate' } } }
+        ]).toArray();
+
+        return new Map(latest.map(record => [record._id.toString(), { weight: record.weight, recordedDate: record.recordedDate }]));
+    }
+
+    // Latest weight recorded on or before a date
+    static async getWeightOn(animalId, date) {
+        const db = getDB();
+
+        const [record] = await db.collection('weight_records')
+            .find({ animalId: new ObjectId(animalId), recordedDate: { $lte: new Date(date) } })
+            .sort({ recordedDate: -1 })
+            .limit(1)
+            .toArray();
+
+        return record || null;
+    }
+
     // Calculate average weight gain per month for an animal
     static async calculateWeightGain(animalId) {
         const records = await this.getWeightHistory(animalId);
@@ -66,33 +131,44 @@ class WeightRecord {
     static async getFarmAverageWeightGain(farmerId, period = '1m') {
         const db = getDB();
 
-        // Calculate date range based on period
-        const endDate = new Date();
-        const startDate = new Date();
-        switch (period) {
-            case '1m':
-                startDate.setMonth(startDate.getMonth() - 1);
-                break;
-            case '6m':
-                startDate.setMonth(startDate.getMonth() - 6);
-                break;
-            case '1y':
-                startDate.setFullYear(startDate.getFullYear() - 1);
-                break;
-        }
-
         // Get all animals for this farmer
-        const animals = await db.collection('animals').find({ ownerId: new ObjectId(farmerId) }).toArray();
+        const animals = await db.collection('animals')
+            .find({ ownerId: new ObjectId(farmerId) }, { projection: { _id: 1 } })
+            .toArray();
 
         if (animals.length === 0) return 0;
 
+        // First and last weighing of each animal, as calculateWeightGain takes them
+        const spans = await db.collection('weight_records').aggregate([
+            { $match: { animalId: { $in: animals.map(a => a._id) } } },
+            { $sort: { animalId: 1, recordedDate: 1, _id: 1 } },
+            {
+                $group: {
+                    _id: '$animalId',
+                    count: { $sum: 1 },
+                    firstWeight: { $first: '$weight' },
+                    lastWeight: { $last: '$weight' },
+                    startDate: { $first: '$recordedDate' },
+                    endDate: { $last: '$recordedDate' }
+                }
+            },
+            { $match: { count: { $gte: 2 } } }
+        ]).toArray();
+
+        const gains = new Map();
+        spans.forEach(span => {
+            const monthsDiff = (new Date(span.endDate) - new Date(span.startDate)) / (1000 * 60 * 60 * 24) / 30;
+            if (monthsDiff <= 0) return;
+            gains.set(span._id.toString(), Math.round(((span.lastWeight - span.firstWeight) / monthsDiff) * 100) / 100);
+        });
+
+        // Summed in herd order
         let totalGain = 0;
         let animalCount = 0;
-
         for (const animal of animals) {
-            const gainData = await this.calculateWeightGain(animal._id);
-            if (gainData.averageGainPerMonth > 0) {
-                totalGain += gainData.averageGainPerMonth;
+            const gain = gains.get(animal._id.toString());
+            if (gain > 0) {
+                totalGain += gain;
                 animalCount++;
             }
         }
@@ -100,12 +176,10 @@ class WeightRecord {
         return animalCount > 0 ? Math.round((totalGain / animalCount) * 100) / 100 : 0;
     }
 
-    // Get time-series data for charts
-    static async getWeightTrends(farmerId, period = '6m') {
-        const db = getDB();
-
-        const endDate = new Date();
-        const startDate = new Date();
+    // Start of a chart or report period (1m, 6m or 1y) counted back from now - the one
+    // place the periods are defined
+    static getPeriodStart(period, now = new Date()) {
+        const startDate = new Date(now);
         switch (period) {
             case '1m':
                 startDate.setMonth(startDate.getMonth() - 1);
@@ -117,36 +191,53 @@ class WeightRecord {
                 startDate.setFullYear(startDate.getFullYear() - 1);
                 break;
         }
+        return startDate;
+    }
+
+    // Get time-series data for charts
+    static async getWeightTrends(farmerId, period = '6m') {
+        const db = getDB();
+
+        const endDate = new Date();
+        const startDate = this.getPeriodStart(period, endDate);
 
         // Get all animals for this farmer
-        const animals = await db.collection('animals').find({ ownerId: new ObjectId(farmerId) }).toArray();
-        const animalIds = animals.map(a => a._id);
-
-        // Get all weight records in the period
-        const records = await db.collection('weight_records')
-            .find({
-                animalId: { $in: animalIds },
-                recordedDate: { $gte: startDate, $lte: endDate }
-            })
-            .sort({ recordedDate: 1 })
+        const animals = await db.collection('animals')
+            .find({ ownerId: new ObjectId(farmerId) }, { projection: { _id: 1 } })
             .toArray();
 
-        // Group by month and calculate average
-        const monthlyAverages = {};
+        return await this.averageByMonth(animals.map(a => a._id), startDate, endDate);
+    }
+
+    // One animal's monthly average weights over a period, as getWeightTrends gives them for the farm
+    static async getAnimalWeightTrends(animalId, period = '6m') {
+        const endDate = new Date();
+        const startDate = this.getPeriodStart(period, endDate);
 
-        records.forEach(record => {
-            const monthKey = new Date(record.recordedDate).toISOString().substring(0, 7); // YYYY-MM
-            if (!monthlyAverages[monthKey]) {
-                monthlyAverages[monthKey] = { total: 0, count: 0 };
-            }
-            monthlyAverages[monthKey].total += record.weight;
-            monthlyAverages[monthKey].count += 1;
-        });
+        return await this.averageByMonth([new ObjectId(animalId)], startDate, endDate);
+    }
+
+    // Weight records of the animals in a period, averaged per calendar month (UTC, as toISOString gives it)
+    static async averageByMonth(animalIds, startDate, endDate) {
+        const db = getDB();
+
+        const months = await db.collection('weight_records').aggregate([
+            { $match: { animalId: { $in: animalIds }, recordedDate: { $gte: startDate, $lte: endDate } } },
+            { $sort: { recordedDate: 1 } },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m', date: '$recordedDate' } },
+                    total: { $sum: '$weight' },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]).toArray();
 
         // Convert to array format for charts
-        return Object.keys(monthlyAverages).sort().map(month => ({
-            month,
-            averageWeight: Math.round((monthlyAverages[month].total / monthlyAverages[month].count) * 100) / 100
+        return months.map(month => ({
+            month: month._id,
+            averageWeight: Math.round((month.total / month.count) * 100) / 100
         }));
     }
 }
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const PDFDocument = require('pdfkit');
+const { parsePeriod, buildAmuReport, toCsv } = require('../utils/amuReport');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// File name for exports, e.g. amu-report-2025-01-01-to-2025-12-31
+function exportName(period, extension) {
+    return `amu-report-${formatDate(period.from)}-to-${formatDate(period.to)}.${extension}`;
+}
+
+// GET /amu-report - Antimicrobial usage for the farm over a period
+router.get('/amu-report', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const period = parsePeriod(req.query);
+        if (!period) {
+            return res.status(400).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Invalid report period - the start date must be on or before the end date'
+            });
+        }
+
+        const report = await buildAmuReport(req.session.userId, period);
+
+        res.render('farmer/amu-report', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            report,
+            from: formatDate(period.from),
+            to: formatDate(period.to)
+        });
+
+    } catch (error) {
+        console.error('AMU report error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to build antimicrobial usage report'
+        });
+    }
+});
+
+// GET /amu-report/export.csv - Same report as CSV
+router.get('/amu-report/export.csv', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const period = parsePeriod(req.query);
+        if (!period) {
+            return res.status(400).json({ success: false, error: 'Invalid report period' });
+        }
+
+        const report = await buildAmuReport(req.session.userId, period);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportName(period, 'csv')}"`);
+        res.send(toCsv(report));
+
+    } catch (error) {
+        console.error('AMU CSV export error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export report' });
+    }
+});
+
+// GET /amu-report/export.pdf - Same report as a printable PDF
+router.get('/amu-report/export.pdf', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const period = parsePeriod(req.query);
+        if (!period) {
+            return res.status(400).json({ success: false, error: 'Invalid report period' });
+        }
+
+        const report = await buildAmuReport(req.session.userId, period);
+        const { totals, coverage } = report;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportName(period, 'pdf')}"`);
+
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        doc.pipe(res);
+
+        doc.fontSize(18).text('Antimicrobial Usage Report');
+        doc.fontSize(10).fillColor('#555555')
+            .text(`Farm: ${req.session.userName}`)
+            .text(`Period: ${formatDate(period.from)} to ${formatDate(period.to)} (${report.period.days} days)`)
+            .text(`Generated: ${new Date().toLocaleString()}`);
+        doc.moveDown().fillColor('#000000');
+
+        doc.fontSize(13).text('Summary');
+        doc.fontSize(10);
+        [
+            ['Population', totals.population],
+            ['Animals treated', totals.animalsTreated],
+            ['Treatments', totals.treatments],
+            ['Doses', totals.doses],
+            ['Animal-days under treatment', totals.animalDays],
+            ['Treatment incidence (per 1000 animal-days)', totals.treatmentIncidence],
+            ['Active ingredient', `${totals.mg} mg`],
+            ['Population correction unit', `${totals.pcuKg} kg`],
+            ['mg/PCU', totals.mgPerPcu]
+        ].forEach(([label, value]) => doc.text(`${label}: ${value}`));
+        doc.moveDown();
+
+        const tables = [
+            ['By Medicine', report.byMedicine.map(row => `${row.name} (${row.category}) - ${row.treatments} treatment(s), ${row.doses} dose(s), ${row.animalDays} animal-day(s), ${row.mg} mg`)],
+            ['By Animal', report.byAnimal.map(row => `${row.tagId} (${row.species}) - ${row.treatments} treatment(s), ${row.doses} dose(s), ${row.animalDays} animal-day(s), ${row.mg} mg`)]
+        ];
+        tables.forEach(([title, lines]) => {
+            doc.fontSize(13).text(title);
+            doc.fontSize(10);
+            if (lines.length === 0) doc.text('No antibiotic treatments in this period');
+            lines.forEach(line => doc.text(line));
+            doc.moveDown();
+        });
+
+        doc.fontSize(13).text('Data Coverage');
+        doc.fontSize(9).fillColor('#555555')
+            .text(`${coverage.dosesWithoutMg} dose(s) had no mg figure (e.g. IU-dosed products) and are counted as 0 mg.`)
+            .text(`${coverage.mgFromLabelDose} dose(s) were estimated from the label dose and the animal's recorded weight.`)
+            .text(`${coverage.animalsWithDefaultWeight} animal(s) had no recorded weight; a default species weight was used for the PCU.`)
+            .text(`${coverage.customTreatments} custom-medicine treatment(s) could not be classified and are not included.`);
+
+        doc.end();
+
+    } catch (error) {
+        console.error('AMU PDF export error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: 'Failed to export report' });
+        }
+    }
+});
+
+module.exports = router;
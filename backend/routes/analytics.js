@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const Animal = require('../models/Animal');
+const FeedRecord = require('../models/FeedRecord');
+const WeightRecord = require('../models/WeightRecord');
+const { ObjectId } = require('mongodb');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+const TREND_PERIODS = ['1m', '6m', '1y'];
+
+// GET /api/analytics - Farm FCR and monthly FCR, weight and feed trends (period 1m, 6m or 1y) for the dashboard charts
+router.get('/api/analytics', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const period = TREND_PERIODS.includes(req.query.period) ? req.query.period : '6m';
+
+        const [averageFCR, fcrTrends, weightTrends, feedTrends] = await Promise.all([
+            FeedRecord.getFarmAverageFCR(req.session.userId),
+            FeedRecord.getFCRTrends(req.session.userId, period),
+            WeightRecord.getWeightTrends(req.session.userId, period),
+            FeedRecord.getFeedTrends(req.session.userId, period)
+        ]);
+
+        res.json({
+            success: true,
+            period,
+            averageFCR,
+            fcrTrends,
+            weightTrends,
+            feedTrends
+        });
+
+    } catch (error) {
+        console.error('Analytics API error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load analytics' });
+    }
+});
+
+// GET /api/analytics/animals/:id - One animal's weighings and monthly weight, feed and FCR
+// trends over the period, with its FCR and gain over all its records
+router.get('/api/analytics/animals/:id', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = ObjectId.isValid(req.params.id) ? await Animal.findById(req.params.id) : null;
+
+        if (!animal || animal.ownerId.toString() !== req.session.userId) {
+            return res.status(404).json({ success: false, error: 'Animal not found' });
+        }
+
+        const period = TREND_PERIODS.includes(req.query.period) ? req.query.period : '6m';
+        const since = WeightRecord.getPeriodStart(period);
+
+        const [history, weightTrends, feedTrends, fcrTrends, weightGain, fcr] = await Promise.all([
+            WeightRecord.getWeightHistory(animal._id),
+            WeightRecord.getAnimalWeightTrends(animal._id, period),
+            FeedRecord.getAnimalFeedTrends(animal._id, period),
+            FeedRecord.getAnimalFCRTrends(animal._id, period),
+            WeightRecord.calculateWeightGain(animal._id),
+            FeedRecord.calculateFCR(animal._id)
+        ]);
+
+        res.json({
+            success: true,
+            period,
+            weights: history
+                .filter(record => new Date(record.recordedDate) >= since)
+                .reverse()
+                .map(record => ({ recordedDate: record.recordedDate, weight: record.weight })),
+            weightTrends,
+            feedTrends,
+            fcrTrends,
+            weightGain,
+            fcr
+        });
+
+    } catch (error) {
+        console.error('Animal analytics API error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load animal analytics' });
+    }
+});
+
+module.exports = router;
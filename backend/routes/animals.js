@@ -2,12 +2,39 @@ const express = require('express');
 const router = express.Router();
 const Animal = require('../models/Animal');
 const MedicalLog = require('../models/MedicalLog');
+const TreatmentCourse = require('../models/TreatmentCourse');
+const Quarantine = require('../models/Quarantine');
+const StatusHistory = require('../models/StatusHistory');
 const Compliance = require('../models/Compliance');
 const WeightRecord = require('../models/WeightRecord');
 const FeedRecord = require('../models/FeedRecord');
+const MedicineStock = require('../models/MedicineStock');
+const Prescription = require('../models/Prescription');
+const BreedingRecord = require('../models/BreedingRecord');
+const MilkRecord = require('../models/MilkRecord');
+const HerdGroup = require('../models/HerdGroup');
+const FeedItem = require('../models/FeedItem');
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
 const { requireAuth, requireRole } = require('../middleware/auth');
+const { getVaccinationSchedule, getHerdVaccinationReminders } = require('../utils/vaccinationSchedule');
+const { isBreedingFemale, getReproductiveStatus, getHerdBreedingAlerts } = require('../utils/breeding');
+const { getLactations } = require('../utils/lactation');
+const { resolveFeedItem, recordFeed, correctFeed, deleteFeed, getFeedStockAlerts } = require('../utils/feedStore');
+
+// Load a weight or feed record on one of the farmer's animals - sends the error
+// response and returns null otherwise
+async function findOwnedRecord(req, res, Model, label) {
+    const record = ObjectId.isValid(req.params.recordId) ? await Model.findById(req.params.recordId) : null;
+    const animal = record ? await Animal.findById(record.animalId) : null;
+
+    if (!animal || animal.ownerId.toString() !== req.session.userId) {
+        res.status(404).json({ success: false, error: `${label} not found` });
+        return null;
+    }
+
+    return { record, animal };
+}
 
 // GET /dashboard - Farmer dashboard with herd overview
 router.get('/dashboard', requireAuth, requireRole('farmer'), async (req, res) => {
@@ -26,9 +53,27 @@ router.get('/dashboard', requireAuth, requireRole('farmer'), async (req, res) =>
         // Fetch biosecurity compliance score (7-day average)
         const biosecurityScore = await Compliance.getAverageScore(req.session.userId, 7);
 
+        // Medicine lots that are expired or about to expire
+        const stockAlerts = await MedicineStock.getExpiryAlerts(req.session.userId);
+
+        // Feed running out at the current rate of use
+        const feedStockAlerts = await getFeedStockAlerts(req.session.userId);
+
+        // Vaccinations overdue or due this week
+        const vaccinationLogs = await MedicalLog.findVaccinationsByAnimals(animals.map(a => a._id));
+        const vaccinationReminders = getHerdVaccinationReminders(animals, vaccinationLogs);
+
+        // Calvings due soon and animals open past their target interval
+        const breedingAlerts = getHerdBreedingAlerts(animals, await BreedingRecord.findByOwner(req.session.userId));
+
         res.render('farmer/dashboard', {
             user: { role: req.session.userRole, name: req.session.userName },
             animals,
+            stockAlerts,
+            feedStockAlerts,
+            feedItems: await FeedItem.findByFarmer(req.session.userId),
+            vaccinationReminders,
+            breedingAlerts,
             stats: {
                 total: totalAnimals,
                 healthy: healthyCount,
@@ -59,7 +104,7 @@ router.get('/animals/add', requireAuth, requireRole('farmer'), (req, res) => {
 // POST /animals - Create new animal
 router.post('/animals', requireAuth, requireRole('farmer'), async (req, res) => {
     try {
-        const { tagId, species, breed, geneticLineage, dateOfBirth } = req.body;
+        const { tagId, species, sex, breed, geneticLineage, dateOfBirth } = req.body;
 
         // Validation
         if (!tagId || !species) {
@@ -82,6 +127,7 @@ router.post('/animals', requireAuth, requireRole('farmer'), async (req, res) =>
         await Animal.create({
             tagId,
             species,
+            sex,
             breed,
             geneticLineage,
             dateOfBirth,
@@ -121,20 +167,76 @@ router.get('/animals/:id', requireAuth, requireRole('farmer'), async (req, res)
 
         // Get medical history
         const medicalLogs = await MedicalLog.findByAnimal(animal._id);
-
-        // Calculate days remaining if locked
-        let daysRemaining = 0;
-        if (animal.status === 'WITHDRAWAL_LOCK' && animal.withdrawalEndsAt) {
-            const now = new Date();
-            const diff = animal.withdrawalEndsAt - now;
-            daysRemaining = Math.max(0, Math.ceil(diff / (1000 * 60 * 60 * 24)));
-        }
+        const treatmentCourses = await TreatmentCourse.findByAnimal(animal._id);
+        const quarantines = await Quarantine.findByAnimal(animal._id);
+        const statusHistory = await StatusHistory.findByAnimal(animal._id);
+        const activeQuarantine = quarantines.find(q => q.status === 'ACTIVE') || null;
+        const openPrescriptions = await Prescription.findOpenByAnimal(animal._id);
+        const vaccinationSchedule = getVaccinationSchedule(animal, medicalLogs);
+        const breedingRecords = await BreedingRecord.findByAnimal(animal._id);
+
+        // Parents and offspring from birth registration
+        const parents = {
+            dam: animal.damId ? await Animal.findById(animal.damId) : null,
+            sire: animal.sireId ? await Animal.findById(animal.sireId) : null
+        };
+        const offspring = await Animal.findOffspring(animal._id);
+
+        // Pens, sheds, lots and grazing batches the animal has been in
+        const groupMemberships = await Promise.all((await HerdGroup.findMembershipsByAnimal(animal._id))
+            .map(async membership => ({ ...membership, group: await HerdGroup.findById(membership.groupId) })));
+
+        // Calculate days remaining on each lock
+        const now = new Date();
+
+        // Milk yield - lactations start at the recorded calvings
+        const milkRecords = isBreedingFemale(animal) ? await MilkRecord.findByAnimal(animal._id) : [];
+        const lactations = isBreedingFemale(animal) ? getLactations(breedingRecords, milkRecords, now) : null;
+        const daysUntil = (date) => date ? Math.max(0, Math.ceil((date - now) / (1000 * 60 * 60 * 24))) : 0;
+        // Locks also run while the animal is quarantined
+        const withdrawal = {
+            meat: daysUntil(Animal.getWithdrawalEndsAt(animal, 'meat', now)),
+            milk: daysUntil(Animal.getWithdrawalEndsAt(animal, 'milk', now))
+        };
+        const daysRemaining = Math.max(withdrawal.meat, withdrawal.milk);
+
+        // Weighings and feed - the trend chart loads from /api/analytics/animals/:id
+        const weightRecords = await WeightRecord.getWeightHistory(animal._id, 10);
+        const feedRecords = await FeedRecord.getFeedHistory(animal._id, 10);
 
         res.render('farmer/animal-profile', {
             user: { role: req.session.userRole, name: req.session.userName },
             animal,
             medicalLogs,
-            daysRemaining
+            treatmentCourses,
+            quarantines,
+            activeQuarantine,
+            unmetExitCriteria: activeQuarantine ? Quarantine.getUnmetExitCriteria(activeQuarantine, now) : [],
+            quarantineReasons: Quarantine.getReasons(),
+            commonTests: Quarantine.getCommonTests(),
+            statusHistory,
+            causeLabels: StatusHistory.getCauseLabels(),
+            daysRemaining,
+            withdrawal,
+            openPrescriptions,
+            vaccinationSchedule,
+            breedingRecords,
+            reproduction: getReproductiveStatus(animal, breedingRecords, now),
+            breedingTypes: BreedingRecord.getTypes(),
+            serviceMethods: BreedingRecord.getServiceMethods(),
+            diagnosisMethods: BreedingRecord.getDiagnosisMethods(),
+            birthOutcomes: BreedingRecord.getBirthOutcomes(),
+            parents,
+            offspring,
+            lactations,
+            recentMilkRecords: milkRecords.slice(-10).reverse(),
+            milkSessions: MilkRecord.getSessions(),
+            groupMemberships,
+            groupTypes: HerdGroup.getTypes(),
+            weightRecords,
+            weightGain: await WeightRecord.calculateWeightGain(animal._id),
+            feedRecords,
+            fcr: await FeedRecord.calculateFCR(animal._id)
         });
 
     } catch (error) {
@@ -169,6 +271,60 @@ router.post('/animals/:id/delete', requireAuth, requireRole('farmer'), async (re
     }
 });
 
+// POST /animals/:id/pregnancy - Mark an animal pregnant (or no longer pregnant)
+router.post('/animals/:id/pregnancy', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await Animal.findById(req.params.id);
+
+        if (!animal) {
+            return res.status(404).json({ success: false, error: 'Animal not found' });
+        }
+
+        // Verify ownership
+        if (animal.ownerId.toString() !== req.session.userId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const pregnant = req.body.pregnant === true || req.body.pregnant === 'true';
+        const { conceivedAt } = req.body;
+
+        if (pregnant && conceivedAt) {
+            const conceived = new Date(conceivedAt);
+            if (isNaN(conceived.getTime()) || conceived > new Date()) {
+                return res.status(400).json({ success: false, error: 'Conception date must be a past date' });
+            }
+        }
+
+        // Pregnancy feeds the contraindication checks on new treatments
+        await Animal.setPregnancy(animal._id, pregnant ? { conceivedAt: conceivedAt || null } : null);
+
+        res.json({ success: true, message: pregnant ? 'Marked as pregnant' : 'Pregnancy cleared' });
+
+    } catch (error) {
+        console.error('Update pregnancy error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update pregnancy' });
+    }
+});
+
+// GET /api/animals/:id/status-history - Status and withdrawal-lock changes, newest first
+router.get('/api/animals/:id/status-history', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await Animal.findById(req.params.id);
+
+        if (!animal || animal.ownerId.toString() !== req.session.userId) {
+            return res.status(404).json({ success: false, error: 'Animal not found' });
+        }
+
+        const history = await StatusHistory.findByAnimal(animal._id);
+
+        res.json({ success: true, animal: { _id: animal._id, tagId: animal.tagId, status: animal.status }, history });
+
+    } catch (error) {
+        console.error('Status history error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load status history' });
+    }
+});
+
 // POST: Add weight record
 router.post('/api/animals/weight', requireAuth, requireRole('farmer'), async (req, res) => {
     try {
@@ -202,6 +358,9 @@ router.post('/api/animals/weight', requireAuth, requireRole('farmer'), async (re
             notes
         });
 
+        // Weight trend is part of the health score
+        await Animal.recomputeHealthScore(animal._id);
+
         res.json({
             success: true,
             message: 'Weight recorded successfully',
@@ -243,17 +402,28 @@ router.post('/api/animals/feed', requireAuth, requireRole('farmer'), async (req,
             });
         }
 
-        const record = await FeedRecord.addFeedRecord({
+        // Feed types that name a feed store item are deducted from its stock
+        const feedItem = await resolveFeedItem(req.session.userId, req.body);
+        if (req.body.feedItemId && !feedItem) {
+            return res.status(404).json({
+                success: false,
+                error: 'Feed item not found'
+            });
+        }
+
+        const record = await recordFeed({
             animalId,
             feedAmount,
             feedType,
             feedDate,
             notes
-        });
+        }, feedItem);
 
         res.json({
             success: true,
-            message: 'Feed consumption recorded successfully',
+            message: record.stock && record.stock.shortfall > 0
+                ? `Feed consumption recorded - only ${Math.round((record.feedAmount - record.stock.shortfall) * 100) / 100} kg of ${feedItem.name} was in store - record the purchase to keep stock right`
+                : 'Feed consumption recorded successfully',
             record
         });
 
@@ -266,4 +436,166 @@ router.post('/api/animals/feed', requireAuth, requireRole('farmer'), async (req,
     }
 });
 
+// GET /api/animals/:id/weights - Weighings, newest first, with the gain over them
+router.get('/api/animals/:id/weights', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = ObjectId.isValid(req.params.id) ? await Animal.findById(req.params.id) : null;
+
+        if (!animal || animal.ownerId.toString() !== req.session.userId) {
+            return res.status(404).json({ success: false, error: 'Animal not found' });
+        }
+
+        res.json({
+            success: true,
+            records: await WeightRecord.getWeightHistory(animal._id),
+            weightGain: await WeightRecord.calculateWeightGain(animal._id)
+        });
+
+    } catch (error) {
+        console.error('Weight history error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load weight records' });
+    }
+});
+
+// POST /api/animals/weight/:recordId/edit - Correct a weighing's weight, date or notes
+router.post('/api/animals/weight/:recordId/edit', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const owned = await findOwnedRecord(req, res, WeightRecord, 'Weight record');
+        if (!owned) return;
+        const { record, animal } = owned;
+
+        const weight = req.body.weight !== undefined ? parseFloat(req.body.weight) : record.weight;
+        const recordedDate = req.body.recordedDate ? new Date(req.body.recordedDate) : record.recordedDate;
+
+        if (!(weight > 0)) {
+            return res.status(400).json({ success: false, error: 'Weight must be more than 0' });
+        }
+        if (isNaN(recordedDate.getTime())) {
+            return res.status(400).json({ success: false, error: 'Invalid date' });
+        }
+
+        await WeightRecord.update(record._id, {
+            weight,
+            recordedDate,
+            notes: req.body.notes !== undefined ? req.body.notes : record.notes
+        });
+
+        // Weight trend is part of the health score
+        await Animal.recomputeHealthScore(animal._id);
+
+        res.json({
+            success: true,
+            message: 'Weight record updated',
+            record: await WeightRecord.findById(record._id)
+        });
+
+    } catch (error) {
+        console.error('Edit weight error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update weight record' });
+    }
+});
+
+// POST /api/animals/weight/:recordId/delete - Remove a wrongly entered weighing
+router.post('/api/animals/weight/:recordId/delete', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const owned = await findOwnedRecord(req, res, WeightRecord, 'Weight record');
+        if (!owned) return;
+
+        await WeightRecord.deleteById(owned.record._id);
+        await Animal.recomputeHealthScore(owned.animal._id);
+
+        res.json({ success: true, message: 'Weight record deleted' });
+
+    } catch (error) {
+        console.error('Delete weight error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete weight record' });
+    }
+});
+
+// GET /api/animals/:id/feed - Feed records, newest first, with the animal's FCR
+router.get('/api/animals/:id/feed', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = ObjectId.isValid(req.params.id) ? await Animal.findById(req.params.id) : null;
+
+        if (!animal || animal.ownerId.toString() !== req.session.userId) {
+            return res.status(404).json({ success: false, error: 'Animal not found' });
+        }
+
+        res.json({
+            success: true,
+            records: await FeedRecord.getFeedHistory(animal._id),
+            fcr: await FeedRecord.calculateFCR(animal._id)
+        });
+
+    } catch (error) {
+        console.error('Feed history error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load feed records' });
+    }
+});
+
+// POST /api/animals/feed/:recordId/edit - Correct a feed record's amount, date or notes.
+// Store feed is redrawn at the new amount; a group member's share keeps the group's date.
+router.post('/api/animals/feed/:recordId/edit', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const owned = await findOwnedRecord(req, res, FeedRecord, 'Feed record');
+        if (!owned) return;
+        const { record } = owned;
+
+        const feedAmount = req.body.feedAmount !== undefined ? parseFloat(req.body.feedAmount) : record.feedAmount;
+        const feedDate = req.body.feedDate ? new Date(req.body.feedDate) : record.feedDate;
+
+        if (!(feedAmount > 0)) {
+            return res.status(400).json({ success: false, error: 'Feed amount must be more than 0' });
+        }
+        if (isNaN(feedDate.getTime())) {
+            return res.status(400).json({ success: false, error: 'Invalid date' });
+        }
+        if (record.groupFeedingId && feedDate.getTime() !== new Date(record.feedDate).getTime()) {
+            return res.status(400).json({
+                success: false,
+                error: 'This feed is a share of a group feeding and keeps its date - delete it and record it again to move it'
+            });
+        }
+
+        const corrected = await correctFeed(record, {
+            feedAmount,
+            feedDate,
+            notes: req.body.notes !== undefined ? req.body.notes : record.notes
+        });
+
+        res.json({
+            success: true,
+            message: corrected.stock && corrected.stock.shortfall > 0
+                ? `Feed record updated - only ${Math.round((corrected.feedAmount - corrected.stock.shortfall) * 100) / 100} kg of ${corrected.feedType} was in store - record the purchase to keep stock right`
+                : 'Feed record updated',
+            record: corrected
+        });
+
+    } catch (error) {
+        console.error('Edit feed error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update feed record' });
+    }
+});
+
+// POST /api/animals/feed/:recordId/delete - Remove a feed record and return its feed to the store
+router.post('/api/animals/feed/:recordId/delete', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const owned = await findOwnedRecord(req, res, FeedRecord, 'Feed record');
+        if (!owned) return;
+
+        await deleteFeed(owned.record);
+
+        res.json({
+            success: true,
+            message: owned.record.stock && owned.record.stock.draws.length > 0
+                ? `Feed record deleted - ${owned.record.feedType} returned to the store`
+                : 'Feed record deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete feed error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete feed record' });
+    }
+});
+
 module.exports = router;
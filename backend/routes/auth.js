@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { redirectIfAuth } = require('../middleware/auth');
+const { redirectIfAuth, getHomePath } = require('../middleware/auth');
 
 // GET /register - Show registration form
 router.get('/register', redirectIfAuth, (req, res) => {
@@ -38,7 +38,7 @@ router.post('/register', async (req, res) => {
             });
         }
 
-        if (!['farmer', 'buyer'].includes(role)) {
+        if (!User.getRoles().includes(role)) {
             return res.render('auth/register', {
                 user: null,
                 error: 'Invalid role selected'
@@ -63,11 +63,7 @@ router.post('/register', async (req, res) => {
         req.session.userName = user.name;
 
         // Redirect based on role
-        if (role === 'farmer') {
-            res.redirect('/dashboard');
-        } else {
-            res.redirect('/marketplace');
-        }
+        res.redirect(getHomePath(role));
 
     } catch (error) {
         console.error('Registration error:', error);
@@ -123,11 +119,7 @@ router.post('/login', async (req, res) => {
         req.session.userName = user.name;
 
         // Redirect based on role
-        if (user.role === 'farmer') {
-            res.redirect('/dashboard');
-        } else {
-            res.redirect('/marketplace');
-        }
+        res.redirect(getHomePath(user.role));
 
     } catch (error) {
         console.error('Login error:', error);
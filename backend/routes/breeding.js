@@ -0,0 +1,383 @@
+const express = require('express');
+const router = express.Router();
+const Animal = require('../models/Animal');
+const BreedingRecord = require('../models/BreedingRecord');
+const WeightRecord = require('../models/WeightRecord');
+const StatusHistory = require('../models/StatusHistory');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { isBreedingFemale, getReproductiveStatus } = require('../utils/breeding');
+const { calculateMatingInbreeding, describeInbreeding } = require('../utils/pedigree');
+
+// Most offspring registered from one birth (quadruplets and quintuplets happen in goats)
+const MAX_OFFSPRING = 5;
+
+// Load a breeding female the farmer owns - sends the error response and returns null otherwise
+async function findOwnedFemale(req, res) {
+    const animal = await Animal.findById(req.params.id);
+
+    if (!animal) {
+        res.status(404).json({ success: false, error: 'Animal not found' });
+        return null;
+    }
+
+    if (animal.ownerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    if (!isBreedingFemale(animal)) {
+        res.status(400).json({
+            success: false,
+            error: animal.sex === 'male'
+                ? 'Breeding records are kept for female animals'
+                : `Breeding records aren't kept for ${animal.species}`
+        });
+        return null;
+    }
+
+    return animal;
+}
+
+// Event date from the form: defaults to now, never in the future or before birth
+function parseEventDate(value, animal, now = new Date()) {
+    const date = value ? new Date(value) : now;
+    if (isNaN(date.getTime())) return { error: 'Invalid date' };
+    if (date > now) return { error: 'The date cannot be in the future' };
+    if (animal.dateOfBirth && date < new Date(animal.dateOfBirth)) {
+        return { error: 'The date cannot be before the animal was born' };
+    }
+    return { date };
+}
+
+// POST /animals/:id/breeding/heat - Record a heat observation
+router.post('/animals/:id/breeding/heat', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedFemale(req, res);
+        if (!animal) return;
+
+        const { date, error } = parseEventDate(req.body.occurredAt, animal);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        await BreedingRecord.create({
+            animalId: animal._id,
+            ownerId: animal.ownerId,
+            type: 'HEAT',
+            occurredAt: date,
+            signs: req.body.signs,
+            notes: req.body.notes,
+            actor: StatusHistory.userActor(req.session)
+        });
+
+        const profile = BreedingRecord.getSpeciesProfile(animal.species);
+        const nextHeat = new Date(date);
+        nextHeat.setDate(nextHeat.getDate() + profile.heatCycleDays);
+
+        res.json({ success: true, message: `Heat recorded - next heat expected around ${nextHeat.toLocaleDateString()}` });
+
+    } catch (error) {
+        console.error('Record heat error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record heat' });
+    }
+});
+
+// POST /animals/:id/breeding/service - Record an insemination or natural service
+router.post('/animals/:id/breeding/service', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedFemale(req, res);
+        if (!animal) return;
+
+        const { method, sireTagId, sireName, semenStrawId, technician, notes } = req.body;
+
+        if (!BreedingRecord.getServiceMethods()[method]) {
+            return res.status(400).json({ success: false, error: 'Choose artificial insemination or natural service' });
+        }
+
+        if (animal.pregnancy) {
+            return res.status(400).json({ success: false, error: 'This animal is recorded as pregnant - record a diagnosis or calving first' });
+        }
+
+        const { date, error } = parseEventDate(req.body.occurredAt, animal);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        // A sire from the farmer's own herd is linked by tag so offspring can be traced to it
+        let sire = null;
+        if (sireTagId && sireTagId.trim()) {
+            const sireAnimal = await Animal.findByTagId(sireTagId.trim());
+            if (!sireAnimal || sireAnimal.ownerId.toString() !== req.session.userId) {
+                return res.status(400).json({ success: false, error: `No animal with tag ${sireTagId.trim()} in your herd` });
+            }
+            if (sireAnimal.sex === 'female' || sireAnimal._id.toString() === animal._id.toString()) {
+                return res.status(400).json({ success: false, error: `${sireAnimal.tagId} cannot be the sire` });
+            }
+            sire = { animalId: sireAnimal._id, name: sireAnimal.tagId };
+        } else if (sireName && sireName.trim()) {
+            sire = { animalId: null, name: sireName.trim() };
+        }
+
+        if (method === 'AI' && !(semenStrawId && semenStrawId.trim())) {
+            return res.status(400).json({ success: false, error: 'The semen straw ID is required for artificial insemination' });
+        }
+
+        if (method === 'NATURAL' && !sire) {
+            return res.status(400).json({ success: false, error: 'The sire is required for natural service' });
+        }
+
+        const expectedCalvingAt = BreedingRecord.getExpectedCalvingAt(animal.species, date);
+
+        await BreedingRecord.create({
+            animalId: animal._id,
+            ownerId: animal.ownerId,
+            type: 'SERVICE',
+            occurredAt: date,
+            method,
+            sire,
+            semenStrawId: method === 'AI' ? semenStrawId.trim() : '',
+            technician: technician ? technician.trim() : '',
+            expectedCalvingAt,
+            notes,
+            actor: StatusHistory.userActor(req.session)
+        });
+
+        // Warn when the offspring would be inbred (first-cousin level or closer)
+        let message = `Service recorded - calving expected around ${expectedCalvingAt.toLocaleDateString()} if she conceives`;
+        if (sire) {
+            const [mating] = await calculateMatingInbreeding(animal, [sire.animalId ? await Animal.findById(sire.animalId) : { name: sire.name }]);
+            if (mating.coefficient >= 0.0625) {
+                message += `. Warning: offspring inbreeding would be ${(mating.coefficient * 100).toFixed(1)}% (${describeInbreeding(mating.coefficient).label})`;
+            }
+        }
+
+        res.json({
+            success: true,
+            message,
+            expectedCalvingAt
+        });
+
+    } catch (error) {
+        console.error('Record service error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record service' });
+    }
+});
+
+// POST /animals/:id/breeding/diagnosis - Record a pregnancy diagnosis
+router.post('/animals/:id/breeding/diagnosis', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedFemale(req, res);
+        if (!animal) return;
+
+        const { result, diagnosisMethod, notes } = req.body;
+
+        if (result !== 'PREGNANT' && result !== 'OPEN') {
+            return res.status(400).json({ success: false, error: 'The diagnosis result must be pregnant or open' });
+        }
+
+        const { date, error } = parseEventDate(req.body.occurredAt, animal);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        // The diagnosis refers to the latest service before it
+        const records = await BreedingRecord.findByAnimal(animal._id);
+        const service = records.find(record => record.type === 'SERVICE' && new Date(record.occurredAt) <= date) || null;
+        const expectedCalvingAt = result === 'PREGNANT' && service
+            ? BreedingRecord.getExpectedCalvingAt(animal.species, service.occurredAt)
+            : null;
+
+        await BreedingRecord.create({
+            animalId: animal._id,
+            ownerId: animal.ownerId,
+            type: 'PREGNANCY_DIAGNOSIS',
+            occurredAt: date,
+            result,
+            diagnosisMethod,
+            serviceId: service ? service._id : null,
+            expectedCalvingAt,
+            notes,
+            actor: StatusHistory.userActor(req.session)
+        });
+
+        // Pregnancy on the animal drives the contraindication checks on new treatments
+        if (result === 'PREGNANT') {
+            await Animal.setPregnancy(animal._id, {
+                conceivedAt: service ? service.occurredAt : null,
+                confirmedAt: date
+            });
+        } else if (animal.pregnancy) {
+            await Animal.setPregnancy(animal._id, null);
+        }
+
+        res.json({
+            success: true,
+            message: result === 'PREGNANT'
+                ? `Pregnancy confirmed${expectedCalvingAt ? ` - calving expected around ${expectedCalvingAt.toLocaleDateString()}` : ''}`
+                : 'Recorded as open (not pregnant)',
+            expectedCalvingAt
+        });
+
+    } catch (error) {
+        console.error('Record pregnancy diagnosis error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record pregnancy diagnosis' });
+    }
+});
+
+// Offspring from the calving form - returns { offspring } or { error }. Live births need
+// a tag ID that isn't used yet; stillbirths are recorded without one.
+async function parseOffspring(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+        return { error: 'Add at least one calf, kid or lamb' };
+    }
+    if (list.length > MAX_OFFSPRING) {
+        return { error: `At most ${MAX_OFFSPRING} offspring can be registered from one birth` };
+    }
+
+    const outcomes = BreedingRecord.getBirthOutcomes();
+    const tags = new Set();
+    const offspring = [];
+
+    for (const [index, born] of list.entries()) {
+        const label = `Offspring ${index + 1}`;
+        const tagId = (born.tagId || '').trim();
+        const birthWeight = born.birthWeight ? parseFloat(born.birthWeight) : null;
+
+        if (!outcomes[born.outcome]) {
+            return { error: `${label}: choose born alive or stillborn` };
+        }
+        if (born.sex && born.sex !== 'female' && born.sex !== 'male') {
+            return { error: `${label}: invalid sex` };
+        }
+        if (birthWeight !== null && !(birthWeight > 0)) {
+            return { error: `${label}: birth weight must be greater than zero` };
+        }
+
+        if (born.outcome === 'LIVE') {
+            if (!tagId) {
+                return { error: `${label}: a tag ID is required to register a live birth` };
+            }
+            if (tags.has(tagId) || await Animal.findByTagId(tagId)) {
+                return { error: `${label}: tag ID ${tagId} is already in use` };
+            }
+            tags.add(tagId);
+        }
+
+        offspring.push({ tagId, sex: born.sex || null, birthWeight, outcome: born.outcome });
+    }
+
+    return { offspring };
+}
+
+// POST /animals/:id/breeding/calving - Register a birth: live offspring become animals
+// linked to their dam and sire, with the birth weight as their first weight record
+router.post('/animals/:id/breeding/calving', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedFemale(req, res);
+        if (!animal) return;
+
+        const { date, error } = parseEventDate(req.body.occurredAt, animal);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const parsed = await parseOffspring(req.body.offspring);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, error: parsed.error });
+        }
+
+        // The sire comes from the last service before the birth - not one from an earlier pregnancy
+        const records = (await BreedingRecord.findByAnimal(animal._id))
+            .filter(record => new Date(record.occurredAt) <= date);
+        const previousCalving = records.find(record => record.type === 'CALVING');
+        const service = records.find(record => record.type === 'SERVICE'
+            && (!previousCalving || new Date(record.occurredAt) > new Date(previousCalving.occurredAt))) || null;
+        const sire = service ? service.sire : null;
+
+        const offspring = [];
+        for (const born of parsed.offspring) {
+            if (born.outcome !== 'LIVE') {
+                offspring.push(born);
+                continue;
+            }
+
+            const newborn = await Animal.create({
+                tagId: born.tagId,
+                species: animal.species,
+                sex: born.sex,
+                breed: animal.breed,
+                dateOfBirth: date,
+                damId: animal._id,
+                sireId: sire ? sire.animalId : null,
+                sireName: sire ? sire.name : '',
+                ownerId: animal.ownerId
+            });
+
+            if (born.birthWeight) {
+                await WeightRecord.addWeightRecord({
+                    animalId: newborn._id,
+                    weight: born.birthWeight,
+                    recordedDate: date,
+                    notes: 'Birth weight'
+                });
+            }
+
+            offspring.push({ ...born, animalId: newborn._id });
+        }
+
+        await BreedingRecord.create({
+            animalId: animal._id,
+            ownerId: animal.ownerId,
+            type: 'CALVING',
+            occurredAt: date,
+            sire,
+            offspring,
+            notes: req.body.notes,
+            actor: StatusHistory.userActor(req.session)
+        });
+
+        // Calving ends the pregnancy and starts the days-open count
+        if (animal.pregnancy) {
+            await Animal.setPregnancy(animal._id, null);
+        }
+
+        const birthTerm = BreedingRecord.getSpeciesProfile(animal.species).birthTerm;
+        const registered = offspring.filter(born => born.animalId).map(born => born.tagId);
+        const stillborn = offspring.length - registered.length;
+
+        res.json({
+            success: true,
+            message: `${birthTerm.charAt(0).toUpperCase() + birthTerm.slice(1)} recorded`
+                + (offspring.length > 1 ? ` (${offspring.length} born)` : '')
+                + (registered.length > 0 ? ` - registered ${registered.join(', ')}` : '')
+                + (stillborn > 0 ? ` - ${stillborn} stillborn` : ''),
+            offspringIds: offspring.filter(born => born.animalId).map(born => born.animalId)
+        });
+
+    } catch (error) {
+        console.error('Record calving error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record calving' });
+    }
+});
+
+// GET /api/animals/:id/breeding - Breeding records and current reproductive status
+router.get('/api/animals/:id/breeding', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedFemale(req, res);
+        if (!animal) return;
+
+        const records = await BreedingRecord.findByAnimal(animal._id);
+
+        res.json({
+            success: true,
+            status: getReproductiveStatus(animal, records),
+            records
+        });
+
+    } catch (error) {
+        console.error('Breeding records error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load breeding records' });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Compliance = require('../models/Compliance');
+const HerdGroup = require('../models/HerdGroup');
+const { ObjectId } = require('mongodb');
 const { requireAuth, requireRole } = require('../middleware/auth');
 
 // GET: Compliance page
@@ -37,7 +39,7 @@ router.get('/compliance', requireAuth, requireRole('farmer'), async (req, res) =
 // POST: Toggle checklist item
 router.post('/api/compliance/toggle', requireAuth, requireRole('farmer'), async (req, res) => {
     try {
-        const { itemId } = req.body;
+        const { itemId, groupId } = req.body;
 
         if (!itemId) {
             return res.status(400).json({
@@ -46,7 +48,18 @@ router.post('/api/compliance/toggle', requireAuth, requireRole('farmer'), async
             });
         }
 
-        const result = await Compliance.toggleItem(req.session.userId, itemId);
+        // Checklist of a herd group instead of the whole farm
+        if (groupId) {
+            const group = ObjectId.isValid(groupId) ? await HerdGroup.findById(groupId) : null;
+            if (!group || group.ownerId.toString() !== req.session.userId || group.archivedAt) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+        }
+
+        const result = await Compliance.toggleItem(req.session.userId, itemId, groupId || null);
 
         res.json({
             success: true,
@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const FeedItem = require('../models/FeedItem');
+const FeedPurchase = require('../models/FeedPurchase');
+const FeedRecord = require('../models/FeedRecord');
+const Animal = require('../models/Animal');
+const HerdGroup = require('../models/HerdGroup');
+const { ObjectId } = require('mongodb');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { getFeedStockLevels, LOW_STOCK_DAYS } = require('../utils/feedStore');
+const { createFeedPricer, sumFeedCost, calculateAnimalFeedCosts, summarizeGroupFeedCost, getFeedCostTrends } = require('../utils/feedCost');
+
+const TREND_PERIODS = ['1m', '6m', '1y'];
+
+// Load a feed item the farmer owns - sends the error response and returns null otherwise
+async function findOwnedItem(req, res, id) {
+    const item = ObjectId.isValid(id) ? await FeedItem.findById(id) : null;
+
+    if (!item) {
+        res.status(404).json({ success: false, error: 'Feed item not found' });
+        return null;
+    }
+
+    if (item.farmerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    return item;
+}
+
+// Load a feed purchase the farmer owns - sends the error response and returns null otherwise
+async function findOwnedPurchase(req, res) {
+    const purchase = ObjectId.isValid(req.params.id) ? await FeedPurchase.findById(req.params.id) : null;
+
+    if (!purchase) {
+        res.status(404).json({ success: false, error: 'Feed purchase not found' });
+        return null;
+    }
+
+    if (purchase.farmerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    return purchase;
+}
+
+// Name, category and reorder level from the form - returns the fields or { error }
+function parseItemForm(body) {
+    const name = (body.name || '').trim();
+    if (!name) return { error: 'Feed name is required' };
+    if (!FeedItem.getCategories()[body.category]) return { error: 'Invalid feed category' };
+
+    const reorderLevel = body.reorderLevel === undefined || body.reorderLevel === '' ? 0 : parseFloat(body.reorderLevel);
+    if (isNaN(reorderLevel) || reorderLevel < 0) return { error: 'Reorder level cannot be negative' };
+
+    return { name, category: body.category, reorderLevel };
+}
+
+// GET /feed-store - Feed items with stock on hand, days left and purchases
+router.get('/feed-store', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const levels = await getFeedStockLevels(req.session.userId);
+        const purchases = await FeedPurchase.findByFarmer(req.session.userId);
+
+        res.render('farmer/feed-store', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            levels,
+            purchases,
+            categories: FeedItem.getCategories(),
+            lowStockDays: LOW_STOCK_DAYS
+        });
+
+    } catch (error) {
+        console.error('Feed store page error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load feed store'
+        });
+    }
+});
+
+// POST /feed-store/items - Add a feed the farm keeps in store
+router.post('/feed-store/items', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const form = parseItemForm(req.body);
+        if (form.error) {
+            return res.status(400).json({ success: false, error: form.error });
+        }
+
+        if (await FeedItem.findByFarmerAndName(req.session.userId, form.name)) {
+            return res.status(409).json({ success: false, error: `${form.name} is already in your feed store` });
+        }
+
+        const item = await FeedItem.create({ farmerId: req.session.userId, ...form });
+
+        res.json({ success: true, message: `${item.name} added to the feed store`, item });
+
+    } catch (error) {
+        console.error('Add feed item error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add feed item' });
+    }
+});
+
+// POST /feed-store/items/:id/edit - Rename a feed item or change its category or reorder level
+router.post('/feed-store/items/:id/edit', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const item = await findOwnedItem(req, res, req.params.id);
+        if (!item) return;
+
+        const form = parseItemForm({ name: item.name, category: item.category, reorderLevel: item.reorderLevel, ...req.body });
+        if (form.error) {
+            return res.status(400).json({ success: false, error: form.error });
+        }
+
+        const sameName = await FeedItem.findByFarmerAndName(req.session.userId, form.name);
+        if (sameName && sameName._id.toString() !== item._id.toString()) {
+            return res.status(409).json({ success: false, error: `${form.name} is already in your feed store` });
+        }
+
+        await FeedItem.update(item._id, form);
+        res.json({ success: true, message: 'Feed item updated' });
+
+    } catch (error) {
+        console.error('Edit feed item error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update feed item' });
+    }
+});
+
+// POST /feed-store/items/:id/nutrients - Set the item's row of the ration builder's nutrient table.
+// dryMatter % as fed, crudeProtein % of dry matter, energy MJ ME per kg dry matter; all blank clears it.
+router.post('/feed-store/items/:id/nutrients', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const item = await findOwnedItem(req, res, req.params.id);
+        if (!item) return;
+
+        const fields = ['dryMatter', 'crudeProtein', 'energy'];
+        if (fields.every(field => req.body[field] === undefined || req.body[field] === '')) {
+            await FeedItem.setNutrients(item._id, null);
+            return res.json({ success: true, message: `Nutrients cleared for ${item.name}` });
+        }
+
+        const nutrients = {
+            dryMatter: parseFloat(req.body.dryMatter),
+            crudeProtein: parseFloat(req.body.crudeProtein),
+            energy: parseFloat(req.body.energy)
+        };
+
+        if (!(nutrients.dryMatter > 0 && nutrients.dryMatter <= 100)) {
+            return res.status(400).json({ success: false, error: 'Dry matter must be between 0 and 100%' });
+        }
+        if (!(nutrients.crudeProtein >= 0 && nutrients.crudeProtein <= 100)) {
+            return res.status(400).json({ success: false, error: 'Crude protein must be between 0 and 100% of dry matter' });
+        }
+        if (!(nutrients.energy >= 0 && nutrients.energy <= 20)) {
+            return res.status(400).json({ success: false, error: 'Energy must be between 0 and 20 MJ per kg of dry matter' });
+        }
+
+        await FeedItem.setNutrients(item._id, nutrients);
+        res.json({ success: true, message: `Nutrients saved for ${item.name}` });
+
+    } catch (error) {
+        console.error('Feed item nutrients error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save nutrients' });
+    }
+});
+
+// POST /feed-store/purchases - Record a feed delivery
+router.post('/feed-store/purchases', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const { feedItemId, quantity, costPerKg, supplier, batchNumber, purchaseDate } = req.body;
+
+        const item = await findOwnedItem(req, res, feedItemId);
+        if (!item) return;
+
+        if (!(parseFloat(quantity) > 0)) {
+            return res.status(400).json({ success: false, error: 'Quantity must be greater than zero' });
+        }
+
+        if (!(parseFloat(costPerKg) >= 0)) {
+            return res.status(400).json({ success: false, error: 'A valid cost per kg is required' });
+        }
+
+        if (purchaseDate && (isNaN(new Date(purchaseDate).getTime()) || new Date(purchaseDate) > new Date())) {
+            return res.status(400).json({ success: false, error: 'Invalid purchase date' });
+        }
+
+        const purchase = await FeedPurchase.create({
+            farmerId: req.session.userId,
+            feedItemId: item._id,
+            feedName: item.name,
+            quantity,
+            costPerKg,
+            supplier: supplier ? supplier.trim() : '',
+            batchNumber: batchNumber ? batchNumber.trim() : '',
+            purchaseDate
+        });
+
+        res.json({
+            success: true,
+            message: `${purchase.quantityPurchased} kg of ${item.name} added to stock`,
+            purchaseId: purchase._id
+        });
+
+    } catch (error) {
+        console.error('Add feed purchase error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record purchase' });
+    }
+});
+
+// POST /feed-store/purchases/:id/discard - Write off what's left of a purchase (spoiled or lost)
+router.post('/feed-store/purchases/:id/discard', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const purchase = await findOwnedPurchase(req, res);
+        if (!purchase) return;
+
+        if (!purchase.discardedAt && purchase.quantityRemaining <= 0) {
+            return res.status(400).json({ success: false, error: 'Nothing is left of this purchase' });
+        }
+
+        const discarded = await FeedPurchase.discard(purchase._id);
+        if (!discarded) {
+            return res.status(400).json({ success: false, error: 'Purchase is already written off' });
+        }
+
+        res.json({ success: true, message: `${purchase.quantityRemaining} kg of ${purchase.feedName} written off` });
+
+    } catch (error) {
+        console.error('Discard feed purchase error:', error);
+        res.status(500).json({ success: false, error: 'Failed to write off purchase' });
+    }
+});
+
+// GET /api/feed-store - Stock on hand, daily use and days left per feed item
+router.get('/api/feed-store', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const levels = await getFeedStockLevels(req.session.userId);
+
+        res.json({
+            success: true,
+            items: levels.map(({ item, ...level }) => ({
+                id: item._id,
+                name: item.name,
+                category: item.category,
+                reorderLevel: item.reorderLevel,
+                ...level
+            }))
+        });
+
+    } catch (error) {
+        console.error('Feed store API error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load feed store' });
+    }
+});
+
+// GET /feed-store/costs - Feed cost per kg of gain and per litre, by animal and group, with the monthly trend
+router.get('/feed-store/costs', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const period = TREND_PERIODS.includes(req.query.period) ? req.query.period : '6m';
+        const priceRecord = await createFeedPricer(req.session.userId);
+
+        const animals = await Animal.findByOwner(req.session.userId);
+        const costsById = await calculateAnimalFeedCosts(animals, priceRecord);
+        const animalCosts = animals.map(animal => ({ animal, cost: costsById.get(animal._id.toString()) }));
+
+        // Group figures reuse the animal figures for the current members
+        const memberships = await HerdGroup.findActiveMembershipsByOwner(req.session.userId);
+        const groupCosts = [];
+        for (const group of await HerdGroup.findByOwner(req.session.userId)) {
+            const memberIds = memberships
+                .filter(membership => membership.groupId.toString() === group._id.toString())
+                .map(membership => membership.animalId.toString());
+            const members = animals.filter(animal => memberIds.includes(animal._id.toString()));
+            groupCosts.push({ group, headcount: members.length, cost: await summarizeGroupFeedCost(members, priceRecord, costsById) });
+        }
+
+        const totals = sumFeedCost(await FeedRecord.findByAnimalsBetween(animals.map(animal => animal._id), new Date(0), new Date()), priceRecord);
+
+        res.render('farmer/feed-costs', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            period,
+            trends: await getFeedCostTrends(req.session.userId, period),
+            animalCosts: animalCosts.filter(({ cost }) => cost.feedConsumed > 0),
+            groupCosts,
+            totals
+        });
+
+    } catch (error) {
+        console.error('Feed costs page error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load feed costs'
+        });
+    }
+});
+
+// GET /api/feed-costs - Monthly feed cost trend (period 1m, 6m or 1y) and cost per animal
+router.get('/api/feed-costs', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const period = TREND_PERIODS.includes(req.query.period) ? req.query.period : '6m';
+        const priceRecord = await createFeedPricer(req.session.userId);
+
+        const owned = await Animal.findByOwner(req.session.userId);
+        const costsById = await calculateAnimalFeedCosts(owned, priceRecord);
+        const animals = owned.map(animal => ({ id: animal._id, tagId: animal.tagId, ...costsById.get(animal._id.toString()) }));
+
+        res.json({
+            success: true,
+            period,
+            trends: await getFeedCostTrends(req.session.userId, period),
+            animals
+        });
+
+    } catch (error) {
+        console.error('Feed costs API error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load feed costs' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,474 @@
+const express = require('express');
+const router = express.Router();
+const Animal = require('../models/Animal');
+const HerdGroup = require('../models/HerdGroup');
+const WeightRecord = require('../models/WeightRecord');
+const GroupFeeding = require('../models/GroupFeeding');
+const FeedItem = require('../models/FeedItem');
+const Ration = require('../models/Ration');
+const Compliance = require('../models/Compliance');
+const Formulary = require('../models/Formulary');
+const MedicineStock = require('../models/MedicineStock');
+const StatusHistory = require('../models/StatusHistory');
+const { ObjectId } = require('mongodb');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { summarizeGroup, feedGroup } = require('../utils/herdGroups');
+const { resolveFeedItem } = require('../utils/feedStore');
+const { createFeedPricer, summarizeGroupFeedCost } = require('../utils/feedCost');
+
+// Load a group the farmer owns - sends the error response and returns null otherwise
+async function findOwnedGroup(req, res) {
+    const group = ObjectId.isValid(req.params.id) ? await HerdGroup.findById(req.params.id) : null;
+
+    if (!group || group.archivedAt) {
+        res.status(404).json({ success: false, error: 'Group not found' });
+        return null;
+    }
+
+    if (group.ownerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    return group;
+}
+
+async function findMembers(group) {
+    const members = await Animal.findByIds(await HerdGroup.findMemberIds(group._id));
+    return members.sort((a, b) => a.tagId.localeCompare(b.tagId));
+}
+
+// Formulary medicines every species in the group can be given
+async function findGroupMedicines(members) {
+    const species = [...new Set(members.map(animal => Formulary.normalizeSpecies(animal.species)))];
+    if (species.length === 0) return [];
+
+    const lists = await Promise.all(species.map(name => Formulary.findCurrentBySpecies(name)));
+    return lists[0]
+        .filter(medicine => lists.every(list => list.some(other => other.code === medicine.code)))
+        .map(medicine => ({ ...medicine, lockDays: Formulary.getLockDays(medicine.withdrawalPeriod) }));
+}
+
+// Name and type from the form - returns { name, type, description } or { error }
+function parseGroupForm(body) {
+    const name = (body.name || '').trim();
+    if (!name) return { error: 'Group name is required' };
+    if (!HerdGroup.getTypes()[body.type]) return { error: 'Choose pen, shed, lot or grazing batch' };
+    return { name, type: body.type, description: (body.description || '').trim() };
+}
+
+// GET /groups - Herd groups with headcount, health and FCR
+router.get('/groups', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const groups = await HerdGroup.findByOwner(req.session.userId);
+
+        // Every group's members in one read, split out by membership
+        const memberships = await HerdGroup.findActiveMembershipsByOwner(req.session.userId);
+        const animalsById = new Map((await Animal.findByIds(memberships.map(membership => membership.animalId)))
+            .map(animal => [animal._id.toString(), animal]));
+
+        const summaries = [];
+        for (const group of groups) {
+            const members = memberships
+                .filter(membership => membership.groupId.toString() === group._id.toString())
+                .map(membership => animalsById.get(membership.animalId.toString()))
+                .filter(Boolean)
+                .sort((a, b) => a.tagId.localeCompare(b.tagId));
+            summaries.push({ group, summary: await summarizeGroup(members) });
+        }
+
+        // Animals not in any group
+        const grouped = new Set(memberships.map(membership => membership.animalId.toString()));
+        const ungroupedCount = (await Animal.findByOwner(req.session.userId))
+            .filter(animal => !grouped.has(animal._id.toString())).length;
+
+        res.render('farmer/groups', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            summaries,
+            ungroupedCount,
+            groupTypes: HerdGroup.getTypes()
+        });
+
+    } catch (error) {
+        console.error('Groups error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load groups'
+        });
+    }
+});
+
+// POST /groups - Create a group
+router.post('/groups', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const form = parseGroupForm(req.body);
+        if (form.error) {
+            return res.status(400).json({ success: false, error: form.error });
+        }
+
+        if (await HerdGroup.findByOwnerAndName(req.session.userId, form.name)) {
+            return res.status(409).json({ success: false, error: `You already have a group called ${form.name}` });
+        }
+
+        const group = await HerdGroup.create({ ownerId: req.session.userId, ...form });
+
+        res.json({ success: true, message: `${HerdGroup.getTypes()[group.type]} ${group.name} created`, group });
+
+    } catch (error) {
+        console.error('Create group error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create group' });
+    }
+});
+
+// GET /groups/:id - Group view with members, history and group actions
+router.get('/groups/:id', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const group = ObjectId.isValid(req.params.id) ? await HerdGroup.findById(req.params.id) : null;
+
+        if (!group || group.archivedAt) {
+            return res.status(404).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Group not found'
+            });
+        }
+
+        // Verify ownership
+        if (group.ownerId.toString() !== req.session.userId) {
+            return res.status(403).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Access denied'
+            });
+        }
+
+        const members = await findMembers(group);
+        const summary = await summarizeGroup(members);
+
+        // Animals that can be added - moving one takes it out of its current group of this type
+        const herd = await Animal.findByOwner(req.session.userId);
+        const memberIds = new Set(members.map(animal => animal._id.toString()));
+        const otherGroups = new Map((await HerdGroup.findByOwner(req.session.userId)).map(other => [other._id.toString(), other]));
+        const sameTypeGroup = new Map();
+        (await HerdGroup.findActiveMembershipsByOwner(req.session.userId))
+            .filter(membership => membership.groupType === group.type)
+            .forEach(membership => sameTypeGroup.set(membership.animalId.toString(), otherGroups.get(membership.groupId.toString())));
+        const candidates = herd
+            .filter(animal => !memberIds.has(animal._id.toString()))
+            .map(animal => ({ animal, currentGroup: sameTypeGroup.get(animal._id.toString()) || null }));
+
+        // Membership history with tags, including animals since removed from the herd
+        const tags = new Map(herd.map(animal => [animal._id.toString(), animal.tagId]));
+        const history = (await HerdGroup.findMembershipHistory(group._id)).map(membership => ({
+            ...membership,
+            tagId: tags.get(membership.animalId.toString()) || null
+        }));
+
+        // Recent group feedings with each animal's share
+        const feedings = (await GroupFeeding.findByGroup(group._id, 10)).map(feeding => ({
+            ...feeding,
+            allocations: feeding.allocations.map(allocation => ({
+                ...allocation,
+                tagId: tags.get(allocation.animalId.toString()) || null
+            }))
+        }));
+
+        const rationSchedule = await Ration.findActiveScheduleByGroup(group._id);
+
+        const todayCompliance = await Compliance.getTodayCompliance(req.session.userId, group._id);
+
+        const now = new Date();
+        const stockLots = (await MedicineStock.findInStockByFarmer(req.session.userId))
+            .filter(lot => MedicineStock.getExpiryStatus(lot, now) !== 'EXPIRED');
+
+        res.render('farmer/group', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            group,
+            groupTypes: HerdGroup.getTypes(),
+            members,
+            summary,
+            candidates,
+            history,
+            checklist: Compliance.getChecklistItems(),
+            completedItems: todayCompliance.completedItems || [],
+            complianceScore: todayCompliance.score || 0,
+            averageComplianceScore: await Compliance.getAverageScore(req.session.userId, 7, group._id),
+            medicines: await findGroupMedicines(members),
+            stockLots,
+            feedings,
+            ration: rationSchedule ? await Ration.findById(rationSchedule.rationId) : null,
+            allocationMethods: GroupFeeding.getAllocationMethods(),
+            feedItems: await FeedItem.findByFarmer(req.session.userId),
+            feedCost: await summarizeGroupFeedCost(members, await createFeedPricer(req.session.userId))
+        });
+
+    } catch (error) {
+        console.error('Group view error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load group'
+        });
+    }
+});
+
+// POST /groups/:id/edit - Rename a group or change its description. The type stays
+// fixed because memberships are kept unique per type.
+router.post('/groups/:id/edit', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const group = await findOwnedGroup(req, res);
+        if (!group) return;
+
+        const form = parseGroupForm({ ...req.body, type: group.type });
+        if (form.error) {
+            return res.status(400).json({ success: false, error: form.error });
+        }
+
+        const sameName = await HerdGroup.findByOwnerAndName(req.session.userId, form.name);
+        if (sameName && sameName._id.toString() !== group._id.toString()) {
+            return res.status(409).json({ success: false, error: `You already have a group called ${form.name}` });
+        }
+
+        await HerdGroup.update(group._id, form);
+        res.json({ success: true, message: 'Group updated' });
+
+    } catch (error) {
+        console.error('Edit group error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update group' });
+    }
+});
+
+// POST /groups/:id/archive - Close a group; its members leave it and the history is kept
+router.post('/groups/:id/archive', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const group = await findOwnedGroup(req, res);
+        if (!group) return;
+
+        await HerdGroup.archive(group._id, StatusHistory.userActor(req.session));
+        res.json({ success: true, message: `${group.name} archived` });
+
+    } catch (error) {
+        console.error('Archive group error:', error);
+        res.status(500).json({ success: false, error: 'Failed to archive group' });
+    }
+});
+
+// POST /groups/:id/members - Add animals, moving them out of their group of the same type
+router.post('/groups/:id/members', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const group = await findOwnedGroup(req, res);
+        if (!group) return;
+
+        const animalIds = [].concat(req.body.animalIds || []);
+        if (animalIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'Choose the animals to add' });
+        }
+
+        const animals = await Promise.all(animalIds.map(id => (ObjectId.isValid(id) ? Animal.findById(id) : null)));
+        if (animals.some(animal => !animal || animal.ownerId.toString() !== req.session.userId)) {
+            return res.status(404).json({ success: false, error: 'Animal not found in your herd' });
+        }
+
+        const actor = StatusHistory.userActor(req.session);
+        const added = [];
+        const moved = [];
+        for (const animal of animals) {
+            const previousGroup = await HerdGroup.addMember(group, animal._id, actor);
+            if (previousGroup === false) continue;
+
+            added.push(animal.tagId);
+            if (previousGroup) moved.push(`${animal.tagId} from ${previousGroup.name}`);
+        }
+
+        res.json({
+            success: true,
+            message: added.length > 0
+                ? `Added ${added.join(', ')} to ${group.name}${moved.length > 0 ? ' (moved ' + moved.join(', ') + ')' : ''}`
+                : 'These animals are already in the group'
+        });
+
+    } catch (error) {
+        console.error('Add group members error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add animals to group' });
+    }
+});
+
+// POST /groups/:id/members/:animalId/remove - Take an animal out of the group
+router.post('/groups/:id/members/:animalId/remove', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const group = await findOwnedGroup(req, res);
+        if (!group) return;
+
+        const removed = ObjectId.isValid(req.params.animalId)
+            && await HerdGroup.removeMember(group._id, req.params.animalId, StatusHistory.userActor(req.session));
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Animal is not in this group' });
+        }
+
+        res.json({ success: true, message: 'Animal removed from group' });
+
+    } catch (error) {
+        console.error('Remove group member error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove animal from group' });
+    }
+});
+
+// POST /groups/:id/weights - Weigh day: one weight per member, blank entries skipped
+router.post('/groups/:id/weights', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const group = await findOwnedGroup(req, res);
+        if (!group) return;
+
+        const memberIds = (await HerdGroup.findMemberIds(group._id)).map(id => id.toString());
+        const entries = (req.body.weights || []).filter(entry => entry && entry.weight !== '' && entry.weight !== null && entry.weight !== undefined);
+
+        if (entries.length === 0) {
+            return res.status(400).json({ success: false, error: 'Enter at least one weight' });
+        }
+
+        if (entries.some(entry => !memberIds.includes(String(entry.animalId)))) {
+            return res.status(400).json({ success: false, error: 'Weights can only be recorded for animals in the group' });
+        }
+
+        if (entries.some(entry => !(parseFloat(entry.weight) > 0))) {
+            return res.status(400).json({ success: false, error: 'Weights must be greater than zero' });
+        }
+
+        const recordedDate = req.body.recordedDate ? new Date(req.body.recordedDate) : new Date();
+        if (isNaN(recordedDate.getTime()) || recordedDate > new Date()) {
+            return res.status(400).json({ success: false, error: 'Invalid weighing date' });
+        }
+
+        for (const entry of entries) {
+            await WeightRecord.addWeightRecord({
+                animalId: entry.animalId,
+                weight: entry.weight,
+                recordedDate,
+                notes: req.body.notes || `Group weighing - ${group.name}`
+            });
+
+            // Weight trend is part of the health score
+            await Animal.recomputeHealthScore(entry.animalId);
+        }
+
+        res.json({ success: true, message: `Weights recorded for ${entries.length} animal(s)` });
+
+    } catch (error) {
+        console.error('Group weights error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record weights' });
+    }
+});
+
+// POST /groups/:id/feed - One feed for the whole group, split into a feed record per member.
+// Either totalAmount with allocation HEADCOUNT or BODY_WEIGHT, or feedAmountPerHead for equal shares.
+router.post('/groups/:id/feed', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const group = await findOwnedGroup(req, res);
+        if (!group) return;
+
+        const { feedType, notes } = req.body;
+        const memberIds = await HerdGroup.findMemberIds(group._id);
+        if (memberIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'There are no animals in this group to feed' });
+        }
+
+        const perHead = req.body.feedAmountPerHead !== undefined && req.body.feedAmountPerHead !== '';
+        const totalAmount = perHead
+            ? parseFloat(req.body.feedAmountPerHead) * memberIds.length
+            : parseFloat(req.body.totalAmount);
+        const method = perHead ? 'HEADCOUNT' : (req.body.allocation || 'HEADCOUNT');
+
+        if (!(totalAmount > 0)) {
+            return res.status(400).json({ success: false, error: 'Feed amount must be greater than zero' });
+        }
+
+        if (!GroupFeeding.getAllocationMethods()[method]) {
+            return res.status(400).json({ success: false, error: 'Split the feed by headcount or body weight' });
+        }
+
+        const feedDate = req.body.feedDate ? new Date(req.body.feedDate) : new Date();
+        if (isNaN(feedDate.getTime()) || feedDate > new Date()) {
+            return res.status(400).json({ success: false, error: 'Invalid feed date' });
+        }
+
+        // Body weight split uses each member's latest weight on or before the feed date
+        let weights = [];
+        if (method === 'BODY_WEIGHT') {
+            weights = await Promise.all(memberIds.map(id => WeightRecord.getWeightOn(id, feedDate)));
+
+            const unweighed = [];
+            for (let i = 0; i < memberIds.length; i++) {
+                if (!weights[i]) unweighed.push((await Animal.findById(memberIds[i])).tagId);
+            }
+            if (unweighed.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `No weight recorded by ${feedDate.toLocaleDateString()} for ${unweighed.join(', ')} - weigh them first or split by headcount`
+                });
+            }
+        }
+
+        // Feed types that name a feed store item are deducted from its stock
+        const feedItem = await resolveFeedItem(req.session.userId, req.body);
+        if (req.body.feedItemId && !feedItem) {
+            return res.status(404).json({ success: false, error: 'Feed item not found' });
+        }
+
+        const { feeding, amounts, shortfall } = await feedGroup(group, memberIds, {
+            totalAmount,
+            method,
+            weights: method === 'BODY_WEIGHT' ? weights.map(record => record.weight) : null,
+            feedItem,
+            feedType,
+            feedDate,
+            notes,
+            actor: StatusHistory.userActor(req.session)
+        });
+
+        const smallest = Math.min(...amounts);
+        const largest = Math.max(...amounts);
+        res.json({
+            success: true,
+            message: `${Math.round(totalAmount * 100) / 100} kg ${feeding.feedType} split across ${memberIds.length} animal(s) ${GroupFeeding.getAllocationMethods()[method].toLowerCase()}`
+                + (smallest === largest ? ` - ${smallest} kg each` : ` - ${smallest} to ${largest} kg each`)
+                + (shortfall > 0 ? `. Only ${Math.round((totalAmount - shortfall) * 100) / 100} kg was in store - record the purchase to keep stock right` : ''),
+            feeding
+        });
+
+    } catch (error) {
+        console.error('Group feed error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record group feed' });
+    }
+});
+
+// GET /api/groups/:id - Group summary and current members
+router.get('/api/groups/:id', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const group = await findOwnedGroup(req, res);
+        if (!group) return;
+
+        const members = await findMembers(group);
+        const { latestWeights, fcrs, ...summary } = await summarizeGroup(members);
+        const { byAnimal, ...feedCost } = await summarizeGroupFeedCost(members, await createFeedPricer(req.session.userId));
+
+        res.json({
+            success: true,
+            group,
+            summary,
+            feedCost,
+            members: members.map(animal => ({
+                id: animal._id,
+                tagId: animal.tagId,
+                species: animal.species,
+                status: animal.status,
+                healthScore: animal.healthScore,
+                latestWeight: latestWeights[animal._id.toString()] || null,
+                fcr: fcrs[animal._id.toString()] || null,
+                costPerKgGain: byAnimal[animal._id.toString()].costPerKgGain
+            }))
+        });
+
+    } catch (error) {
+        console.error('Group summary error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load group' });
+    }
+});
+
+module.exports = router;
@@ -1,76 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth, requireRole } = require('../middleware/auth');
-const {
-    getMedicinesBySpecies,
-    getMedicineById,
-    searchByTreatment,
-    getMedicineCategories,
-    calculateDosage
-} = require('../utils/veterinaryGuide');
+const Formulary = require('../models/Formulary');
 
 // GET: Medicine guide page (view all medicines for a species)
-router.get('/medicine-guide', requireAuth, requireRole('farmer'), (req, res) => {
-    const species = req.query.species || 'cattle';
-    const searchQuery = req.query.search || '';
-    const disease = req.query.disease || '';
+router.get('/medicine-guide', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const species = req.query.species || 'cattle';
+        const searchQuery = req.query.search || '';
+        const disease = req.query.disease || '';
 
-    let medicines = getMedicinesBySpecies(species);
+        const allMedicines = await Formulary.findCurrentBySpecies(species);
+        let medicines = allMedicines;
 
-    // Filter by search query if provided
-    if (searchQuery) {
-        medicines = searchByTreatment(species, searchQuery);
-    }
+        // Filter by search query if provided
+        if (searchQuery) {
+            medicines = Formulary.filterByTreatment(allMedicines, searchQuery);
+        }
 
-    // Filter by disease if coming from diagnosis
-    if (disease) {
-        medicines = searchByTreatment(species, disease);
-    }
+        // Filter by disease if coming from diagnosis
+        if (disease) {
+            medicines = Formulary.filterByTreatment(allMedicines, disease);
+        }
 
-    const categories = getMedicineCategories(species);
-
-    res.render('farmer/medicine-guide', {
-        user: {
-            id: req.session.userId,
-            name: req.session.userName,
-            role: req.session.userRole
-        },
-        species,
-        medicines,
-        searchQuery,
-        disease  // Pass disease to template
-    });
+        res.render('farmer/medicine-guide', {
+            user: {
+                id: req.session.userId,
+                name: req.session.userName,
+                role: req.session.userRole
+            },
+            species,
+            medicines,
+            searchQuery,
+            disease  // Pass disease to template
+        });
+    } catch (error) {
+        console.error('❌ Error loading medicine guide:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load medicine guide'
+        });
+    }
 });
 
 // GET: Detailed medicine information
-router.get('/medicine/:species/:medicineId', requireAuth, requireRole('farmer'), (req, res) => {
-    const { species, medicineId } = req.params;
-    const medicine = getMedicineById(species, medicineId);
+router.get('/medicine/:species/:medicineId', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const { species, medicineId } = req.params;
+        const medicine = await Formulary.findCurrentByCode(species, medicineId);
+
+        if (!medicine) {
+            return res.status(404).render('error', {
+                user: {
+                    id: req.session.userId,
+                    name: req.session.userName,
+                    role: req.session.userRole
+                },
+                error: 'Medicine not found'
+            });
+        }
 
-    if (!medicine) {
-        return res.status(404).render('error', {
+        res.render('farmer/medicine-detail', {
             user: {
                 id: req.session.userId,
                 name: req.session.userName,
                 role: req.session.userRole
             },
-            error: 'Medicine not found'
+            species,
+            medicine
+        });
+    } catch (error) {
+        console.error('❌ Error loading medicine:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load medicine'
         });
     }
-
-    res.render('farmer/medicine-detail', {
-        user: {
-            id: req.session.userId,
-            name: req.session.userName,
-            role: req.session.userRole
-        },
-        species,
-        medicine
-    });
 });
 
 // POST: Calculate dosage for specific animal
-router.post('/medicine/calculate-dosage', requireAuth, requireRole('farmer'), (req, res) => {
+router.post('/medicine/calculate-dosage', requireAuth, requireRole('farmer'), async (req, res) => {
     try {
         const { species, medicineId, weight } = req.body;
 
@@ -89,7 +98,8 @@ router.post('/medicine/calculate-dosage', requireAuth, requireRole('farmer'), (r
             });
         }
 
-        const dosageInfo = calculateDosage(species, medicineId, weightNum);
+        const medicine = await Formulary.findCurrentByCode(species, medicineId);
+        const dosageInfo = medicine ? Formulary.calculateDosage(medicine, weightNum) : null;
 
         if (!dosageInfo) {
             return res.status(404).json({
@@ -113,22 +123,31 @@ router.post('/medicine/calculate-dosage', requireAuth, requireRole('farmer'), (r
 });
 
 // API: Search medicines by treatment
-router.get('/api/medicines/search', requireAuth, requireRole('farmer'), (req, res) => {
-    const { species, treatment } = req.query;
+router.get('/api/medicines/search', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const { species, treatment } = req.query;
+
+        if (!species || !treatment) {
+            return res.status(400).json({
+                success: false,
+                error: 'Species and treatment query required'
+            });
+        }
 
-    if (!species || !treatment) {
-        return res.status(400).json({
+        const medicines = await Formulary.findCurrentBySpecies(species);
+        const results = Formulary.filterByTreatment(medicines, treatment);
+
+        res.json({
+            success: true,
+            results
+        });
+    } catch (error) {
+        console.error('❌ Error searching medicines:', error);
+        res.status(500).json({
             success: false,
-            error: 'Species and treatment query required'
+            error: 'Failed to search medicines'
         });
     }
-
-    const results = searchByTreatment(species, treatment);
-
-    res.json({
-        success: true,
-        results
-    });
 });
 
 module.exports = router;
@@ -5,7 +5,7 @@ const Animal = require('../models/Animal');
 const MedicalLog = require('../models/MedicalLog');
 const User = require('../models/User');
 const { requireAuth, requireRole } = require('../middleware/auth');
-const { checkBioSafety } = require('../middleware/bioSafety');
+const { checkBioSafety, getWithdrawalLockType } = require('../middleware/bioSafety');
 
 // GET /marketplace - Browse products (accessible to all authenticated users)
 router.get('/marketplace', requireAuth, async (req, res) => {
@@ -25,7 +25,11 @@ router.get('/marketplace', requireAuth, async (req, res) => {
                         tagId: animal.tagId,
                         species: animal.species,
                         breed: animal.breed,
-                        healthScore: animal.healthScore
+                        healthScore: animal.healthScore,
+                        // Only the components that moved the score, for the "why" line
+                        healthFactors: animal.healthScoreBreakdown
+                            ? animal.healthScoreBreakdown.components.filter(c => c.points !== 0)
+                            : []
                     } : null,
                     seller: seller ? {
                         name: seller.name
@@ -51,13 +55,21 @@ router.get('/marketplace', requireAuth, async (req, res) => {
 // GET /list-product - Show product listing form (farmers only)
 router.get('/list-product', requireAuth, requireRole('farmer'), async (req, res) => {
     try {
-        // Get only HEALTHY animals owned by this farmer
+        // Quarantined animals can't be listed. Locked animals stay selectable because a
+        // meat lock doesn't stop milk sales (and vice versa) - checkBioSafety decides per product.
         const allAnimals = await Animal.findByOwner(req.session.userId);
-        const healthyAnimals = allAnimals.filter(a => a.status === 'HEALTHY');
+        const now = new Date();
+        const listableAnimals = allAnimals
+            .filter(a => a.status !== 'QUARANTINE')
+            .map(a => ({
+                ...a,
+                meatLockEndsAt: Animal.getWithdrawalEndsAt(a, 'meat', now),
+                milkLockEndsAt: Animal.getWithdrawalEndsAt(a, 'milk', now)
+            }));
 
         res.render('farmer/list-product', {
             user: { role: req.session.userRole, name: req.session.userName },
-            animals: healthyAnimals,
+            animals: listableAnimals,
             error: null
         });
 
@@ -159,6 +171,53 @@ router.get('/my-products', requireAuth, requireRole('farmer'), async (req, res)
     }
 });
 
+// GET /marketplace/products/:id/bio-link - Traceability report for a listing
+router.get('/marketplace/products/:id/bio-link', requireAuth, async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+
+        if (!product) {
+            return res.status(404).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Product not found'
+            });
+        }
+
+        const animal = await Animal.findById(product.animalId);
+        const seller = await User.findById(product.sellerId);
+
+        // Voided logs were entered in error and aren't part of the animal's history
+        const logs = animal ? await MedicalLog.findUnvoidedByAnimal(animal._id) : [];
+        const medicalLogs = logs.slice(0, 5).map(log => ({
+            ...log,
+            vetSupervised: MedicalLog.isVetSupervised(log)
+        }));
+
+        res.render('marketplace/bio-link', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            product,
+            seller: seller ? { name: seller.name } : null,
+            animal,
+            medicalLogs,
+            lastVaccination: logs.find(log => log.vaccination || /vaccin/i.test(log.medicineName)) || null,
+            // Only claimed while the animal is clear of the withdrawal lock for this product
+            withdrawalClear: !!animal && animal.status !== 'QUARANTINE'
+                && !Animal.getWithdrawalEndsAt(animal, getWithdrawalLockType(product.productType)),
+            stats: {
+                totalMedications: logs.length,
+                vetSupervised: logs.filter(log => MedicalLog.isVetSupervised(log)).length
+            }
+        });
+
+    } catch (error) {
+        console.error('Bio-link error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load traceability report'
+        });
+    }
+});
+
 module.exports = router;
 
 // DELETE /products/:id - Delete a product (farmer only)
@@ -3,8 +3,248 @@ const router = express.Router();
 const Animal = require('../models/Animal');
 const MedicalLog = require('../models/MedicalLog');
 const { requireAuth, requireRole } = require('../middleware/auth');
-const { getAllMedicines, getMedicineByName } = require('../utils/medicines');
-const { calculateMedicationImpact, boundHealthScore } = require('../utils/healthScore');
+const Formulary = require('../models/Formulary');
+const TreatmentCourse = require('../models/TreatmentCourse');
+const StatusHistory = require('../models/StatusHistory');
+const MedicineStock = require('../models/MedicineStock');
+const Prescription = require('../models/Prescription');
+const BreedingRecord = require('../models/BreedingRecord');
+const HerdGroup = require('../models/HerdGroup');
+const { ObjectId } = require('mongodb');
+const { runTreatmentChecks, findUnacknowledged } = require('../utils/treatmentSafety');
+const { findProtocol, getProtocolsForAnimal, getVaccinationSchedule } = require('../utils/vaccinationSchedule');
+const { getReproductiveStatus } = require('../utils/breeding');
+const { refreshMilkDiscard } = require('../utils/lactation');
+
+// Meat and milk safe dates counted from the last dose
+function calculateSafeDates(lastDoseAt, withdrawalPeriod) {
+    const meatSafeDate = new Date(lastDoseAt);
+    meatSafeDate.setDate(meatSafeDate.getDate() + withdrawalPeriod.meat);
+    const milkSafeDate = new Date(lastDoseAt);
+    milkSafeDate.setDate(milkSafeDate.getDate() + withdrawalPeriod.milk);
+
+    return { meatSafeDate, milkSafeDate };
+}
+
+// Locks still to be enforced - a back-dated treatment may already be clear
+function pendingLocks(withdrawalPeriod, { meatSafeDate, milkSafeDate }, now = new Date()) {
+    return {
+        meat: withdrawalPeriod.meat > 0 && meatSafeDate > now ? meatSafeDate : null,
+        milk: withdrawalPeriod.milk > 0 && milkSafeDate > now ? milkSafeDate : null
+    };
+}
+
+// Administration time from the form: defaults to now, never in the future
+function parseAdministeredAt(value, now = new Date()) {
+    if (!value) return now;
+
+    const administeredAt = new Date(value);
+    if (isNaN(administeredAt.getTime())) return null;
+
+    // Allow a few minutes of clock difference with the browser
+    if (administeredAt > now) {
+        return administeredAt - now <= 5 * 60 * 1000 ? now : null;
+    }
+    return administeredAt;
+}
+
+// Medicine from the form: a current formulary entry for the animal's species, or a
+// custom medicine with its own withdrawal days. Returns { medicine, withdrawalPeriod,
+// formularyReference } or { error }.
+async function resolveMedicine(animal, { medicineId, customMedicine, meatWithdrawalDays, milkWithdrawalDays }) {
+    if (medicineId === 'custom') {
+        if (!customMedicine || !customMedicine.trim()) {
+            return { error: 'Custom medicine name is required' };
+        }
+
+        return {
+            medicine: { code: null, name: customMedicine.trim() },
+            withdrawalPeriod: {
+                meat: parseInt(meatWithdrawalDays) || 0,
+                milk: parseInt(milkWithdrawalDays) || 0
+            },
+            formularyReference: null
+        };
+    }
+
+    // Withdrawal periods always come from the current formulary entry
+    const medicine = await Formulary.findCurrentByCode(animal.species, medicineId);
+    if (!medicine) {
+        return { error: 'Medicine not found in formulary for this species' };
+    }
+
+    return {
+        medicine,
+        withdrawalPeriod: Formulary.getLockDays(medicine.withdrawalPeriod),
+        formularyReference: Formulary.toLogReference(medicine)
+    };
+}
+
+// Check a stock lot can supply this dose - returns { lot } or { error }
+// medicine: { code, name } - code is null for custom medicines
+async function checkStockLot(req, lotId, quantity, medicine) {
+    const lot = ObjectId.isValid(lotId) ? await MedicineStock.findById(lotId) : null;
+
+    if (!lot || lot.farmerId.toString() !== req.session.userId) {
+        return { error: 'Stock lot not found' };
+    }
+
+    if (lot.discardedAt) {
+        return { error: `Lot ${lot.lotNumber} has been written off` };
+    }
+
+    const sameMedicine = lot.medicineCode
+        ? lot.medicineCode === medicine.code
+        : !medicine.code && lot.medicineName.toLowerCase() === medicine.name.toLowerCase();
+    if (!sameMedicine) {
+        return { error: `Lot ${lot.lotNumber} is ${lot.medicineName}, not ${medicine.name}` };
+    }
+
+    // Checked as of today - the stock is drawn now, so back-dating the dose doesn't
+    // make an expired lot usable (and a lot in date today was in date before)
+    if (MedicineStock.getExpiryStatus(lot, new Date()) === 'EXPIRED') {
+        return { error: `Lot ${lot.lotNumber} expired on ${new Date(lot.expiryDate).toLocaleDateString()} and cannot be administered` };
+    }
+
+    if (!(quantity > 0)) {
+        return { error: 'Quantity used must be greater than zero' };
+    }
+
+    if (lot.quantityRemaining < quantity) {
+        return { error: `Only ${lot.quantityRemaining} ${lot.unit} left in lot ${lot.lotNumber}` };
+    }
+
+    return { lot };
+}
+
+// Deduct the dose from the lot before the log is written - the deduction only
+// succeeds while enough is left, so the log never points at stock that wasn't there
+async function drawFromStock(lot, quantity, animalId) {
+    const medicalLogId = new ObjectId();
+    const deducted = await MedicineStock.deduct(lot._id, quantity, { medicalLogId, animalId });
+
+    return deducted
+        ? { medicalLogId, stock: MedicineStock.toLogReference(lot, quantity) }
+        : null;
+}
+
+// Put a draw back in its lot when the log it was taken for couldn't be written
+async function returnDraw(drawn) {
+    if (drawn) await MedicineStock.restore(drawn.stock.lotId, drawn.medicalLogId);
+}
+
+// Prescription being given - must be for this animal and still open. Returns
+// { prescription } or { status, error }.
+async function findOpenPrescription(animal, prescriptionId) {
+    const prescription = ObjectId.isValid(prescriptionId) ? await Prescription.findById(prescriptionId) : null;
+
+    if (!prescription || prescription.animalId.toString() !== animal._id.toString()) {
+        return { status: 404, error: 'Prescription not found for this animal' };
+    }
+
+    if (!Prescription.isOpen(prescription)) {
+        return {
+            status: 400,
+            error: prescription.status === 'ISSUED'
+                ? 'This prescription has expired - ask the vet for a new one'
+                : `This prescription has already been ${prescription.status.toLowerCase()}`
+        };
+    }
+
+    return { prescription };
+}
+
+// Write a treatment that passed its checks: the course for a multi-dose treatment, the
+// medical log, the prescription it dispenses, the withdrawal locks and the health score.
+// drawn is the first dose already taken from stock (drawFromStock), or null - if the
+// course or log fails to save, the draw goes back to the lot and no course is left.
+async function recordTreatment(req, animal, treatment, now = new Date()) {
+    const {
+        medicine, withdrawalPeriod, formularyReference, administeredAt, totalDoses, intervalHours,
+        dosage, notes, stockLot, quantityUsed, drawn, prescription, warnings
+    } = treatment;
+
+    // Until the log is written the draw has no record to account for it
+    let course = null;
+    let log;
+    try {
+        // Multi-dose treatments are tracked as a course starting with this dose
+        if (totalDoses > 1) {
+            course = await TreatmentCourse.create({
+                animalId: animal._id,
+                ownerId: animal.ownerId,
+                medicineName: medicine.name,
+                dosage: dosage || '',
+                withdrawalPeriod,
+                formulary: formularyReference,
+                totalDoses,
+                intervalHours,
+                startAt: administeredAt,
+                stock: stockLot ? { lotId: stockLot._id, quantityPerDose: quantityUsed } : null,
+                prescription: prescription ? Prescription.toLogReference(prescription) : null,
+                notes: notes || ''
+            });
+        }
+
+        // Create medical log
+        log = await MedicalLog.create({
+            _id: drawn ? drawn.medicalLogId : null,
+            animalId: animal._id,
+            medicineName: medicine.name,
+            dosage: dosage || '',
+            administeredAt,
+            withdrawalPeriod,
+            withdrawalDays: Formulary.getLongestWithdrawal(withdrawalPeriod),
+            formulary: formularyReference,
+            courseId: course ? course._id : null,
+            doseNumber: course ? 1 : null,
+            stock: drawn ? drawn.stock : null,
+            safetyAcknowledgement: warnings.length > 0 ? {
+                warnings,
+                actor: StatusHistory.userActor(req.session),
+                acknowledgedAt: new Date()
+            } : null,
+            prescription: prescription ? Prescription.toLogReference(prescription) : null,
+            notes: notes || ''
+        });
+    } catch (error) {
+        // A course left behind without its first dose would still lock the animal
+        if (course) await TreatmentCourse.deleteById(course._id);
+        await returnDraw(drawn);
+        throw error;
+    }
+
+    if (course) {
+        await TreatmentCourse.markDoseGiven(course._id, 1, administeredAt, log._id);
+    }
+
+    if (prescription) {
+        await Prescription.markDispensed(prescription._id, log._id);
+    }
+
+    // PILLAR B: Withdrawal runs from the last dose - for a course, the planned final dose
+    const lastDoseAt = course ? TreatmentCourse.getFinalScheduledAt(course) : administeredAt;
+    const { meatSafeDate, milkSafeDate } = calculateSafeDates(lastDoseAt, withdrawalPeriod);
+    const locks = pendingLocks(withdrawalPeriod, { meatSafeDate, milkSafeDate }, now);
+    const locked = Boolean(locks.meat || locks.milk);
+
+    // PILLAR B: Lock the animal for each product with a withdrawal period still running
+    if (locked) {
+        await Animal.extendWithdrawal(animal._id, locks, {
+            cause: { type: 'MEDICAL_LOG', medicalLogId: log._id },
+            actor: StatusHistory.userActor(req.session)
+        });
+        console.log(`🔒 Animal ${animal.tagId} locked - meat until ${meatSafeDate.toLocaleDateString()}, milk until ${milkSafeDate.toLocaleDateString()}`);
+    }
+
+    // Recompute health score from the full history (a course counts once)
+    await Animal.recomputeHealthScore(animal._id);
+
+    // A back-dated treatment reaches milk already recorded
+    await refreshMilkDiscard(await Animal.findById(animal._id), administeredAt, now);
+
+    return { log, course, meatSafeDate, milkSafeDate, locked };
+}
 
 // GET /animals/:id/add-medicine - Show medicine entry form
 router.get('/animals/:id/add-medicine', requireAuth, requireRole('farmer'), async (req, res) => {
@@ -26,13 +266,44 @@ router.get('/animals/:id/add-medicine', requireAuth, requireRole('farmer'), asyn
             });
         }
 
-        // Get list of common medicines
-        const medicines = getAllMedicines();
+        // Current formulary entries for this animal's species
+        const medicines = (await Formulary.findCurrentBySpecies(animal.species)).map(med => ({
+            ...med,
+            lockDays: Formulary.getLockDays(med.withdrawalPeriod),
+            course: Formulary.suggestCourse(med.dosage)
+        }));
+
+        // Expired lots are listed (disabled) so the farmer sees why they can't be picked
+        const now = new Date();
+        const stockLots = (await MedicineStock.findInStockByFarmer(req.session.userId)).map(lot => ({
+            ...lot,
+            expiryStatus: MedicineStock.getExpiryStatus(lot, now),
+            daysToExpiry: MedicineStock.getDaysToExpiry(lot, now)
+        }));
+
+        // Opened from a vet's prescription - the form is prefilled from it
+        let prescription = null;
+        if (req.query.prescriptionId) {
+            const found = await findOpenPrescription(animal, req.query.prescriptionId);
+            if (found.error) {
+                return res.status(found.status).render('error', {
+                    user: { role: req.session.userRole },
+                    message: found.error
+                });
+            }
+            prescription = found.prescription;
+        }
+
+        // Pregnant or possibly pregnant animals get pregnancy-unsafe medicines flagged on the form
+        const reproduction = getReproductiveStatus(animal, await BreedingRecord.findByAnimal(animal._id), now);
 
         res.render('farmer/add-medicine', {
             user: { role: req.session.userRole, name: req.session.userName },
             animal,
             medicines,
+            stockLots,
+            prescription,
+            reproduction,
             error: null
         });
 
@@ -45,10 +316,43 @@ router.get('/animals/:id/add-medicine', requireAuth, requireRole('farmer'), asyn
     }
 });
 
+// POST /animals/:id/medicine-check - Safety checks for a treatment before it is submitted
+router.post('/animals/:id/medicine-check', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await Animal.findById(req.params.id);
+
+        if (!animal) {
+            return res.status(404).json({ success: false, error: 'Animal not found' });
+        }
+
+        if (animal.ownerId.toString() !== req.session.userId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const resolved = await resolveMedicine(animal, req.body);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
+
+        const administeredAt = parseAdministeredAt(req.body.administeredAt);
+        if (!administeredAt) {
+            return res.status(400).json({ success: false, error: 'Administration date cannot be in the future' });
+        }
+
+        const safetyCheck = await runTreatmentChecks(animal, resolved.medicine, administeredAt);
+
+        res.json({ success: true, ...safetyCheck });
+
+    } catch (error) {
+        console.error('Medicine check error:', error);
+        res.status(500).json({ success: false, error: 'Failed to check medicine' });
+    }
+});
+
 // POST /animals/:id/add-medicine - Add medical log (Pillar B Implementation)
 router.post('/animals/:id/add-medicine', requireAuth, requireRole('farmer'), async (req, res) => {
     try {
-        const { medicineName, dosage, withdrawalDays, notes, customMedicine } = req.body;
+        const { dosage, notes } = req.body;
 
         const animal = await Animal.findById(req.params.id);
 
@@ -61,53 +365,108 @@ router.post('/animals/:id/add-medicine', requireAuth, requireRole('farmer'), asy
             return res.status(403).json({ success: false, error: 'Access denied' });
         }
 
-        // Determine medicine details
-        let finalMedicineName = medicineName;
-        let finalWithdrawalDays = parseInt(withdrawalDays) || 0;
-
-        // If using custom medicine name
-        if (customMedicine && customMedicine.trim()) {
-            finalMedicineName = customMedicine.trim();
+        const resolved = await resolveMedicine(animal, req.body);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
         }
 
-        // If medicine is from the database, get its withdrawal period
-        const medicineData = getMedicineByName(medicineName);
-        if (medicineData && !customMedicine) {
-            finalWithdrawalDays = medicineData.withdrawalDays;
+        const { medicine, withdrawalPeriod, formularyReference } = resolved;
+        const finalMedicineName = medicine.name;
+        const medicineCode = medicine.code;
+
+        // Given on a vet's prescription - it can only be used for the prescribed medicine
+        let prescription = null;
+        if (req.body.prescriptionId) {
+            const found = await findOpenPrescription(animal, req.body.prescriptionId);
+            if (found.error) {
+                return res.status(found.status).json({ success: false, error: found.error });
+            }
+            if (found.prescription.medicineCode !== medicineCode) {
+                return res.status(400).json({
+                    success: false,
+                    error: `The prescription is for ${found.prescription.medicineName} - record other medicines separately`
+                });
+            }
+            prescription = found.prescription;
         }
 
-        // PILLAR B: Calculate Safe Date
+        const longestWithdrawal = Formulary.getLongestWithdrawal(withdrawalPeriod);
+        const totalDoses = Math.max(1, parseInt(req.body.totalDoses) || 1);
         const now = new Date();
-        const safeDate = new Date(now);
-        safeDate.setDate(safeDate.getDate() + finalWithdrawalDays);
 
-        // Create medical log
-        await MedicalLog.create({
-            animalId: animal._id,
-            medicineName: finalMedicineName,
-            dosage: dosage || '',
-            administeredAt: now,
-            withdrawalDays: finalWithdrawalDays,
-            notes: notes || ''
-        });
+        // Treatments can be back-dated (e.g. given yesterday, recorded today)
+        const administeredAt = parseAdministeredAt(req.body.administeredAt, now);
+        if (!administeredAt) {
+            return res.status(400).json({ success: false, error: 'Administration date cannot be in the future' });
+        }
 
-        // PILLAR B: Update animal status if withdrawal period > 0
-        if (finalWithdrawalDays > 0) {
-            await Animal.updateStatus(animal._id, 'WITHDRAWAL_LOCK', safeDate);
-            console.log(`🔒 Animal ${animal.tagId} locked until ${safeDate.toLocaleDateString()}`);
+        // Contraindication and interaction checks - blocks refuse the treatment,
+        // warnings need to be acknowledged on the form first
+        const safetyCheck = await runTreatmentChecks(animal, medicine, administeredAt);
+        if (safetyCheck.blocks.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: safetyCheck.blocks.map(block => block.message).join(' '),
+                ...safetyCheck
+            });
         }
 
-        // Update health score
-        const healthImpact = calculateMedicationImpact(finalWithdrawalDays);
-        const newHealthScore = boundHealthScore(animal.healthScore - healthImpact);
-        await Animal.updateHealthScore(animal._id, newHealthScore);
+        if (findUnacknowledged(safetyCheck.warnings, req.body.acknowledgedWarnings).length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Please review and acknowledge the safety warnings',
+                requiresAcknowledgement: true,
+                ...safetyCheck
+            });
+        }
+
+        // Optional stock lot the dose is drawn from
+        let stockLot = null;
+        let quantityUsed = null;
+        if (req.body.stockLotId) {
+            quantityUsed = parseFloat(req.body.quantityUsed);
+            const checked = await checkStockLot(req, req.body.stockLotId, quantityUsed, { code: medicineCode, name: finalMedicineName });
+            if (checked.error) {
+                return res.status(400).json({ success: false, error: checked.error });
+            }
+            stockLot = checked.lot;
+        }
+
+        let drawn = null;
+        if (stockLot) {
+            drawn = await drawFromStock(stockLot, quantityUsed, animal._id);
+            if (!drawn) {
+                return res.status(409).json({ success: false, error: `Lot ${stockLot.lotNumber} no longer has enough stock` });
+            }
+        }
+
+        const { course, meatSafeDate, milkSafeDate, locked } = await recordTreatment(req, animal, {
+            medicine,
+            withdrawalPeriod,
+            formularyReference,
+            administeredAt,
+            totalDoses,
+            intervalHours: req.body.intervalHours,
+            dosage,
+            notes,
+            stockLot,
+            quantityUsed,
+            drawn,
+            prescription,
+            warnings: safetyCheck.warnings
+        }, now);
 
         res.json({
             success: true,
-            message: 'Medical log added successfully',
-            withdrawalDays: finalWithdrawalDays,
-            safeDate: safeDate,
-            locked: finalWithdrawalDays > 0
+            message: course
+                ? `Dose 1 of ${totalDoses} recorded - treatment course started`
+                : 'Medical log added successfully',
+            withdrawalPeriod,
+            withdrawalDays: longestWithdrawal,
+            meatSafeDate,
+            milkSafeDate,
+            courseId: course ? course._id : null,
+            locked
         });
 
     } catch (error) {
@@ -116,4 +475,550 @@ router.post('/animals/:id/add-medicine', requireAuth, requireRole('farmer'), asy
     }
 });
 
+// POST /groups/:id/add-medicine - Give the same treatment to a herd group (all members, or
+// the animalIds picked). Every animal is checked first and nothing is recorded unless all pass.
+router.post('/groups/:id/add-medicine', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const { dosage, notes } = req.body;
+
+        const group = ObjectId.isValid(req.params.id) ? await HerdGroup.findById(req.params.id) : null;
+
+        if (!group || group.archivedAt) {
+            return res.status(404).json({ success: false, error: 'Group not found' });
+        }
+
+        // Verify ownership
+        if (group.ownerId.toString() !== req.session.userId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const memberIds = (await HerdGroup.findMemberIds(group._id)).map(id => id.toString());
+        const picked = req.body.animalIds ? [].concat(req.body.animalIds).map(String) : memberIds;
+
+        if (picked.length === 0) {
+            return res.status(400).json({ success: false, error: 'There are no animals in this group to treat' });
+        }
+
+        if (picked.some(id => !memberIds.includes(id))) {
+            return res.status(400).json({ success: false, error: 'Only animals currently in the group can be treated through it' });
+        }
+
+        const animals = await Promise.all(picked.map(id => Animal.findById(id)));
+        const totalDoses = Math.max(1, parseInt(req.body.totalDoses) || 1);
+        const now = new Date();
+
+        const administeredAt = parseAdministeredAt(req.body.administeredAt, now);
+        if (!administeredAt) {
+            return res.status(400).json({ success: false, error: 'Administration date cannot be in the future' });
+        }
+
+        // Medicine and safety checks per animal - findings are prefixed with the tag, and
+        // warning keys with the animal id so each animal's warnings are acknowledged separately
+        const blocks = [];
+        const warnings = [];
+        const safetyNotes = [];
+        const treatments = [];
+        for (const animal of animals) {
+            const tagFinding = finding => ({ ...finding, key: `${animal._id}|${finding.key}`, message: `${animal.tagId}: ${finding.message}` });
+
+            const resolved = await resolveMedicine(animal, req.body);
+            if (resolved.error) {
+                blocks.push(tagFinding({ key: 'medicine', rule: 'MEDICINE', message: resolved.error }));
+                continue;
+            }
+
+            const safetyCheck = await runTreatmentChecks(animal, resolved.medicine, administeredAt);
+            blocks.push(...safetyCheck.blocks.map(tagFinding));
+            warnings.push(...safetyCheck.warnings.map(tagFinding));
+            safetyNotes.push(...safetyCheck.notes.map(note => `${animal.tagId}: ${note}`));
+            treatments.push({ animal, resolved, warnings: safetyCheck.warnings });
+        }
+
+        const safetyCheck = { blocks, warnings, notes: safetyNotes };
+        if (blocks.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: blocks.map(block => block.message).join(' '),
+                ...safetyCheck
+            });
+        }
+
+        if (findUnacknowledged(warnings, req.body.acknowledgedWarnings).length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Please review and acknowledge the safety warnings',
+                requiresAcknowledgement: true,
+                ...safetyCheck
+            });
+        }
+
+        // Optional stock lot - quantityUsed is per animal and the lot must hold enough for all of them
+        const { medicine } = treatments[0].resolved;
+        let stockLot = null;
+        let quantityUsed = null;
+        if (req.body.stockLotId) {
+            quantityUsed = parseFloat(req.body.quantityUsed);
+            const checked = await checkStockLot(req, req.body.stockLotId, quantityUsed * treatments.length, { code: medicine.code, name: medicine.name });
+            if (checked.error) {
+                return res.status(400).json({ success: false, error: checked.error });
+            }
+            stockLot = checked.lot;
+        }
+
+        const treated = [];
+        for (const treatment of treatments) {
+            let drawn = null;
+            if (stockLot) {
+                drawn = await drawFromStock(stockLot, quantityUsed, treatment.animal._id);
+                if (!drawn) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Lot ${stockLot.lotNumber} ran out before ${treatment.animal.tagId}`
+                            + (treated.length > 0 ? ` - recorded for ${treated.map(item => item.tagId).join(', ')} only` : ''),
+                        treated
+                    });
+                }
+            }
+
+            const { course, locked } = await recordTreatment(req, treatment.animal, {
+                ...treatment.resolved,
+                administeredAt,
+                totalDoses,
+                intervalHours: req.body.intervalHours,
+                dosage,
+                notes,
+                stockLot,
+                quantityUsed,
+                drawn,
+                prescription: null,
+                warnings: treatment.warnings
+            }, now);
+
+            treated.push({ animalId: treatment.animal._id, tagId: treatment.animal.tagId, courseId: course ? course._id : null, locked });
+        }
+
+        const lockedCount = treated.filter(item => item.locked).length;
+        res.json({
+            success: true,
+            message: `${medicine.name} recorded for ${treated.length} animal(s)`
+                + (totalDoses > 1 ? ` - a ${totalDoses}-dose course started for each` : '')
+                + (lockedCount > 0 ? ` - ${lockedCount} now under withdrawal` : ''),
+            treated
+        });
+
+    } catch (error) {
+        console.error('Group medicine error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record group treatment' });
+    }
+});
+
+// Load a course for an animal the farmer owns - sends the error response and returns null otherwise
+async function findOwnedCourse(req, res) {
+    const animal = await Animal.findById(req.params.id);
+
+    if (!animal) {
+        res.status(404).json({ success: false, error: 'Animal not found' });
+        return null;
+    }
+
+    if (animal.ownerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    const course = ObjectId.isValid(req.params.courseId) ? await TreatmentCourse.findById(req.params.courseId) : null;
+    if (!course || course.animalId.toString() !== animal._id.toString()) {
+        res.status(404).json({ success: false, error: 'Treatment course not found' });
+        return null;
+    }
+
+    return { animal, course };
+}
+
+// POST /animals/:id/courses/:courseId/doses/:doseNumber - Check off a dose of a treatment course
+router.post('/animals/:id/courses/:courseId/doses/:doseNumber', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const found = await findOwnedCourse(req, res);
+        if (!found) return;
+
+        const { animal, course } = found;
+        const doseNumber = parseInt(req.params.doseNumber);
+        const dose = course.doses.find(d => d.doseNumber === doseNumber);
+
+        if (!dose) {
+            return res.status(404).json({ success: false, error: 'Dose not found' });
+        }
+
+        if (course.status !== 'ACTIVE' || dose.status !== 'PENDING') {
+            return res.status(400).json({ success: false, error: 'This dose is no longer pending' });
+        }
+
+        const administeredAt = parseAdministeredAt(req.body.administeredAt);
+        if (!administeredAt) {
+            return res.status(400).json({ success: false, error: 'Administration date cannot be in the future' });
+        }
+
+        const withdrawalPeriod = course.withdrawalPeriod;
+        const longestWithdrawal = Formulary.getLongestWithdrawal(withdrawalPeriod);
+
+        // Doses come from the course's lot unless another lot is picked (e.g. the first ran out)
+        const stockLotId = req.body.stockLotId || (course.stock && course.stock.lotId);
+        let drawn = null;
+        if (stockLotId) {
+            const quantityUsed = req.body.quantityUsed !== undefined
+                ? parseFloat(req.body.quantityUsed)
+                : course.stock && course.stock.quantityPerDose;
+            const medicine = { code: course.formulary ? course.formulary.code : null, name: course.medicineName };
+            const checked = await checkStockLot(req, stockLotId, quantityUsed, medicine);
+            if (checked.error) {
+                return res.status(400).json({ success: false, error: checked.error });
+            }
+
+            drawn = await drawFromStock(checked.lot, quantityUsed, animal._id);
+            if (!drawn) {
+                return res.status(409).json({ success: false, error: `Lot ${checked.lot.lotNumber} no longer has enough stock` });
+            }
+        }
+
+        let log;
+        try {
+            log = await MedicalLog.create({
+                _id: drawn ? drawn.medicalLogId : null,
+                animalId: animal._id,
+                medicineName: course.medicineName,
+                dosage: req.body.dosage || course.dosage,
+                administeredAt,
+                withdrawalPeriod,
+                withdrawalDays: longestWithdrawal,
+                formulary: course.formulary,
+                courseId: course._id,
+                doseNumber,
+                stock: drawn ? drawn.stock : null,
+                prescription: course.prescription || null,
+                notes: req.body.notes || ''
+            });
+        } catch (error) {
+            await returnDraw(drawn);
+            throw error;
+        }
+
+        const updatedCourse = await TreatmentCourse.markDoseGiven(course._id, doseNumber, administeredAt, log._id);
+
+        // A late dose pushes the lock out; extendWithdrawal never shortens an existing lock
+        const { meatSafeDate, milkSafeDate } = calculateSafeDates(administeredAt, withdrawalPeriod);
+        const locks = pendingLocks(withdrawalPeriod, { meatSafeDate, milkSafeDate });
+        if (locks.meat || locks.milk) {
+            await Animal.extendWithdrawal(animal._id, locks, {
+                cause: { type: 'MEDICAL_LOG', medicalLogId: log._id },
+                actor: StatusHistory.userActor(req.session)
+            });
+        }
+
+        await Animal.recomputeHealthScore(animal._id);
+        await refreshMilkDiscard(await Animal.findById(animal._id), administeredAt);
+
+        res.json({
+            success: true,
+            message: `Dose ${doseNumber} of ${course.totalDoses} recorded`,
+            courseCompleted: updatedCourse.status === 'COMPLETED',
+            meatSafeDate,
+            milkSafeDate
+        });
+
+    } catch (error) {
+        console.error('Record dose error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record dose' });
+    }
+});
+
+// POST /animals/:id/courses/:courseId/cancel - Stop a treatment course early
+router.post('/animals/:id/courses/:courseId/cancel', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const found = await findOwnedCourse(req, res);
+        if (!found) return;
+
+        if (found.course.status !== 'ACTIVE') {
+            return res.status(400).json({ success: false, error: 'Treatment course is not active' });
+        }
+
+        // Doses never given carry no withdrawal - the locks set for the planned final dose
+        // are rebuilt from the doses actually logged, as a log correction would rebuild them
+        await TreatmentCourse.cancel(found.course._id);
+        await Animal.recomputeWithdrawal(found.animal._id, {
+            cause: { type: 'COURSE_CANCELLED' },
+            actor: StatusHistory.userActor(req.session)
+        });
+        await Animal.recomputeHealthScore(found.animal._id);
+
+        const updatedAnimal = await Animal.findById(found.animal._id);
+        await refreshMilkDiscard(updatedAnimal, found.course.startedAt);
+
+        res.json({
+            success: true,
+            message: 'Treatment course stopped',
+            status: updatedAnimal.status,
+            meatWithdrawalEndsAt: updatedAnimal.meatWithdrawalEndsAt,
+            milkWithdrawalEndsAt: updatedAnimal.milkWithdrawalEndsAt
+        });
+
+    } catch (error) {
+        console.error('Cancel course error:', error);
+        res.status(500).json({ success: false, error: 'Failed to stop treatment course' });
+    }
+});
+
+// Load a medical log of an animal the farmer owns - sends the error response and returns null otherwise
+async function findOwnedLog(req, res) {
+    const animal = await Animal.findById(req.params.id);
+
+    if (!animal) {
+        res.status(404).json({ success: false, error: 'Animal not found' });
+        return null;
+    }
+
+    if (animal.ownerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    const log = ObjectId.isValid(req.params.logId) ? await MedicalLog.findById(req.params.logId) : null;
+    if (!log || log.animalId.toString() !== animal._id.toString()) {
+        res.status(404).json({ success: false, error: 'Medical log not found' });
+        return null;
+    }
+
+    return { animal, log };
+}
+
+// After a correction the locks, health score and milk discards are rebuilt from the
+// remaining history. since is the earliest day the log covered before or after the change.
+async function applyLogCorrection(req, animal, log, since = log.administeredAt) {
+    if (log.courseId) {
+        await TreatmentCourse.syncDoseWithLog(log.courseId, log);
+    }
+
+    await Animal.recomputeWithdrawal(animal._id, {
+        cause: { type: 'MEDICAL_LOG_CORRECTION', medicalLogId: log._id },
+        actor: StatusHistory.userActor(req.session)
+    });
+    await Animal.recomputeHealthScore(animal._id);
+
+    const updatedAnimal = await Animal.findById(animal._id);
+    await refreshMilkDiscard(updatedAnimal, since);
+
+    return updatedAnimal;
+}
+
+// GET /animals/:id/medical-logs/:logId/edit - Show medical log correction form
+router.get('/animals/:id/medical-logs/:logId/edit', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await Animal.findById(req.params.id);
+        const log = animal && ObjectId.isValid(req.params.logId) ? await MedicalLog.findById(req.params.logId) : null;
+
+        if (!animal || !log || log.animalId.toString() !== animal._id.toString()) {
+            return res.status(404).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Medical log not found'
+            });
+        }
+
+        // Verify ownership
+        if (animal.ownerId.toString() !== req.session.userId) {
+            return res.status(403).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Access denied'
+            });
+        }
+
+        res.render('farmer/edit-medical-log', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            animal,
+            log
+        });
+
+    } catch (error) {
+        console.error('Edit medical log form error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load form'
+        });
+    }
+});
+
+// POST /animals/:id/medical-logs/:logId/edit - Correct a medical log
+router.post('/animals/:id/medical-logs/:logId/edit', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const found = await findOwnedLog(req, res);
+        if (!found) return;
+
+        const { animal, log } = found;
+        const { medicineName, dosage, notes, meatWithdrawalDays, milkWithdrawalDays, reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ success: false, error: 'A reason for the change is required' });
+        }
+
+        if (log.voidedAt) {
+            return res.status(400).json({ success: false, error: 'A voided log cannot be edited' });
+        }
+
+        const administeredAt = parseAdministeredAt(req.body.administeredAt || log.administeredAt);
+        if (!administeredAt) {
+            return res.status(400).json({ success: false, error: 'Administration date cannot be in the future' });
+        }
+
+        const updates = {
+            dosage: dosage !== undefined ? dosage : log.dosage,
+            notes: notes !== undefined ? notes : log.notes,
+            administeredAt
+        };
+
+        // Formulary logs and vaccinations keep their name and withdrawal - a wrong medicine
+        // has to be voided and entered again so the lock comes from the right entry
+        if (!log.formulary && !log.vaccination) {
+            if (medicineName !== undefined) {
+                if (!medicineName.trim()) {
+                    return res.status(400).json({ success: false, error: 'Medicine name is required' });
+                }
+                updates.medicineName = medicineName.trim();
+            }
+
+            if (meatWithdrawalDays !== undefined || milkWithdrawalDays !== undefined) {
+                const current = log.withdrawalPeriod || { meat: log.withdrawalDays || 0, milk: log.withdrawalDays || 0 };
+                updates.withdrawalPeriod = {
+                    meat: meatWithdrawalDays !== undefined ? parseInt(meatWithdrawalDays) || 0 : current.meat,
+                    milk: milkWithdrawalDays !== undefined ? parseInt(milkWithdrawalDays) || 0 : current.milk
+                };
+                updates.withdrawalDays = Formulary.getLongestWithdrawal(updates.withdrawalPeriod);
+            }
+        }
+
+        const updatedLog = await MedicalLog.update(log._id, updates, {
+            reason: reason.trim(),
+            actor: StatusHistory.userActor(req.session)
+        });
+
+        const updatedAnimal = await applyLogCorrection(req, animal, updatedLog,
+            new Date(Math.min(new Date(log.administeredAt), new Date(updatedLog.administeredAt))));
+
+        res.json({
+            success: true,
+            message: 'Medical log updated',
+            status: updatedAnimal.status,
+            meatWithdrawalEndsAt: updatedAnimal.meatWithdrawalEndsAt,
+            milkWithdrawalEndsAt: updatedAnimal.milkWithdrawalEndsAt,
+            healthScore: updatedAnimal.healthScore
+        });
+
+    } catch (error) {
+        console.error('Edit medical log error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update medical log' });
+    }
+});
+
+// POST /animals/:id/medical-logs/:logId/void - Void a medical log entered in error
+router.post('/animals/:id/medical-logs/:logId/void', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const found = await findOwnedLog(req, res);
+        if (!found) return;
+
+        const { animal, log } = found;
+        const { reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ success: false, error: 'A reason for voiding is required' });
+        }
+
+        const voided = await MedicalLog.void(log._id, {
+            reason: reason.trim(),
+            actor: StatusHistory.userActor(req.session)
+        });
+
+        if (!voided) {
+            return res.status(400).json({ success: false, error: 'Medical log is already voided' });
+        }
+
+        // Medicine recorded in error goes back into the lot it was drawn from
+        if (log.stock) {
+            await MedicineStock.restore(log.stock.lotId, log._id);
+        }
+
+        const updatedAnimal = await applyLogCorrection(req, animal, await MedicalLog.findById(log._id));
+
+        res.json({
+            success: true,
+            message: 'Medical log voided',
+            status: updatedAnimal.status,
+            meatWithdrawalEndsAt: updatedAnimal.meatWithdrawalEndsAt,
+            milkWithdrawalEndsAt: updatedAnimal.milkWithdrawalEndsAt,
+            healthScore: updatedAnimal.healthScore
+        });
+
+    } catch (error) {
+        console.error('Void medical log error:', error);
+        res.status(500).json({ success: false, error: 'Failed to void medical log' });
+    }
+});
+
+// POST /animals/:id/vaccinations - Record a vaccination from the animal's schedule
+router.post('/animals/:id/vaccinations', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await Animal.findById(req.params.id);
+
+        if (!animal) {
+            return res.status(404).json({ success: false, error: 'Animal not found' });
+        }
+
+        // Verify ownership
+        if (animal.ownerId.toString() !== req.session.userId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const { protocolCode, batchNumber, dosage, notes } = req.body;
+
+        const protocol = findProtocol(protocolCode);
+        if (!protocol || !getProtocolsForAnimal(animal).includes(protocol)) {
+            return res.status(400).json({ success: false, error: `No vaccination protocol found for ${animal.species}` });
+        }
+
+        const administeredAt = parseAdministeredAt(req.body.administeredAt);
+        if (!administeredAt) {
+            return res.status(400).json({ success: false, error: 'Vaccination date cannot be in the future' });
+        }
+
+        // The dose being given is the next one on the schedule
+        const medicalLogs = await MedicalLog.findUnvoidedByAnimal(animal._id);
+        const schedule = getVaccinationSchedule(animal, medicalLogs)
+            .find(entry => entry.protocol.code === protocol.code);
+        const doseNumber = schedule.given.length + 1;
+        const label = schedule.next ? schedule.next.label : 'Booster';
+
+        await MedicalLog.create({
+            animalId: animal._id,
+            medicineName: `${protocol.name} vaccine`,
+            dosage: dosage || '',
+            administeredAt,
+            withdrawalPeriod: protocol.withdrawalPeriod,
+            withdrawalDays: Formulary.getLongestWithdrawal(protocol.withdrawalPeriod),
+            vaccination: {
+                code: protocol.code,
+                name: protocol.name,
+                disease: protocol.disease,
+                doseNumber,
+                label,
+                batchNumber: batchNumber ? batchNumber.trim() : ''
+            },
+            notes: notes || ''
+        });
+
+        await refreshMilkDiscard(animal, administeredAt);
+
+        res.json({ success: true, message: `${protocol.name} vaccination (${label.toLowerCase()}) recorded` });
+
+    } catch (error) {
+        console.error('Record vaccination error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record vaccination' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const MedicineStock = require('../models/MedicineStock');
+const Formulary = require('../models/Formulary');
+const Product = require('../models/Product');
+const { traceLot } = require('../utils/lotRecall');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+// Load a stock lot the farmer owns - sends the error response and returns null otherwise
+async function findOwnedLot(req, res) {
+    const lot = await MedicineStock.findById(req.params.id);
+
+    if (!lot) {
+        res.status(404).json({ success: false, error: 'Stock lot not found' });
+        return null;
+    }
+
+    if (lot.farmerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    return lot;
+}
+
+// GET /medicine-stock - Farm medicine stock with expiry flags
+router.get('/medicine-stock', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const now = new Date();
+        const lots = (await MedicineStock.findByFarmer(req.session.userId)).map(lot => ({
+            ...lot,
+            expiryStatus: MedicineStock.getExpiryStatus(lot, now),
+            daysToExpiry: MedicineStock.getDaysToExpiry(lot, now)
+        }));
+
+        const medicines = await Formulary.findAllCurrent();
+
+        res.render('farmer/medicine-stock', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            lots,
+            medicines,
+            units: MedicineStock.getUnits()
+        });
+
+    } catch (error) {
+        console.error('Medicine stock page error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load medicine stock'
+        });
+    }
+});
+
+// POST /medicine-stock - Record a medicine purchase as a new lot
+router.post('/medicine-stock', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const { medicineCode, customMedicine, lotNumber, expiryDate, quantity, unit, supplier, purchaseDate } = req.body;
+
+        let medicineName;
+        let code = null;
+
+        if (medicineCode === 'custom') {
+            if (!customMedicine || !customMedicine.trim()) {
+                return res.status(400).json({ success: false, error: 'Custom medicine name is required' });
+            }
+            medicineName = customMedicine.trim();
+        } else {
+            const medicine = (await Formulary.findAllCurrent()).find(entry => entry.code === medicineCode);
+            if (!medicine) {
+                return res.status(400).json({ success: false, error: 'Medicine not found in formulary' });
+            }
+            medicineName = medicine.name;
+            code = medicine.code;
+        }
+
+        if (!lotNumber || !lotNumber.trim()) {
+            return res.status(400).json({ success: false, error: 'Lot number is required' });
+        }
+
+        if (!expiryDate || isNaN(new Date(expiryDate).getTime())) {
+            return res.status(400).json({ success: false, error: 'A valid expiry date is required' });
+        }
+
+        if (!(parseFloat(quantity) > 0)) {
+            return res.status(400).json({ success: false, error: 'Quantity must be greater than zero' });
+        }
+
+        if (!MedicineStock.getUnits().includes(unit)) {
+            return res.status(400).json({ success: false, error: 'Invalid unit' });
+        }
+
+        const lot = await MedicineStock.create({
+            farmerId: req.session.userId,
+            medicineCode: code,
+            medicineName,
+            lotNumber: lotNumber.trim(),
+            expiryDate,
+            quantity,
+            unit,
+            supplier: supplier ? supplier.trim() : '',
+            purchaseDate
+        });
+
+        const expiryStatus = MedicineStock.getExpiryStatus(lot);
+
+        res.json({
+            success: true,
+            message: expiryStatus === 'OK'
+                ? 'Purchase recorded'
+                : `Purchase recorded - note that lot ${lot.lotNumber} is ${expiryStatus === 'EXPIRED' ? 'already expired' : 'close to expiry'}`,
+            lotId: lot._id,
+            expiryStatus
+        });
+
+    } catch (error) {
+        console.error('Add medicine stock error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record purchase' });
+    }
+});
+
+// POST /medicine-stock/:id/discard - Write off a lot (expired, damaged or lost)
+router.post('/medicine-stock/:id/discard', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const lot = await findOwnedLot(req, res);
+        if (!lot) return;
+
+        const discarded = await MedicineStock.discard(lot._id);
+        if (!discarded) {
+            return res.status(400).json({ success: false, error: 'Lot is already written off' });
+        }
+
+        res.json({ success: true, message: `Lot ${lot.lotNumber} written off` });
+
+    } catch (error) {
+        console.error('Discard medicine stock error:', error);
+        res.status(500).json({ success: false, error: 'Failed to write off lot' });
+    }
+});
+
+// GET /medicine-stock/recall - Trace a medicine lot to treated animals, listings and orders
+router.get('/medicine-stock/recall', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const lotNumber = (req.query.lotNumber || '').trim();
+        const medicineName = req.query.medicineName || '';
+
+        // Lot numbers the farm has bought, for the picker
+        const stockLots = await MedicineStock.findByFarmer(req.session.userId);
+
+        const trace = lotNumber
+            ? await traceLot(req.session.userId, lotNumber, medicineName)
+            : null;
+
+        res.render('farmer/lot-recall', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            stockLots,
+            lotNumber,
+            medicineName,
+            trace
+        });
+
+    } catch (error) {
+        console.error('Lot recall error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to trace medicine lot'
+        });
+    }
+});
+
+// POST /medicine-stock/recall/suspend - Pull every active listing affected by a recalled lot
+router.post('/medicine-stock/recall/suspend', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const { lotNumber, medicineName } = req.body;
+
+        if (!lotNumber || !lotNumber.trim()) {
+            return res.status(400).json({ success: false, error: 'Lot number is required' });
+        }
+
+        // Traced again here so only listings that really came from treated animals are touched
+        const trace = await traceLot(req.session.userId, lotNumber, medicineName);
+        if (trace.lots.length === 0) {
+            return res.status(404).json({ success: false, error: 'No stock lot with this number' });
+        }
+
+        const productIds = trace.products
+            .filter(product => !product.suspendedAt)
+            .map(product => product._id);
+
+        const suspended = productIds.length > 0
+            ? await Product.suspendMany(productIds, `Medicine lot ${lotNumber.trim()} recalled`)
+            : 0;
+
+        res.json({
+            success: true,
+            message: `${suspended} listing(s) suspended`,
+            suspended
+        });
+
+    } catch (error) {
+        console.error('Recall suspend error:', error);
+        res.status(500).json({ success: false, error: 'Failed to suspend listings' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const Animal = require('../models/Animal');
+const MilkRecord = require('../models/MilkRecord');
+const MedicalLog = require('../models/MedicalLog');
+const TreatmentCourse = require('../models/TreatmentCourse');
+const BreedingRecord = require('../models/BreedingRecord');
+const StatusHistory = require('../models/StatusHistory');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { isBreedingFemale } = require('../utils/breeding');
+const {
+    startOfDay,
+    getMilkWithdrawalWindows,
+    getMilkDiscard,
+    getLactations,
+    getLactationOn
+} = require('../utils/lactation');
+
+// Largest single entry accepted - catches typing errors such as a missing decimal point
+const MAX_YIELD_LITRES = 80;
+
+// Load a milking animal the farmer owns - sends the error response and returns null otherwise
+async function findOwnedMilker(req, res) {
+    const animal = await Animal.findById(req.params.id);
+
+    if (!animal) {
+        res.status(404).json({ success: false, error: 'Animal not found' });
+        return null;
+    }
+
+    if (animal.ownerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    if (!isBreedingFemale(animal)) {
+        res.status(400).json({
+            success: false,
+            error: animal.sex === 'male'
+                ? 'Milk yield is recorded for female animals'
+                : `Milk yield isn't recorded for ${animal.species}`
+        });
+        return null;
+    }
+
+    return animal;
+}
+
+// POST /animals/:id/milk - Record the yield of one milking (or a whole day)
+router.post('/animals/:id/milk', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedMilker(req, res);
+        if (!animal) return;
+
+        const { session, notes } = req.body;
+        const sessions = MilkRecord.getSessions();
+
+        if (!sessions[session]) {
+            return res.status(400).json({ success: false, error: 'Choose the milking' });
+        }
+
+        const yieldLitres = parseFloat(req.body.yield);
+        if (isNaN(yieldLitres) || yieldLitres <= 0 || yieldLitres > MAX_YIELD_LITRES) {
+            return res.status(400).json({ success: false, error: `Yield must be between 0 and ${MAX_YIELD_LITRES} litres` });
+        }
+
+        const now = new Date();
+        const date = req.body.recordedOn ? new Date(req.body.recordedOn) : now;
+        if (isNaN(date.getTime())) {
+            return res.status(400).json({ success: false, error: 'Invalid date' });
+        }
+        const day = startOfDay(date);
+        if (day > now) {
+            return res.status(400).json({ success: false, error: 'The date cannot be in the future' });
+        }
+        if (animal.dateOfBirth && day < startOfDay(animal.dateOfBirth)) {
+            return res.status(400).json({ success: false, error: 'The date cannot be before the animal was born' });
+        }
+
+        // One entry per milking - a whole-day entry can't be mixed with single milkings
+        const sameDay = await MilkRecord.findByAnimalOn(animal._id, day);
+        const clash = sameDay.find(record => record.session === session || record.session === 'DAILY' || session === 'DAILY');
+        if (clash) {
+            return res.status(409).json({
+                success: false,
+                error: `${sessions[clash.session]} milk is already recorded for ${day.toLocaleDateString()} - delete it first to correct it`
+            });
+        }
+
+        const [medicalLogs, activeCourses, breedingRecords] = await Promise.all([
+            MedicalLog.findUnvoidedByAnimal(animal._id),
+            TreatmentCourse.findActiveByAnimal(animal._id),
+            BreedingRecord.findByAnimal(animal._id)
+        ]);
+        const { discard, reason, source } = getMilkDiscard(animal, getMilkWithdrawalWindows(medicalLogs, activeCourses), day, now);
+
+        const record = await MilkRecord.create({
+            animalId: animal._id,
+            ownerId: animal.ownerId,
+            recordedOn: day,
+            session,
+            yield: yieldLitres,
+            discard,
+            discardReason: reason,
+            discardSource: source,
+            notes,
+            actor: StatusHistory.userActor(req.session)
+        });
+
+        const lactation = getLactationOn(breedingRecords, day);
+        let message = `Milk recorded - ${yieldLitres} L`;
+        if (lactation.number) {
+            const dayInMilk = Math.round((day - startOfDay(lactation.calving.occurredAt)) / (1000 * 60 * 60 * 24));
+            message += ` (lactation ${lactation.number}, day ${dayInMilk})`;
+        }
+        if (discard) {
+            message += `. Marked as DISCARD - ${reason}`;
+        }
+
+        res.json({ success: true, message, record });
+
+    } catch (error) {
+        console.error('Record milk error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record milk yield' });
+    }
+});
+
+// POST /animals/:id/milk/:recordId/delete - Remove a wrongly entered yield
+router.post('/animals/:id/milk/:recordId/delete', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedMilker(req, res);
+        if (!animal) return;
+
+        const record = await MilkRecord.findById(req.params.recordId);
+        if (!record || record.animalId.toString() !== animal._id.toString()) {
+            return res.status(404).json({ success: false, error: 'Milk record not found' });
+        }
+
+        await MilkRecord.deleteById(record._id);
+        res.json({ success: true, message: 'Milk record deleted' });
+
+    } catch (error) {
+        console.error('Delete milk error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete milk record' });
+    }
+});
+
+// GET /api/animals/:id/lactations - Lactations with daily yields and 305-day projections
+router.get('/api/animals/:id/lactations', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedMilker(req, res);
+        if (!animal) return;
+
+        const [breedingRecords, milkRecords] = await Promise.all([
+            BreedingRecord.findByAnimal(animal._id),
+            MilkRecord.findByAnimal(animal._id)
+        ]);
+
+        res.json({ success: true, lactations: getLactations(breedingRecords, milkRecords) });
+
+    } catch (error) {
+        console.error('Lactations error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load lactations' });
+    }
+});
+
+module.exports = router;
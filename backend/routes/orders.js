@@ -103,6 +103,13 @@ router.post('/create', requireAuth, requireRole('buyer'), async (req, res) => {
             });
         }
 
+        if (product.suspendedAt) {
+            return res.status(400).json({
+                success: false,
+                error: 'This listing has been suspended by the seller'
+            });
+        }
+
         // Check minimum order quantity
         if (quantityNum < product.minOrderQuantity) {
             return res.status(400).json({
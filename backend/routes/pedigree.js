@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const Animal = require('../models/Animal');
+const Formulary = require('../models/Formulary');
+const { ObjectId } = require('mongodb');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { isBreedingFemale } = require('../utils/breeding');
+const {
+    DEFAULT_GENERATIONS,
+    MAX_GENERATIONS,
+    calculateInbreeding,
+    calculateMatingInbreeding,
+    getPedigree,
+    describeInbreeding
+} = require('../utils/pedigree');
+
+// Pedigree as columns for the chart: column g holds the 2^g ancestors of generation g,
+// sire before dam, with null where the ancestor isn't recorded
+function toPedigreeColumns(tree, generations) {
+    const columns = [[tree]];
+    for (let g = 1; g <= generations; g++) {
+        columns.push(columns[g - 1].flatMap(node => (node ? [node.sire, node.dam] : [null, null])));
+    }
+    return columns;
+}
+
+// Sires a female could be mated to: males of her species in the herd, and outside
+// sires (AI bulls) already used in the herd
+async function findCandidateSires(animal) {
+    const species = Formulary.normalizeSpecies(animal.species);
+    const herd = (await Animal.findByOwner(animal.ownerId))
+        .filter(other => Formulary.normalizeSpecies(other.species) === species);
+
+    const herdSires = herd.filter(other => other.sex !== 'female' && other._id.toString() !== animal._id.toString());
+
+    const outsideNames = new Map();
+    herd.filter(other => !other.sireId && other.sireName && other.sireName.trim())
+        .forEach(other => outsideNames.set(other.sireName.trim().toLowerCase(), other.sireName.trim()));
+
+    return [...herdSires, ...[...outsideNames.values()].map(name => ({ name }))];
+}
+
+// GET /animals/:id/pedigree - Pedigree chart, inbreeding coefficient and mating check
+router.get('/animals/:id/pedigree', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await Animal.findById(req.params.id);
+
+        if (!animal) {
+            return res.status(404).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Animal not found'
+            });
+        }
+
+        // Verify ownership
+        if (animal.ownerId.toString() !== req.session.userId) {
+            return res.status(403).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Access denied'
+            });
+        }
+
+        const generations = Math.min(Math.max(parseInt(req.query.generations) || DEFAULT_GENERATIONS, 1), MAX_GENERATIONS);
+        const pedigree = await getPedigree(animal, generations);
+
+        // Proposed matings - every candidate sire, plus an outside sire typed in
+        let matings = null;
+        if (isBreedingFemale(animal)) {
+            const sires = await findCandidateSires(animal);
+            const sireName = (req.query.sireName || '').trim();
+            if (sireName && !sires.some(sire => !sire._id && sire.name.toLowerCase() === sireName.toLowerCase())) {
+                sires.push({ name: sireName });
+            }
+
+            matings = (await calculateMatingInbreeding(animal, sires))
+                .map(mating => ({ ...mating, ...describeInbreeding(mating.coefficient) }))
+                .sort((a, b) => a.coefficient - b.coefficient);
+        }
+
+        res.render('farmer/pedigree', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            animal,
+            generations,
+            maxGenerations: MAX_GENERATIONS,
+            columns: toPedigreeColumns(pedigree, generations),
+            inbreeding: { coefficient: pedigree.inbreeding, ...describeInbreeding(pedigree.inbreeding) },
+            matings,
+            sireName: req.query.sireName || ''
+        });
+
+    } catch (error) {
+        console.error('Pedigree error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load pedigree'
+        });
+    }
+});
+
+// GET /api/animals/:id/inbreeding - Coefficient of the animal, and of a mating with
+// ?sireId= (herd animal) or ?sireName= (outside sire)
+router.get('/api/animals/:id/inbreeding', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await Animal.findById(req.params.id);
+
+        if (!animal) {
+            return res.status(404).json({ success: false, error: 'Animal not found' });
+        }
+
+        // Verify ownership
+        if (animal.ownerId.toString() !== req.session.userId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const coefficient = await calculateInbreeding(animal);
+        const response = { success: true, coefficient, ...describeInbreeding(coefficient) };
+
+        const { sireId, sireName } = req.query;
+        if (sireId || sireName) {
+            let sire = { name: (sireName || '').trim() };
+            if (sireId) {
+                sire = ObjectId.isValid(sireId) ? await Animal.findById(sireId) : null;
+                if (!sire || sire.ownerId.toString() !== req.session.userId) {
+                    return res.status(404).json({ success: false, error: 'Sire not found in your herd' });
+                }
+            }
+
+            const [mating] = await calculateMatingInbreeding(animal, [sire]);
+            response.mating = {
+                sire: sire._id ? { id: sire._id, tagId: sire.tagId } : { name: sire.name },
+                coefficient: mating.coefficient,
+                ...describeInbreeding(mating.coefficient)
+            };
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Inbreeding error:', error);
+        res.status(500).json({ success: false, error: 'Failed to calculate inbreeding' });
+    }
+});
+
+module.exports = router;
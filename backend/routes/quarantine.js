@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const Animal = require('../models/Animal');
+const Quarantine = require('../models/Quarantine');
+const StatusHistory = require('../models/StatusHistory');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+const TEST_RESULTS = ['PENDING', 'NEGATIVE', 'POSITIVE'];
+
+// Test names arrive as an array (JSON) or a comma-separated string (form field)
+function parseTestNames(tests) {
+    const names = Array.isArray(tests) ? tests : (tests || '').split(',');
+    return Array.from(new Set(names.map(name => String(name).trim()).filter(Boolean)));
+}
+
+// Load an animal the farmer owns - sends the error response and returns null otherwise
+async function findOwnedAnimal(req, res) {
+    const animal = await Animal.findById(req.params.id);
+
+    if (!animal) {
+        res.status(404).json({ success: false, error: 'Animal not found' });
+        return null;
+    }
+
+    if (animal.ownerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    return animal;
+}
+
+// POST /animals/:id/quarantine - Place an animal in quarantine
+router.post('/animals/:id/quarantine', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedAnimal(req, res);
+        if (!animal) return;
+
+        const { reason, reasonDetails } = req.body;
+        const reasons = Quarantine.getReasons();
+
+        if (!reasons[reason]) {
+            return res.status(400).json({ success: false, error: 'Select a quarantine reason' });
+        }
+
+        if (await Quarantine.findActiveByAnimal(animal._id)) {
+            return res.status(400).json({ success: false, error: `${animal.tagId} is already in quarantine` });
+        }
+
+        const plannedDays = parseInt(req.body.plannedDays) || reasons[reason].defaultDays;
+        if (plannedDays < 1) {
+            return res.status(400).json({ success: false, error: 'Planned duration must be at least 1 day' });
+        }
+
+        const episode = await Quarantine.create({
+            animalId: animal._id,
+            ownerId: animal.ownerId,
+            reason,
+            reasonDetails,
+            plannedDays,
+            requiredTests: parseTestNames(req.body.requiredTests)
+        });
+
+        await Animal.enterQuarantine(animal._id, {
+            cause: { type: 'QUARANTINE', quarantineId: episode._id },
+            actor: StatusHistory.userActor(req.session)
+        });
+        await Animal.recomputeHealthScore(animal._id);
+        console.log(`🚧 Animal ${animal.tagId} quarantined - ${reasons[reason].label}`);
+
+        res.json({
+            success: true,
+            message: `${animal.tagId} placed in quarantine until ${episode.plannedEndAt.toLocaleDateString()}`,
+            quarantineId: episode._id,
+            plannedEndAt: episode.plannedEndAt
+        });
+
+    } catch (error) {
+        console.error('Start quarantine error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start quarantine' });
+    }
+});
+
+// POST /animals/:id/quarantine/tests - Record a required test result
+router.post('/animals/:id/quarantine/tests', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedAnimal(req, res);
+        if (!animal) return;
+
+        const { testName, result, notes } = req.body;
+
+        if (!TEST_RESULTS.includes(result)) {
+            return res.status(400).json({ success: false, error: 'Invalid test result' });
+        }
+
+        const episode = await Quarantine.findActiveByAnimal(animal._id);
+        if (!episode) {
+            return res.status(400).json({ success: false, error: `${animal.tagId} is not in quarantine` });
+        }
+
+        const updated = await Quarantine.recordTestResult(episode._id, testName, result, notes);
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Test is not part of this quarantine' });
+        }
+
+        res.json({
+            success: true,
+            message: `${testName}: ${result}`,
+            unmetCriteria: Quarantine.getUnmetExitCriteria(updated)
+        });
+
+    } catch (error) {
+        console.error('Record quarantine test error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record test result' });
+    }
+});
+
+// POST /animals/:id/quarantine/decision - Release the animal or extend the quarantine
+router.post('/animals/:id/quarantine/decision', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animal = await findOwnedAnimal(req, res);
+        if (!animal) return;
+
+        const { decision, notes } = req.body;
+
+        const episode = await Quarantine.findActiveByAnimal(animal._id);
+        if (!episode) {
+            return res.status(400).json({ success: false, error: `${animal.tagId} is not in quarantine` });
+        }
+
+        if (decision === 'EXTEND') {
+            const extendDays = parseInt(req.body.extendDays);
+            if (!extendDays || extendDays < 1) {
+                return res.status(400).json({ success: false, error: 'Extension must be at least 1 day' });
+            }
+
+            const extended = await Quarantine.extend(episode._id, extendDays, parseTestNames(req.body.additionalTests), notes);
+
+            return res.json({
+                success: true,
+                message: `Quarantine extended until ${extended.plannedEndAt.toLocaleDateString()}`,
+                plannedEndAt: extended.plannedEndAt
+            });
+        }
+
+        if (decision !== 'RELEASE') {
+            return res.status(400).json({ success: false, error: 'Decision must be RELEASE or EXTEND' });
+        }
+
+        // Exit criteria: planned period served and every required test negative
+        const unmetCriteria = Quarantine.getUnmetExitCriteria(episode);
+        if (unmetCriteria.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Exit criteria not met',
+                unmetCriteria
+            });
+        }
+
+        await Quarantine.release(episode._id, notes);
+        await Animal.releaseFromQuarantine(animal._id, {
+            cause: { type: 'QUARANTINE_RELEASE', quarantineId: episode._id },
+            actor: StatusHistory.userActor(req.session)
+        });
+        await Animal.recomputeHealthScore(animal._id);
+        console.log(`✅ Animal ${animal.tagId} released from quarantine`);
+
+        res.json({ success: true, message: `${animal.tagId} released from quarantine` });
+
+    } catch (error) {
+        console.error('Quarantine decision error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record quarantine decision' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const Animal = require('../models/Animal');
+const HerdGroup = require('../models/HerdGroup');
+const Ration = require('../models/Ration');
+const StatusHistory = require('../models/StatusHistory');
+const { ObjectId } = require('mongodb');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { getFeedStockLevels } = require('../utils/feedStore');
+const { getStages, getRationSpecies, getAnimalRationInputs, calculateRequirements, formulateRation } = require('../utils/ration');
+const { feedSchedule } = require('../utils/rationScheduler');
+const { startOfDay } = require('../utils/lactation');
+
+// Load a ration the farmer owns - sends the error response and returns null otherwise
+async function findOwnedRation(req, res) {
+    const ration = ObjectId.isValid(req.params.id) ? await Ration.findById(req.params.id) : null;
+
+    if (!ration) {
+        res.status(404).json({ success: false, error: 'Ration not found' });
+        return null;
+    }
+
+    if (ration.farmerId.toString() !== req.session.userId) {
+        res.status(403).json({ success: false, error: 'Access denied' });
+        return null;
+    }
+
+    return ration;
+}
+
+// Feed items the builder can use, and the reason each other item is left out
+async function findRationFeeds(farmerId) {
+    const feeds = [];
+    const excluded = [];
+
+    for (const { item, onHand, lastCostPerKg } of await getFeedStockLevels(farmerId)) {
+        if (!item.nutrients) {
+            excluded.push({ name: item.name, reason: 'No nutrients in the table' });
+        } else if (lastCostPerKg === null) {
+            excluded.push({ name: item.name, reason: 'No purchase price yet' });
+        } else if (onHand <= 0) {
+            excluded.push({ name: item.name, reason: 'Out of stock' });
+        } else {
+            feeds.push({ item, costPerKg: lastCostPerKg });
+        }
+    }
+
+    return { feeds, excluded };
+}
+
+// Species, weight, stage and milk from the form. With an animal, its species and
+// latest weight are used - returns { inputs } or { status, error }
+async function parseRationInputs(req) {
+    const stage = req.body.stage;
+    let inputs;
+
+    if (req.body.animalId) {
+        const animal = ObjectId.isValid(req.body.animalId) ? await Animal.findById(req.body.animalId) : null;
+        if (!animal) return { status: 404, error: 'Animal not found' };
+        if (animal.ownerId.toString() !== req.session.userId) return { status: 403, error: 'Access denied' };
+
+        const recorded = await getAnimalRationInputs(animal);
+        if (recorded.bodyWeight === null) {
+            return { status: 400, error: `${animal.tagId} has no weight recorded - weigh it first or enter a body weight without choosing the animal` };
+        }
+
+        inputs = { animalId: animal._id, tagId: animal.tagId, species: animal.species, bodyWeight: recorded.bodyWeight };
+    } else {
+        inputs = { animalId: null, tagId: null, species: (req.body.species || '').trim(), bodyWeight: parseFloat(req.body.bodyWeight) };
+    }
+
+    const milkYield = stage === 'LACTATING' ? parseFloat(req.body.milkYield) || 0 : 0;
+    return { inputs: { ...inputs, stage, milkYield } };
+}
+
+// Requirements and the least-cost mix for the inputs - returns the result or { status, error }
+async function buildRation(req) {
+    const parsed = await parseRationInputs(req);
+    if (parsed.error) return parsed;
+
+    const requirements = calculateRequirements(parsed.inputs);
+    if (requirements.error) return { status: 400, error: requirements.error };
+
+    const { feeds, excluded } = await findRationFeeds(req.session.userId);
+    const ration = formulateRation(requirements, feeds);
+    if (ration.error) return { status: 400, error: ration.error, requirements, excluded };
+
+    return { inputs: parsed.inputs, requirements, excluded, ...ration };
+}
+
+// GET /rations - Ration builder, nutrient table, saved rations and group schedules
+router.get('/rations', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const animals = [];
+        for (const animal of await Animal.findByOwner(req.session.userId)) {
+            if (getRationSpecies(animal.species)) animals.push(await getAnimalRationInputs(animal));
+        }
+
+        const rations = await Ration.findByFarmer(req.session.userId);
+        const groups = await HerdGroup.findByOwner(req.session.userId);
+        const schedules = (await Ration.findActiveSchedulesByFarmer(req.session.userId)).map(schedule => ({
+            ...schedule,
+            ration: rations.find(ration => ration._id.toString() === schedule.rationId.toString()),
+            group: groups.find(group => group._id.toString() === schedule.groupId.toString())
+        }));
+
+        res.render('farmer/rations', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            animals,
+            stages: getStages(),
+            levels: await getFeedStockLevels(req.session.userId),
+            rations,
+            groups,
+            schedules: schedules.filter(schedule => schedule.ration && schedule.group)
+        });
+
+    } catch (error) {
+        console.error('Rations page error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load ration builder'
+        });
+    }
+});
+
+// POST /api/rations/formulate - Requirements and least-cost mix, without saving
+router.post('/api/rations/formulate', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const { status, error, ...result } = await buildRation(req);
+        if (error) {
+            return res.status(status).json({ success: false, error, ...result });
+        }
+
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('Formulate ration error:', error);
+        res.status(500).json({ success: false, error: 'Failed to work out ration' });
+    }
+});
+
+// POST /rations - Work out the ration again from the inputs and save it
+router.post('/rations', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Ration name is required' });
+        }
+
+        const { status, error, ...result } = await buildRation(req);
+        if (error) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        const ration = await Ration.create({
+            farmerId: req.session.userId,
+            name,
+            inputs: result.inputs,
+            requirements: result.requirements,
+            ingredients: result.ingredients,
+            supplied: result.supplied,
+            costPerHead: result.costPerHead
+        });
+
+        res.json({ success: true, message: `Ration ${name} saved - ₹${ration.costPerHead} per head per day`, ration });
+
+    } catch (error) {
+        console.error('Save ration error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save ration' });
+    }
+});
+
+// POST /rations/:id/apply - Feed a group the ration every day from startsOn (default today)
+router.post('/rations/:id/apply', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const ration = await findOwnedRation(req, res);
+        if (!ration) return;
+
+        const group = ObjectId.isValid(req.body.groupId) ? await HerdGroup.findById(req.body.groupId) : null;
+        if (!group || group.archivedAt) {
+            return res.status(404).json({ success: false, error: 'Group not found' });
+        }
+        if (group.ownerId.toString() !== req.session.userId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const startsOn = startOfDay(req.body.startsOn ? new Date(req.body.startsOn) : new Date());
+        if (isNaN(startsOn.getTime()) || startsOn < startOfDay(new Date())) {
+            return res.status(400).json({ success: false, error: 'Start date must be today or later' });
+        }
+
+        // The ration was worked out for one species
+        const species = getRationSpecies(ration.inputs.species);
+        const others = (await Animal.findByIds(await HerdGroup.findMemberIds(group._id)))
+            .filter(animal => getRationSpecies(animal.species) !== species)
+            .map(animal => `${animal.tagId} (${animal.species})`);
+        if (others.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `This ration is for ${species} - ${group.name} also has ${others.join(', ')}`
+            });
+        }
+
+        const previous = await Ration.findActiveScheduleByGroup(group._id);
+        const schedule = await Ration.schedule(ration, group, startsOn, StatusHistory.userActor(req.session));
+
+        // The schedule stands even if today's feed fails - the scheduler tries the day again
+        let fedDays = 0;
+        let feedFailed = false;
+        try {
+            fedDays = await feedSchedule(schedule);
+        } catch (error) {
+            console.error('Apply ration feeding error:', error);
+            feedFailed = true;
+        }
+
+        res.json({
+            success: true,
+            message: `${group.name} will get ${ration.name} every day from ${startsOn.toLocaleDateString()}`
+                + (fedDays > 0 ? ' - today\'s feed is recorded' : '')
+                + (feedFailed ? ' - schedule saved, but today\'s feed could not be recorded yet and will be retried' : '')
+                + (previous ? '. Its previous ration schedule was stopped' : ''),
+            scheduleId: schedule._id,
+            feedRecorded: !feedFailed
+        });
+
+    } catch (error) {
+        console.error('Apply ration error:', error);
+        res.status(500).json({ success: false, error: 'Failed to apply ration' });
+    }
+});
+
+// POST /rations/schedules/:id/stop - Stop feeding a group its ration; recorded feed stays
+router.post('/rations/schedules/:id/stop', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const schedule = ObjectId.isValid(req.params.id) ? await Ration.findScheduleById(req.params.id) : null;
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        if (schedule.farmerId.toString() !== req.session.userId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const stopped = await Ration.stopSchedule(schedule._id, StatusHistory.userActor(req.session));
+        if (!stopped) {
+            return res.status(400).json({ success: false, error: 'Schedule is already stopped' });
+        }
+
+        res.json({ success: true, message: 'Ration schedule stopped' });
+
+    } catch (error) {
+        console.error('Stop ration schedule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to stop schedule' });
+    }
+});
+
+// POST /rations/:id/delete - Delete a saved ration and stop its schedules
+router.post('/rations/:id/delete', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const ration = await findOwnedRation(req, res);
+        if (!ration) return;
+
+        await Ration.delete(ration._id, StatusHistory.userActor(req.session));
+        res.json({ success: true, message: `Ration ${ration.name} deleted` });
+
+    } catch (error) {
+        console.error('Delete ration error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete ration' });
+    }
+});
+
+// GET /api/rations - Saved rations and the groups being fed them
+router.get('/api/rations', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            rations: await Ration.findByFarmer(req.session.userId),
+            schedules: await Ration.findActiveSchedulesByFarmer(req.session.userId)
+        });
+
+    } catch (error) {
+        console.error('Rations API error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load rations' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Animal = require('../models/Animal');
+const MedicalLog = require('../models/MedicalLog');
+const Formulary = require('../models/Formulary');
+const Prescription = require('../models/Prescription');
+const VetLink = require('../models/VetLink');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { ObjectId } = require('mongodb');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Treatments from this far back are offered to the vet for sign-off
+const SIGN_OFF_WINDOW_DAYS = 30;
+
+// Load an animal from a farm the vet is linked to - sends the error response and returns null otherwise
+async function findLinkedAnimal(req, res) {
+    const animal = await Animal.findById(req.params.id);
+
+    if (!animal) {
+        res.status(404).json({ success: false, error: 'Animal not found' });
+        return null;
+    }
+
+    if (!(await VetLink.isLinked(animal.ownerId, req.session.userId))) {
+        res.status(403).json({ success: false, error: 'This animal is not on a farm linked to you' });
+        return null;
+    }
+
+    return animal;
+}
+
+// ========== Farmer: manage linked vets ==========
+
+// GET /vets - Vets linked to the farm
+router.get('/vets', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const links = await VetLink.findActiveByFarmer(req.session.userId);
+        const vets = await Promise.all(links.map(async link => {
+            const vet = await User.findById(link.vetId);
+            return {
+                vetId: link.vetId,
+                name: vet ? vet.name : 'Unknown vet',
+                email: vet ? vet.email : '',
+                linkedAt: link.linkedAt
+            };
+        }));
+
+        res.render('farmer/vets', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            vets
+        });
+
+    } catch (error) {
+        console.error('Vets page error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load linked vets'
+        });
+    }
+});
+
+// POST /vets/link - Link a vet to the farm by their account email
+router.post('/vets/link', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || !email.trim()) {
+            return res.status(400).json({ success: false, error: "The vet's email is required" });
+        }
+
+        const vet = await User.findByEmail(email.trim());
+        if (!vet || vet.role !== 'vet') {
+            return res.status(404).json({ success: false, error: 'No veterinarian account is registered with that email' });
+        }
+
+        if (await VetLink.isLinked(req.session.userId, vet._id)) {
+            return res.status(409).json({ success: false, error: `${vet.name} is already linked to your farm` });
+        }
+
+        await VetLink.create(req.session.userId, vet._id);
+
+        res.json({ success: true, message: `${vet.name} can now view your herd, prescribe and sign off treatments` });
+
+    } catch (error) {
+        console.error('Link vet error:', error);
+        res.status(500).json({ success: false, error: 'Failed to link vet' });
+    }
+});
+
+// POST /vets/:vetId/unlink - Remove a vet's access to the farm
+router.post('/vets/:vetId/unlink', requireAuth, requireRole('farmer'), async (req, res) => {
+    try {
+        const unlinked = ObjectId.isValid(req.params.vetId)
+            && await VetLink.unlink(req.session.userId, req.params.vetId);
+
+        if (!unlinked) {
+            return res.status(404).json({ success: false, error: 'This vet is not linked to your farm' });
+        }
+
+        res.json({ success: true, message: 'Vet unlinked - they can no longer view your herd' });
+
+    } catch (error) {
+        console.error('Unlink vet error:', error);
+        res.status(500).json({ success: false, error: 'Failed to unlink vet' });
+    }
+});
+
+// ========== Vet: linked herds ==========
+
+// GET /vet - Linked farms, their herds and treatments awaiting sign-off
+router.get('/vet', requireAuth, requireRole('vet'), async (req, res) => {
+    try {
+        const links = await VetLink.findActiveByVet(req.session.userId);
+        const since = new Date(Date.now() - SIGN_OFF_WINDOW_DAYS * DAY_MS);
+
+        const herds = await Promise.all(links.map(async link => ({
+            link,
+            farmer: await User.findById(link.farmerId),
+            animals: await Animal.findByOwner(link.farmerId)
+        })));
+
+        // One read for every linked animal, newest first, split back out by animal
+        const tagIds = new Map();
+        herds.forEach(herd => herd.animals.forEach(animal => tagIds.set(animal._id.toString(), animal.tagId)));
+        const logs = await MedicalLog.findAwaitingSignOffByAnimals([...tagIds.keys()], since);
+
+        const farms = herds.map(({ link, farmer, animals }) => {
+            const herdIds = new Set(animals.map(animal => animal._id.toString()));
+
+            return {
+                farmerId: link.farmerId,
+                farmerName: farmer ? farmer.name : 'Unknown farmer',
+                linkedAt: link.linkedAt,
+                animals,
+                awaitingSignOff: logs
+                    .filter(log => herdIds.has(log.animalId.toString()))
+                    .map(log => ({ ...log, animalTagId: tagIds.get(log.animalId.toString()) }))
+            };
+        });
+
+        res.render('vet/dashboard', {
+            user: { role: req.session.userRole, name: req.session.userName },
+            farms,
+            signOffWindowDays: SIGN_OFF_WINDOW_DAYS
+        });
+
+    } catch (error) {
+        console.error('Vet dashboard error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load linked herds'
+        });
+    }
+});
+
+// GET /vet/animals/:id - Animal record with prescribing and sign-off
+router.get('/vet/animals/:id', requireAuth, requireRole('vet'), async (req, res) => {
+    try {
+        const animal = await Animal.findById(req.params.id);
+
+        if (!animal) {
+            return res.status(404).render('error', {
+                user: { role: req.session.userRole },
+                message: 'Animal not found'
+            });
+        }
+
+        if (!(await VetLink.isLinked(animal.ownerId, req.session.userId))) {
+            return res.status(403).render('error', {
+                user: { role: req.session.userRole },
+                message: 'This animal is not on a farm linked to you'
+            });
+        }
+
+        const farmer = await User.findById(animal.ownerId);
+        const medicalLogs = await MedicalLog.findByAnimal(animal._id);
+        const prescriptions = await Prescription.findByAnimal(animal._id);
+        const medicines = await Formulary.findCurrentBySpecies(animal.species);
+
+        res.render('vet/animal', {
+            user: { role: req.session.userRole, name: req.session.userName, id: req.session.userId },
+            animal,
+            farmerName: farmer ? farmer.name : 'Unknown farmer',
+            medicalLogs,
+            prescriptions,
+            medicines,
+            defaultValidDays: Prescription.getDefaultValidDays(),
+            now: new Date()
+        });
+
+    } catch (error) {
+        console.error('Vet animal view error:', error);
+        res.status(500).render('error', {
+            user: { role: req.session.userRole },
+            message: 'Failed to load animal details'
+        });
+    }
+});
+
+// POST /vet/animals/:id/prescriptions - Issue a prescription for the farmer to give
+router.post('/vet/animals/:id/prescriptions', requireAuth, requireRole('vet'), async (req, res) => {
+    try {
+        const animal = await findLinkedAnimal(req, res);
+        if (!animal) return;
+
+        const { medicineId, dosage, totalDoses, intervalHours, diagnosis, instructions, validDays } = req.body;
+
+        if (!diagnosis || !diagnosis.trim()) {
+            return res.status(400).json({ success: false, error: 'A diagnosis is required' });
+        }
+
+        // Prescriptions are written against the formulary so the withdrawal period is known
+        const medicine = await Formulary.findCurrentByCode(animal.species, medicineId);
+        if (!medicine) {
+            return res.status(400).json({ success: false, error: `Medicine not found in the formulary for ${animal.species}` });
+        }
+
+        const prescription = await Prescription.create({
+            animalId: animal._id,
+            farmerId: animal.ownerId,
+            vetId: req.session.userId,
+            vetName: req.session.userName,
+            medicineCode: medicine.code,
+            medicineName: medicine.name,
+            formularyVersion: medicine.version,
+            dosage,
+            totalDoses,
+            intervalHours,
+            diagnosis: diagnosis.trim(),
+            instructions,
+            validDays
+        });
+
+        res.json({
+            success: true,
+            message: `Prescription for ${medicine.name} issued - valid until ${prescription.validUntil.toLocaleDateString()}`,
+            prescriptionId: prescription._id
+        });
+
+    } catch (error) {
+        console.error('Issue prescription error:', error);
+        res.status(500).json({ success: false, error: 'Failed to issue prescription' });
+    }
+});
+
+// POST /vet/prescriptions/:id/cancel - Withdraw a prescription that hasn't been given yet
+router.post('/vet/prescriptions/:id/cancel', requireAuth, requireRole('vet'), async (req, res) => {
+    try {
+        const prescription = await Prescription.findById(req.params.id);
+
+        if (!prescription) {
+            return res.status(404).json({ success: false, error: 'Prescription not found' });
+        }
+
+        if (prescription.vetId.toString() !== req.session.userId) {
+            return res.status(403).json({ success: false, error: 'Only the issuing vet can cancel a prescription' });
+        }
+
+        const cancelled = await Prescription.cancel(prescription._id);
+        if (!cancelled) {
+            return res.status(400).json({ success: false, error: 'Only a prescription that has not been given can be cancelled' });
+        }
+
+        res.json({ success: true, message: 'Prescription cancelled' });
+
+    } catch (error) {
+        console.error('Cancel prescription error:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel prescription' });
+    }
+});
+
+// POST /vet/animals/:id/medical-logs/:logId/sign-off - Co-sign a treatment the farmer recorded
+router.post('/vet/animals/:id/medical-logs/:logId/sign-off', requireAuth, requireRole('vet'), async (req, res) => {
+    try {
+        const animal = await findLinkedAnimal(req, res);
+        if (!animal) return;
+
+        const log = await MedicalLog.findById(req.params.logId);
+        if (!log || log.animalId.toString() !== animal._id.toString()) {
+            return res.status(404).json({ success: false, error: 'Medical log not found' });
+        }
+
+        const signed = await MedicalLog.signOff(log._id, {
+            vetId: req.session.userId,
+            vetName: req.session.userName,
+            notes: req.body.notes
+        });
+
+        if (!signed) {
+            return res.status(400).json({
+                success: false,
+                error: log.voidedAt ? 'A voided log cannot be signed off' : 'This treatment is already signed off'
+            });
+        }
+
+        res.json({ success: true, message: `${log.medicineName} treatment signed off` });
+
+    } catch (error) {
+        console.error('Sign off medical log error:', error);
+        res.status(500).json({ success: false, error: 'Failed to sign off treatment' });
+    }
+});
+
+module.exports = router;
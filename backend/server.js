@@ -4,7 +4,11 @@ const session = require('express-session');
 const MongoDBStore = require('connect-mongodb-session')(session);
 const path = require('path');
 const { connectDB } = require('./config/database');
-const { autoUnlockExpired } = require('./middleware/bioSafety');
+const { startWithdrawalScheduler, stopWithdrawalScheduler } = require('./utils/withdrawalScheduler');
+const { startHealthScoreScheduler, stopHealthScoreScheduler } = require('./utils/healthScoreScheduler');
+const { startRationScheduler, stopRationScheduler } = require('./utils/rationScheduler');
+const Formulary = require('./models/Formulary');
+const { getHomePath } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -43,9 +47,6 @@ app.use(session({
     }
 }));
 
-// Auto-unlock expired animals on every request
-app.use(autoUnlockExpired);
-
 // View engine
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, '../frontend/views'));
@@ -66,17 +67,24 @@ app.use('/guide', require('./routes/guide'));
 app.use('/', aiRoutes);
 app.use('/', require('./routes/community'));
 app.use('/', require('./routes/compliance'));
+app.use('/', require('./routes/quarantine'));
+app.use('/', require('./routes/medicineStock'));
+app.use('/', require('./routes/feedStore'));
+app.use('/', require('./routes/amu'));
+app.use('/', require('./routes/vet'));
+app.use('/', require('./routes/breeding'));
+app.use('/', require('./routes/pedigree'));
+app.use('/', require('./routes/milk'));
+app.use('/', require('./routes/groups'));
+app.use('/', require('./routes/rations'));
+app.use('/', require('./routes/analytics'));
 
 
 // Home route
 app.get('/', (req, res) => {
     // If logged in, redirect to appropriate dashboard
     if (req.session && req.session.userId) {
-        if (req.session.userRole === 'farmer') {
-            return res.redirect('/dashboard');
-        } else {
-            return res.redirect('/marketplace');
-        }
+        return res.redirect(getHomePath(req.session.userRole));
     }
 
     res.render('index', { user: null });
@@ -103,6 +111,10 @@ app.use((err, req, res, next) => {
 async function startServer() {
     try {
         await connectDB();
+        await Formulary.ensureSeeded();
+        startWithdrawalScheduler();
+        startHealthScoreScheduler();
+        startRationScheduler();
         app.listen(PORT, () => {
             console.log(`✅ JeevBandhu server running on http://localhost:${PORT}`);
         });
@@ -117,6 +129,9 @@ startServer();
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n⏳ Shutting down gracefully...');
+    stopWithdrawalScheduler();
+    stopHealthScoreScheduler();
+    stopRationScheduler();
     const { closeDB } = require('./config/database');
     await closeDB();
     process.exit(0);
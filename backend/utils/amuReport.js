@@ -0,0 +1,287 @@
+// Antimicrobial Usage (AMU) Reporting
+// Aggregates a farm's antibiotic treatments over a period: treatment counts,
+// animal-days under treatment and mg of active ingredient per population
+// correction unit (mg/PCU), the figure regulators and dairy cooperatives ask for.
+
+const Formulary = require('../models/Formulary');
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Rough adult weights, used for the PCU only when an animal has no recorded weight
+const DEFAULT_WEIGHTS_KG = {
+    cattle: 425,
+    buffalo: 425,
+    goat: 40,
+    sheep: 45,
+    poultry: 2
+};
+
+/**
+ * Period from query parameters, defaulting to the last 12 months.
+ * `to` is inclusive - the whole end day is covered.
+ * @param {Object} query - { from, to } as YYYY-MM-DD strings
+ * @param {Date} now
+ * @returns {Object|null} - { from, to } or null if the dates are invalid
+ */
+function parsePeriod(query, now = new Date()) {
+    const to = query.to ? new Date(query.to) : new Date(now);
+    const from = query.from ? new Date(query.from) : new Date(to.getFullYear() - 1, to.getMonth(), to.getDate() + 1);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) return null;
+
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+
+    return from <= to ? { from, to } : null;
+}
+
+/**
+ * Milligrams of active ingredient in one dose, best source first:
+ * the dosage as written (mg/g, or ml with the product strength - a per-kg dose
+ * such as "20 mg/kg" or "1 ml per 10 kg" is scaled by the animal's weight), the
+ * stock quantity drawn, then the label dose for the animal's recorded weight.
+ * @param {Object} log - Medical log
+ * @param {Object} medicine - Formulary entry for the animal's species
+ * @param {number|null} weightKg - Weight at the time of treatment
+ * @returns {Object|null} - { mg, source } or null when it can't be worked out
+ */
+function estimateDoseMg(log, medicine, weightKg) {
+    const dosage = medicine.dosage || {};
+    const mgPerMl = dosage.concentration && dosage.concentration.unit === 'mg/ml' ? dosage.concentration.value : null;
+
+    const written = (log.dosage || '').toLowerCase()
+        .match(/(\d+(?:\.\d+)?)\s*(mg|g|ml)\b(\s*(?:\/|per)\s*(\d+(?:\.\d+)?)?\s*kg\b)?/);
+    // A per-kg dose needs the weight - without it, fall through to the other sources
+    if (written && (!written[3] || weightKg)) {
+        const amount = parseFloat(written[1]) * (written[3] ? weightKg / (parseFloat(written[4]) || 1) : 1);
+        if (written[2] === 'mg') return { mg: amount, source: 'DOSAGE' };
+        if (written[2] === 'g') return { mg: amount * 1000, source: 'DOSAGE' };
+        if (mgPerMl) return { mg: amount * mgPerMl, source: 'DOSAGE' };
+    }
+
+    if (log.stock && log.stock.unit === 'ml' && mgPerMl) {
+        return { mg: log.stock.quantityUsed * mgPerMl, source: 'STOCK' };
+    }
+
+    if (weightKg && dosage.doseUnit === 'mg') {
+        return { mg: (weightKg / (dosage.perWeightKg || 1)) * dosage.amount, source: 'LABEL_DOSE' };
+    }
+
+    return null;
+}
+
+// Latest weight on or before a date, else the earliest one after it
+function weightAt(records, date) {
+    if (!records || records.length === 0) return null;
+
+    const before = records.filter(record => new Date(record.recordedDate) <= date);
+    const record = before.length > 0 ? before[before.length - 1] : records[0];
+    return record.weight;
+}
+
+function addTo(map, key, init) {
+    if (!map.has(key)) map.set(key, init());
+    return map.get(key);
+}
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Build the AMU report for a farm
+ * @param {string} farmerId
+ * @param {Object} period - { from, to } from parsePeriod
+ * @returns {Promise<Object>} - { period, totals, coverage, byMedicine, byAnimal, monthly }
+ */
+async function buildAmuReport(farmerId, period) {
+    const db = getDB();
+
+    // Population: animals on the farm by the end of the period
+    const animals = await db.collection('animals')
+        .find({ ownerId: new ObjectId(farmerId), createdAt: { $lte: period.to } })
+        .toArray();
+    const animalsById = new Map(animals.map(animal => [animal._id.toString(), animal]));
+    const animalIds = animals.map(animal => animal._id);
+
+    const weightRecords = await db.collection('weight_records')
+        .find({ animalId: { $in: animalIds } })
+        .sort({ recordedDate: 1 })
+        .toArray();
+    const weightsByAnimal = new Map();
+    weightRecords.forEach(record => addTo(weightsByAnimal, record.animalId.toString(), () => []).push(record));
+
+    // Voided logs were entered in error and never count; vaccines aren't antimicrobials
+    const logs = await db.collection('medicalLogs')
+        .find({
+            animalId: { $in: animalIds },
+            administeredAt: { $gte: period.from, $lte: period.to },
+            vaccination: null,
+            voidedAt: null
+        })
+        .sort({ administeredAt: 1 })
+        .toArray();
+
+    // Formulary revisions the logs were recorded against
+    const entries = new Map();
+    for (const log of logs) {
+        if (log.formulary && !entries.has(log.formulary.entryId.toString())) {
+            entries.set(log.formulary.entryId.toString(), await Formulary.findById(log.formulary.entryId));
+        }
+    }
+
+    const coverage = { customTreatments: 0, dosesWithoutMg: 0, mgFromLabelDose: 0, animalsWithDefaultWeight: 0 };
+    const treatments = new Set();
+    const animalDays = new Set();
+    const byMedicine = new Map();
+    const byAnimal = new Map();
+    const monthly = new Map();
+    let doses = 0;
+    let totalMg = 0;
+
+    logs.forEach(log => {
+        const animal = animalsById.get(log.animalId.toString());
+
+        // Custom medicines carry no drug class, so they can't be classified
+        if (!log.formulary) {
+            coverage.customTreatments++;
+            return;
+        }
+
+        const entry = entries.get(log.formulary.entryId.toString());
+        const medicine = entry ? Formulary.forSpecies(entry, animal.species) || entry : null;
+        if (!medicine || !Formulary.isAntimicrobial(medicine)) return;
+
+        // A course is one treatment however many doses it has
+        const treatmentKey = log.courseId ? `course:${log.courseId}` : `log:${log._id}`;
+        const dayKey = `${log.animalId}:${new Date(log.administeredAt).toISOString().slice(0, 10)}`;
+        const monthKey = new Date(log.administeredAt).toISOString().slice(0, 7);
+        const isNewTreatment = !treatments.has(treatmentKey);
+        const isNewDay = !animalDays.has(dayKey);
+
+        treatments.add(treatmentKey);
+        animalDays.add(dayKey);
+        doses++;
+
+        const estimate = estimateDoseMg(log, medicine, weightAt(weightsByAnimal.get(log.animalId.toString()), new Date(log.administeredAt)));
+        const mg = estimate ? estimate.mg : 0;
+        if (!estimate) coverage.dosesWithoutMg++;
+        if (estimate && estimate.source === 'LABEL_DOSE') coverage.mgFromLabelDose++;
+        totalMg += mg;
+
+        const medicineRow = addTo(byMedicine, log.formulary.code, () => ({
+            code: log.formulary.code,
+            name: entry.name,
+            category: entry.category,
+            treatments: 0,
+            doses: 0,
+            animalDays: 0,
+            mg: 0
+        }));
+        const animalRow = addTo(byAnimal, log.animalId.toString(), () => ({
+            animalId: log.animalId,
+            tagId: animal.tagId,
+            species: animal.species,
+            treatments: 0,
+            doses: 0,
+            animalDays: 0,
+            mg: 0
+        }));
+        const monthRow = addTo(monthly, monthKey, () => ({ month: monthKey, treatments: 0, mg: 0 }));
+
+        [medicineRow, animalRow].forEach(row => {
+            if (isNewTreatment) row.treatments++;
+            if (isNewDay) row.animalDays++;
+            row.doses++;
+            row.mg += mg;
+        });
+        if (isNewTreatment) monthRow.treatments++;
+        monthRow.mg += mg;
+    });
+
+    // PCU: the population's weight in kg, from recorded weights where there are any
+    const pcuKg = animals.reduce((sum, animal) => {
+        const recorded = weightAt(weightsByAnimal.get(animal._id.toString()), period.to);
+        if (recorded) return sum + recorded;
+
+        coverage.animalsWithDefaultWeight++;
+        return sum + (DEFAULT_WEIGHTS_KG[Formulary.normalizeSpecies(animal.species)] || 0);
+    }, 0);
+
+    const periodDays = Math.round((period.to - period.from) / DAY_MS);
+    const roundRow = row => ({ ...row, mg: round(row.mg) });
+
+    return {
+        period: { ...period, days: periodDays },
+        totals: {
+            population: animals.length,
+            animalsTreated: byAnimal.size,
+            treatments: treatments.size,
+            doses,
+            animalDays: animalDays.size,
+            // Animal-days under antibiotic treatment per 1000 animal-days in the period
+            treatmentIncidence: animals.length > 0 && periodDays > 0
+                ? round(animalDays.size / (animals.length * periodDays) * 1000, 2)
+                : 0,
+            mg: round(totalMg),
+            pcuKg: round(pcuKg),
+            mgPerPcu: pcuKg > 0 ? round(totalMg / pcuKg, 2) : 0
+        },
+        coverage,
+        byMedicine: Array.from(byMedicine.values()).map(roundRow).sort((a, b) => b.mg - a.mg),
+        byAnimal: Array.from(byAnimal.values()).map(roundRow).sort((a, b) => b.animalDays - a.animalDays),
+        monthly: Array.from(monthly.values()).map(roundRow).sort((a, b) => a.month.localeCompare(b.month))
+    };
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export - a summary block followed by the per-medicine and per-animal tables
+ * @param {Object} report - From buildAmuReport
+ * @returns {string}
+ */
+function toCsv(report) {
+    const { totals, coverage, period } = report;
+    const rows = [
+        ['Antimicrobial usage report'],
+        ['Period', period.from.toISOString().slice(0, 10), period.to.toISOString().slice(0, 10)],
+        [],
+        ['Population', totals.population],
+        ['Animals treated', totals.animalsTreated],
+        ['Treatments', totals.treatments],
+        ['Doses', totals.doses],
+        ['Animal-days under treatment', totals.animalDays],
+        ['Treatment incidence (per 1000 animal-days)', totals.treatmentIncidence],
+        ['Active ingredient (mg)', totals.mg],
+        ['PCU (kg)', totals.pcuKg],
+        ['mg/PCU', totals.mgPerPcu],
+        ['Doses without an mg figure', coverage.dosesWithoutMg],
+        ['Doses estimated from label dose', coverage.mgFromLabelDose],
+        ['Animals on default weight', coverage.animalsWithDefaultWeight],
+        ['Custom-medicine treatments not classified', coverage.customTreatments],
+        [],
+        ['Medicine', 'Class', 'Treatments', 'Doses', 'Animal-days', 'mg'],
+        ...report.byMedicine.map(row => [row.name, row.category, row.treatments, row.doses, row.animalDays, row.mg]),
+        [],
+        ['Animal', 'Species', 'Treatments', 'Doses', 'Animal-days', 'mg'],
+        ...report.byAnimal.map(row => [row.tagId, row.species, row.treatments, row.doses, row.animalDays, row.mg])
+    ];
+
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+    DEFAULT_WEIGHTS_KG,
+    parsePeriod,
+    estimateDoseMg,
+    buildAmuReport,
+    toCsv
+};
@@ -0,0 +1,37 @@
+// In-process event bus for animal state changes.
+// Subscribe with animalEvents.on(ANIMAL_EVENTS.UNLOCKED, handler).
+
+const { EventEmitter } = require('events');
+
+const ANIMAL_EVENTS = {
+    // payload: { animalId, tagId, ownerId, previousStatus, unlockedAt, source }
+    UNLOCKED: 'animal:unlocked'
+};
+
+const animalEvents = new EventEmitter();
+
+// A failing subscriber must not break the job or request that emitted the event
+function emitAnimalUnlocked(animal, source) {
+    const payload = {
+        animalId: animal._id,
+        tagId: animal.tagId,
+        ownerId: animal.ownerId,
+        previousStatus: animal.status,
+        unlockedAt: new Date(),
+        source // 'scheduler' or 'bio-safety-check'
+    };
+
+    for (const listener of animalEvents.listeners(ANIMAL_EVENTS.UNLOCKED)) {
+        try {
+            listener(payload);
+        } catch (error) {
+            console.error('Animal unlocked listener error:', error);
+        }
+    }
+}
+
+module.exports = {
+    ANIMAL_EVENTS,
+    animalEvents,
+    emitAnimalUnlocked
+};
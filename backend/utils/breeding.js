@@ -0,0 +1,162 @@
+// Reproduction Status
+// Works out where a female animal is in her breeding cycle from her breeding
+// records: pregnant, served and waiting for a pregnancy diagnosis, or open.
+// Confirmed pregnancy lives on the animal (Animal.pregnancy) because the
+// treatment safety checks read it from there.
+
+const BreedingRecord = require('../models/BreedingRecord');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Calvings due within this many days are listed on the dashboard
+const UPCOMING_CALVING_DAYS = 30;
+
+function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+function daysBetween(from, to) {
+    return Math.floor((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+/**
+ * Whether breeding records can be kept for an animal - species with a
+ * reproduction profile, and not recorded as male
+ * @param {Object} animal
+ * @returns {boolean}
+ */
+function isBreedingFemale(animal) {
+    return Boolean(BreedingRecord.getSpeciesProfile(animal.species)) && animal.sex !== 'male';
+}
+
+/**
+ * Current reproductive state of an animal
+ * @param {Object} animal - Needs species, sex, dateOfBirth, pregnancy
+ * @param {Array} records - The animal's breeding records, any order
+ * @param {Date} now
+ * @returns {Object|null} - null when breeding doesn't apply. Otherwise { state, profile,
+ *   lastHeat, nextHeatAt, lastService, lastCalvingAt, conceivedAt, pregnancyDay,
+ *   expectedCalvingAt, diagnosisDueAt, openSince, daysOpen, openPastTarget }
+ *   where state is PREGNANT, SERVED (awaiting diagnosis), OPEN or MAIDEN (not yet of breeding age)
+ */
+function getReproductiveStatus(animal, records, now = new Date()) {
+    if (!isBreedingFemale(animal)) return null;
+
+    const profile = BreedingRecord.getSpeciesProfile(animal.species);
+    const sorted = records.slice().sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+    const latest = type => sorted.find(record => record.type === type) || null;
+
+    const lastHeat = latest('HEAT');
+    const lastService = latest('SERVICE');
+    const lastCalving = latest('CALVING');
+    const lastOpenDiagnosis = sorted.find(record => record.type === 'PREGNANCY_DIAGNOSIS' && record.result === 'OPEN') || null;
+
+    const status = {
+        state: 'OPEN',
+        profile,
+        lastHeat,
+        nextHeatAt: lastHeat ? addDays(lastHeat.occurredAt, profile.heatCycleDays) : null,
+        lastService,
+        lastCalvingAt: lastCalving ? lastCalving.occurredAt : null,
+        conceivedAt: null,
+        pregnancyDay: null,
+        expectedCalvingAt: null,
+        diagnosisDueAt: null,
+        openSince: null,
+        daysOpen: null,
+        openPastTarget: false
+    };
+
+    if (animal.pregnancy) {
+        status.state = 'PREGNANT';
+        status.conceivedAt = animal.pregnancy.conceivedAt || null;
+        if (status.conceivedAt) {
+            status.pregnancyDay = daysBetween(status.conceivedAt, now);
+            status.expectedCalvingAt = BreedingRecord.getExpectedCalvingAt(animal.species, status.conceivedAt);
+        }
+        return status;
+    }
+
+    // A service since the last calving and negative diagnosis may still have taken
+    const after = (record, other) => !other || new Date(record.occurredAt) > new Date(other.occurredAt);
+    if (lastService && after(lastService, lastCalving) && after(lastService, lastOpenDiagnosis)
+        && daysBetween(lastService.occurredAt, now) < profile.gestationDays) {
+        status.state = 'SERVED';
+        status.expectedCalvingAt = lastService.expectedCalvingAt;
+        status.diagnosisDueAt = addDays(lastService.occurredAt, profile.diagnosisAfterDays);
+        return status;
+    }
+
+    // Days open run from the last calving, or for maiden animals from breeding age
+    if (lastCalving) {
+        status.openSince = lastCalving.occurredAt;
+    } else if (animal.dateOfBirth) {
+        status.openSince = addDays(animal.dateOfBirth, profile.firstServiceAgeDays);
+        if (status.openSince > now) {
+            status.state = 'MAIDEN';
+            return status;
+        }
+    }
+
+    if (status.openSince) {
+        status.daysOpen = daysBetween(status.openSince, now);
+        status.openPastTarget = status.daysOpen > profile.targetOpenDays;
+    }
+
+    return status;
+}
+
+/**
+ * Upcoming calvings and animals open past the target interval, for the dashboard
+ * @param {Array} animals
+ * @param {Array} records - Breeding records of these animals
+ * @param {Date} now
+ * @returns {Object} - { upcomingCalvings: [{ animalId, tagId, expectedCalvingAt, daysToGo, confirmed }],
+ *   openPastTarget: [{ animalId, tagId, daysOpen, targetOpenDays }] }
+ */
+function getHerdBreedingAlerts(animals, records, now = new Date()) {
+    const upcomingCalvings = [];
+    const openPastTarget = [];
+    const until = addDays(now, UPCOMING_CALVING_DAYS);
+
+    animals.forEach(animal => {
+        const status = getReproductiveStatus(
+            animal,
+            records.filter(record => record.animalId.toString() === animal._id.toString()),
+            now
+        );
+        if (!status) return;
+
+        // Overdue calvings stay listed until the calving is recorded
+        if (status.expectedCalvingAt && status.expectedCalvingAt <= until) {
+            upcomingCalvings.push({
+                animalId: animal._id,
+                tagId: animal.tagId,
+                expectedCalvingAt: status.expectedCalvingAt,
+                daysToGo: Math.ceil((status.expectedCalvingAt - now) / DAY_MS),
+                confirmed: status.state === 'PREGNANT'
+            });
+        }
+
+        if (status.openPastTarget) {
+            openPastTarget.push({
+                animalId: animal._id,
+                tagId: animal.tagId,
+                daysOpen: status.daysOpen,
+                targetOpenDays: status.profile.targetOpenDays
+            });
+        }
+    });
+
+    upcomingCalvings.sort((a, b) => a.expectedCalvingAt - b.expectedCalvingAt);
+    openPastTarget.sort((a, b) => b.daysOpen - a.daysOpen);
+
+    return { upcomingCalvings, openPastTarget };
+}
+
+module.exports = {
+    UPCOMING_CALVING_DAYS,
+    isBreedingFemale,
+    getReproductiveStatus,
+    getHerdBreedingAlerts
+};
@@ -0,0 +1,289 @@
+// Feed Cost
+// Prices feed records from the feed store purchases and turns FCR into money:
+// cost per kg of gain per animal and group, feed cost per litre of milk and a
+// monthly cost trend. A record that drew from the store is priced at the
+// batches it used; other records naming a store item are priced at the item's
+// latest purchase on or before the feed date. Feed with no store item or no
+// purchase stays unpriced and is reported so costs aren't read as complete.
+
+const FeedItem = require('../models/FeedItem');
+const FeedPurchase = require('../models/FeedPurchase');
+const FeedRecord = require('../models/FeedRecord');
+const MilkRecord = require('../models/MilkRecord');
+const WeightRecord = require('../models/WeightRecord');
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Pricing function for a farm's feed records
+ * @param {string} farmerId
+ * @returns {Promise<Function>} - record => { cost, unpriced } with unpriced the kg that couldn't be priced
+ */
+async function createFeedPricer(farmerId) {
+    const items = await FeedItem.findByFarmer(farmerId);
+    const purchases = (await FeedPurchase.findByFarmer(farmerId))
+        .sort((a, b) => new Date(a.purchaseDate) - new Date(b.purchaseDate));
+
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+    const itemsByName = new Map(items.map(item => [item.name.toLowerCase(), item]));
+
+    // Latest purchase price on or before the date, or the first purchase for feed given before it
+    function priceOn(item, date) {
+        const bought = purchases.filter(purchase => purchase.feedItemId.toString() === item._id.toString());
+        if (bought.length === 0) return null;
+
+        const before = bought.filter(purchase => new Date(purchase.purchaseDate) <= new Date(date));
+        return (before.length > 0 ? before[before.length - 1] : bought[0]).costPerKg;
+    }
+
+    return function priceRecord(record) {
+        const item = record.feedItemId
+            ? itemsById.get(record.feedItemId.toString())
+            : itemsByName.get((record.feedType || '').trim().toLowerCase());
+        const price = item ? priceOn(item, record.feedDate) : null;
+
+        if (record.stock) {
+            // Drawn from the store - the part the store didn't hold is priced like untracked feed
+            const { cost, shortfall } = record.stock;
+            if (shortfall <= 0) return { cost, unpriced: 0 };
+            return price === null ? { cost, unpriced: shortfall } : { cost: cost + shortfall * price, unpriced: 0 };
+        }
+
+        return price === null ? { cost: 0, unpriced: record.feedAmount } : { cost: record.feedAmount * price, unpriced: 0 };
+    };
+}
+
+/**
+ * Total amount and cost of a set of feed records
+ * @param {Array} records - Feed records
+ * @param {Function} priceRecord - From createFeedPricer
+ * @returns {Object} - { feedConsumed, feedCost, unpricedFeed } in kg and currency
+ */
+function sumFeedCost(records, priceRecord) {
+    let feedConsumed = 0;
+    let feedCost = 0;
+    let unpricedFeed = 0;
+
+    records.forEach(record => {
+        const { cost, unpriced } = priceRecord(record);
+        feedConsumed += record.feedAmount;
+        feedCost += cost;
+        unpricedFeed += unpriced;
+    });
+
+    return { feedConsumed: round(feedConsumed), feedCost: round(feedCost), unpricedFeed: round(unpricedFeed) };
+}
+
+// Records of many animals split out by animal id
+function byAnimalId(records) {
+    const grouped = new Map();
+    records.forEach(record => {
+        const key = record.animalId.toString();
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(record);
+    });
+    return grouped;
+}
+
+/**
+ * Feed economics of a set of animals, read in one pass over their feed, weight and
+ * milk records. Cost per kg of gain uses the same feed and gain as FeedRecord.calculateFCR
+ * (first to last weighing); cost per litre uses the feed given between the first and
+ * last milk record and the saleable (not discarded) milk.
+ * @param {Array} animals - Animal documents
+ * @param {Function} priceRecord - From createFeedPricer
+ * @returns {Promise<Map>} - animalId -> { feedConsumed, feedCost, unpricedFeed, fcr, weightGained, gainFeedCost,
+ *   costPerKgGain, milkFeedCost, saleableMilk, costPerLitre } - ratios are null when they can't be worked out
+ */
+async function calculateAnimalFeedCosts(animals, priceRecord) {
+    const animalIds = animals.map(animal => animal._id);
+    if (animalIds.length === 0) return new Map();
+
+    const [feedRecords, weightRecords, milkRecords] = await Promise.all([
+        FeedRecord.findByAnimals(animalIds),
+        WeightRecord.findByAnimals(animalIds),
+        MilkRecord.findByAnimals(animalIds)
+    ]);
+    const feedByAnimal = byAnimalId(feedRecords);
+    const weightsByAnimal = byAnimalId(weightRecords);
+    const milkByAnimal = byAnimalId(milkRecords);
+
+    const costs = new Map();
+    animals.forEach(animal => {
+        const id = animal._id.toString();
+        const allFeed = feedByAnimal.get(id) || [];
+
+        const result = {
+            ...sumFeedCost(allFeed, priceRecord),
+            fcr: null,
+            weightGained: null,
+            gainFeedCost: null,
+            costPerKgGain: null,
+            milkFeedCost: null,
+            saleableMilk: null,
+            costPerLitre: null
+        };
+
+        // Rounded as calculateFCR rounds them
+        const weights = weightsByAnimal.get(id) || [];
+        if (weights.length >= 2) {
+            const start = new Date(weights[0].recordedDate);
+            const end = new Date(weights[weights.length - 1].recordedDate);
+            const weightGained = round(weights[weights.length - 1].weight - weights[0].weight);
+            const gainFeed = allFeed.filter(record => new Date(record.feedDate) >= start && new Date(record.feedDate) <= end);
+            const fcr = weightGained > 0
+                ? round(round(gainFeed.reduce((sum, record) => sum + record.feedAmount, 0)) / weightGained)
+                : 0;
+
+            if (fcr > 0) {
+                result.fcr = fcr;
+                result.weightGained = weightGained;
+                result.gainFeedCost = sumFeedCost(gainFeed, priceRecord).feedCost;
+                result.costPerKgGain = round(result.gainFeedCost / weightGained);
+            }
+        }
+
+        const milk = milkByAnimal.get(id) || [];
+        const saleableMilk = milk.filter(record => !record.discard).reduce((sum, record) => sum + record.yield, 0);
+        if (saleableMilk > 0) {
+            const start = new Date(milk[0].recordedOn);
+            const end = new Date(milk[milk.length - 1].recordedOn);
+            end.setHours(23, 59, 59, 999);
+            const milkFeed = allFeed.filter(record => new Date(record.feedDate) >= start && new Date(record.feedDate) <= end);
+
+            result.milkFeedCost = sumFeedCost(milkFeed, priceRecord).feedCost;
+            result.saleableMilk = round(saleableMilk);
+            result.costPerLitre = result.milkFeedCost > 0 ? round(result.milkFeedCost / saleableMilk) : null;
+        }
+
+        costs.set(id, result);
+    });
+
+    return costs;
+}
+
+/**
+ * Feed cost figures for a group's members. Cost per kg of gain is averaged over the
+ * members that have one, like the group FCR; cost per litre is pooled over the milk.
+ * @param {Array} members - Animal documents
+ * @param {Function} priceRecord - From createFeedPricer
+ * @param {Map} costsById - From calculateAnimalFeedCosts, when the members' figures are already worked out
+ * @returns {Promise<Object>} - { feedCost, unpricedFeed, avgCostPerKgGain, costPerLitre, byAnimal: { animalId: cost } }
+ */
+async function summarizeGroupFeedCost(members, priceRecord, costsById = null) {
+    const memberCosts = costsById || await calculateAnimalFeedCosts(members, priceRecord);
+
+    const byAnimal = {};
+    members.forEach(animal => {
+        byAnimal[animal._id.toString()] = memberCosts.get(animal._id.toString());
+    });
+
+    const costs = Object.values(byAnimal);
+    const milkers = costs.filter(cost => cost.costPerLitre !== null);
+    const litres = milkers.reduce((sum, cost) => sum + cost.saleableMilk, 0);
+
+    return {
+        feedCost: round(costs.reduce((sum, cost) => sum + cost.feedCost, 0)),
+        unpricedFeed: round(costs.reduce((sum, cost) => sum + cost.unpricedFeed, 0)),
+        avgCostPerKgGain: average(costs.filter(cost => cost.costPerKgGain !== null).map(cost => cost.costPerKgGain)),
+        costPerLitre: litres > 0 ? round(milkers.reduce((sum, cost) => sum + cost.milkFeedCost, 0) / litres) : null,
+        byAnimal
+    };
+}
+
+/**
+ * Monthly feed cost for a farm, with FeedRecord.getFCRTrends alongside. Cost per kg
+ * of gain follows the FCR trend - averaged over animals weighed twice in the month
+ * that gained and were fed. Cost per litre is the feed cost of the animals milked in
+ * the month over their saleable milk.
+ * @param {string} farmerId
+ * @param {string} period - 1m, 6m or 1y
+ * @param {Date} now
+ * @returns {Promise<Array>} - [{ month, feedConsumed, feedCost, unpricedFeed, fcr, costPerKgGain, costPerLitre }]
+ */
+async function getFeedCostTrends(farmerId, period = '6m', now = new Date()) {
+    const db = getDB();
+    const months = FeedRecord.getTrendMonths(period, now);
+
+    const animals = await db.collection('animals')
+        .find({ ownerId: new ObjectId(farmerId) }, { projection: { _id: 1 } })
+        .toArray();
+    const animalIds = animals.map(animal => animal._id);
+    if (months.length === 0 || animalIds.length === 0) return [];
+
+    // Milk counts through the whole of a month's last day
+    const milkEnd = date => {
+        const end = new Date(date);
+        end.setHours(23, 59, 59, 999);
+        return end;
+    };
+    const from = months[0].start;
+    const to = months[months.length - 1].end;
+
+    const [priceRecord, fcrTrends, gainsByKey, feed, milk] = await Promise.all([
+        createFeedPricer(farmerId),
+        FeedRecord.fcrByMonth(animalIds, months),
+        FeedRecord.gainsByMonth(animalIds, months),
+        FeedRecord.findByAnimalsBetween(animalIds, from, to),
+        MilkRecord.findByOwnerBetween(farmerId, from, milkEnd(to))
+    ]);
+    const fcrByMonth = new Map(fcrTrends.map(trend => [trend.month, trend.fcr]));
+
+    const trends = [];
+    for (const { month, start, end } of months) {
+        const monthFeed = feed.filter(record => new Date(record.feedDate) >= start && new Date(record.feedDate) <= end);
+        if (monthFeed.length === 0) continue;
+        const feedByAnimal = byAnimalId(monthFeed);
+
+        // Cost per kg of gain, animal by animal as in the FCR trend
+        const gainCosts = [];
+        for (const animalId of animalIds) {
+            const animalFeed = feedByAnimal.get(animalId.toString());
+            const weightGain = gainsByKey.get(FeedRecord.monthKey(animalId, month));
+            if (!animalFeed || weightGain === undefined) continue;
+
+            const { feedCost } = sumFeedCost(animalFeed, priceRecord);
+            if (weightGain > 0 && feedCost > 0) gainCosts.push(feedCost / weightGain);
+        }
+
+        // Feed cost per saleable litre over the animals milked this month
+        const litresByAnimal = new Map();
+        milk
+            .filter(record => !record.discard
+                && new Date(record.recordedOn) >= start && new Date(record.recordedOn) <= milkEnd(end))
+            .forEach(record => {
+                const key = record.animalId.toString();
+                litresByAnimal.set(key, (litresByAnimal.get(key) || 0) + record.yield);
+            });
+        const litres = [...litresByAnimal.values()].reduce((sum, value) => sum + value, 0);
+        const milkFeedCost = [...litresByAnimal.keys()]
+            .reduce((sum, key) => sum + sumFeedCost(feedByAnimal.get(key) || [], priceRecord).feedCost, 0);
+
+        trends.push({
+            month,
+            ...sumFeedCost(monthFeed, priceRecord),
+            fcr: fcrByMonth.has(month) ? fcrByMonth.get(month) : null,
+            costPerKgGain: average(gainCosts),
+            costPerLitre: litres > 0 && milkFeedCost > 0 ? round(milkFeedCost / litres) : null
+        });
+    }
+
+    return trends;
+}
+
+module.exports = {
+    createFeedPricer,
+    sumFeedCost,
+    calculateAnimalFeedCosts,
+    summarizeGroupFeedCost,
+    getFeedCostTrends
+};
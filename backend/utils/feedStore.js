@@ -0,0 +1,224 @@
+// Feed Store
+// Stock behind the feed records: each feed record that names a store item draws
+// its amount from the item's purchases, oldest first, and keeps the batches and
+// price it used. Days of stock are projected from the last month's consumption.
+
+const FeedItem = require('../models/FeedItem');
+const FeedPurchase = require('../models/FeedPurchase');
+const FeedRecord = require('../models/FeedRecord');
+const GroupFeeding = require('../models/GroupFeeding');
+const { ObjectId } = require('mongodb');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Consumption over this many days sets the daily rate
+const CONSUMPTION_WINDOW_DAYS = 30;
+
+// Items with less than this many days left are flagged as low
+const LOW_STOCK_DAYS = 14;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Store item a feed record should draw from - by id, or by the feed type's name
+ * @param {string} farmerId
+ * @param {Object} recordData - { feedItemId, feedType }
+ * @returns {Promise<Object|null>} - null when the id isn't the farmer's or no item has the name
+ */
+async function resolveFeedItem(farmerId, { feedItemId, feedType }) {
+    if (feedItemId) {
+        const item = ObjectId.isValid(feedItemId) ? await FeedItem.findById(feedItemId) : null;
+        return item && item.farmerId.toString() === farmerId.toString() ? item : null;
+    }
+
+    return await FeedItem.findByFarmerAndName(farmerId, feedType);
+}
+
+/**
+ * Take a feed record's amount out of an item's purchases, oldest first
+ * @param {Object} item - Feed store item
+ * @param {Object} record - Saved feed record
+ * @returns {Promise<Object>} - { draws: [{ purchaseId, batchNumber, quantity, costPerKg }], shortfall, cost }
+ *   shortfall is the part of the amount the store didn't hold; cost covers the drawn part only
+ */
+async function drawFeed(item, record) {
+    const draws = [];
+    let left = round(record.feedAmount);
+
+    for (const purchase of await FeedPurchase.findInStockByItem(item._id)) {
+        if (left <= 0) break;
+
+        const quantity = round(Math.min(left, purchase.quantityRemaining));
+        if (quantity <= 0) continue;
+
+        const deducted = await FeedPurchase.deduct(purchase._id, quantity, {
+            feedRecordId: record._id,
+            animalId: record.animalId
+        });
+        if (!deducted) continue;
+
+        draws.push({
+            purchaseId: purchase._id,
+            batchNumber: purchase.batchNumber,
+            quantity,
+            costPerKg: purchase.costPerKg
+        });
+        left = round(left - quantity);
+    }
+
+    return {
+        draws,
+        shortfall: left,
+        cost: round(draws.reduce((sum, draw) => sum + draw.quantity * draw.costPerKg, 0))
+    };
+}
+
+/**
+ * Add a feed record and deduct it from the store when it names a store item
+ * @param {Object} recordData - FeedRecord.addFeedRecord fields
+ * @param {Object|null} item - From resolveFeedItem
+ * @returns {Promise<Object>} - The record, with stock set when it drew from the store
+ */
+async function recordFeed(recordData, item) {
+    const record = await FeedRecord.addFeedRecord({
+        ...recordData,
+        feedType: item ? item.name : recordData.feedType,
+        feedItemId: item ? item._id : null
+    });
+
+    if (!item) return record;
+
+    const stock = await drawFeed(item, record);
+    await FeedRecord.setStock(record._id, stock);
+    return { ...record, stock };
+}
+
+/**
+ * Put back everything a feed record drew from the store
+ * @param {Object} record - Saved feed record
+ */
+async function returnFeed(record) {
+    if (!record.stock) return;
+
+    for (const draw of record.stock.draws) {
+        await FeedPurchase.restore(draw.purchaseId, draw.quantity, record._id);
+    }
+}
+
+/**
+ * Correct a feed record's amount, date or notes. Store feed is returned and drawn
+ * again at the new amount, and a group member's share is changed in its group feeding.
+ * @param {Object} record - Saved feed record
+ * @param {Object} updates - { feedAmount, feedDate, notes }
+ * @returns {Promise<Object>} - The corrected record, with stock set when it draws from the store
+ */
+async function correctFeed(record, updates) {
+    await returnFeed(record);
+    await FeedRecord.update(record._id, updates);
+
+    const corrected = await FeedRecord.findById(record._id);
+    if (record.groupFeedingId) {
+        await GroupFeeding.setAllocation(record.groupFeedingId, record.animalId, corrected.feedAmount);
+    }
+
+    if (!record.feedItemId) return corrected;
+
+    const stock = await drawFeed(await FeedItem.findById(record.feedItemId), corrected);
+    await FeedRecord.setStock(record._id, stock);
+    return { ...corrected, stock };
+}
+
+/**
+ * Delete a feed record, returning its store feed and dropping it from its group feeding
+ * @param {Object} record - Saved feed record
+ */
+async function deleteFeed(record) {
+    await returnFeed(record);
+    await FeedRecord.deleteById(record._id);
+
+    if (record.groupFeedingId) {
+        await GroupFeeding.setAllocation(record.groupFeedingId, record.animalId, null);
+    }
+}
+
+/**
+ * Stock on hand, consumption rate and days left for each of a farm's feed items
+ * @param {string} farmerId
+ * @param {Date} now
+ * @returns {Promise<Array>} - [{ item, onHand, lastCostPerKg, averageDailyUse, daysOfStock, runsOutOn, status }]
+ *   status is OUT, LOW or OK; daysOfStock is null when the item hasn't been used lately
+ */
+async function getFeedStockLevels(farmerId, now = new Date()) {
+    const items = await FeedItem.findByFarmer(farmerId);
+    const purchases = await FeedPurchase.findByFarmer(farmerId);
+    const since = new Date(now.getTime() - CONSUMPTION_WINDOW_DAYS * DAY_MS);
+
+    const levels = [];
+    for (const item of items) {
+        const itemPurchases = purchases.filter(purchase => purchase.feedItemId.toString() === item._id.toString());
+        const onHand = round(itemPurchases
+            .filter(purchase => !purchase.discardedAt)
+            .reduce((sum, purchase) => sum + purchase.quantityRemaining, 0));
+
+        // Daily rate over the window, or since the item was first used if that's more recent
+        const records = (await FeedRecord.findByFeedItemSince(item._id, since))
+            .filter(record => new Date(record.feedDate) <= now);
+        let averageDailyUse = 0;
+        if (records.length > 0) {
+            const firstUse = Math.min(...records.map(record => new Date(record.feedDate).getTime()));
+            const days = Math.max(1, Math.min(CONSUMPTION_WINDOW_DAYS, Math.ceil((now - firstUse) / DAY_MS)));
+            averageDailyUse = round(records.reduce((sum, record) => sum + record.feedAmount, 0) / days);
+        }
+
+        const daysOfStock = averageDailyUse > 0 ? Math.floor(onHand / averageDailyUse) : null;
+
+        let status = 'OK';
+        if (onHand <= 0 && (averageDailyUse > 0 || item.reorderLevel > 0)) {
+            status = 'OUT';
+        } else if ((daysOfStock !== null && daysOfStock < LOW_STOCK_DAYS)
+            || (item.reorderLevel > 0 && onHand <= item.reorderLevel)) {
+            status = 'LOW';
+        }
+
+        levels.push({
+            item,
+            onHand,
+            lastCostPerKg: itemPurchases.length > 0 ? itemPurchases[0].costPerKg : null,
+            averageDailyUse,
+            daysOfStock,
+            runsOutOn: daysOfStock !== null ? new Date(now.getTime() + daysOfStock * DAY_MS) : null,
+            status
+        });
+    }
+
+    return levels;
+}
+
+/**
+ * Feed items that are out of stock or running low, for the dashboard
+ * @param {string} farmerId
+ * @param {Date} now
+ * @returns {Promise<Object>} - { out: [level], low: [level] }
+ */
+async function getFeedStockAlerts(farmerId, now = new Date()) {
+    const levels = await getFeedStockLevels(farmerId, now);
+
+    return {
+        out: levels.filter(level => level.status === 'OUT'),
+        low: levels.filter(level => level.status === 'LOW')
+    };
+}
+
+module.exports = {
+    LOW_STOCK_DAYS,
+    CONSUMPTION_WINDOW_DAYS,
+    resolveFeedItem,
+    drawFeed,
+    recordFeed,
+    correctFeed,
+    deleteFeed,
+    getFeedStockLevels,
+    getFeedStockAlerts
+};
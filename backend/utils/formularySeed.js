@@ -0,0 +1,638 @@
+/**
+ * Drug Formulary Seed
+ * Initial contents of the `formulary` collection - the single source of truth for
+ * dosage, withdrawal periods and contraindications. Replaces the old medicines.js
+ * and veterinaryGuide.js tables, which disagreed on withdrawal periods.
+ *
+ * Each entry holds one or more species profiles. To change an entry, edit it here
+ * and bump its `version` and `effectiveFrom`: on startup Formulary.ensureSeeded()
+ * publishes the new revision and keeps the old one, so existing medical logs still
+ * point at the version they were computed against.
+ *
+ * Dosage fields:
+ *   amount / unit           - label dose, e.g. 20 mg/kg
+ *   doseUnit, perWeightKg   - weight-based dose = weight / perWeightKg * amount (in doseUnit)
+ *   concentration           - product strength used to convert the dose to ml
+ *   instructions            - fixed or water-based dosing that can't be computed from weight
+ *
+ * Safety fields (checked before a treatment is logged - see utils/treatmentSafety.js):
+ *   minAge        - { days, level, reason } for animals younger than `days`
+ *   pregnancy     - { level, untilDay?, reason } for pregnant animals, optionally only
+ *                   up to `untilDay` days after conception
+ *   interactions  - [{ codes?, types?, categories?, level, reason }] matched against the
+ *                   animal's active treatments
+ *   level is BLOCK (treatment refused) or WARN (farmer must acknowledge). A profile's
+ *   `safety` replaces the entry's.
+ */
+
+const EFFECTIVE_FROM = '2026-10-19';
+
+const RUMINANTS = ['cattle', 'buffalo', 'goat', 'sheep'];
+
+const formularySeed = [
+    {
+        code: 'oxytetracycline',
+        name: 'Oxytetracycline (LA)',
+        type: 'Antibiotic',
+        category: 'Broad Spectrum Antibiotic',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'May cause injection site reactions, avoid IV administration',
+        precautions: 'Do not use in animals with kidney disease. Store below 25°C.',
+        contraindications: 'Not for use in animals with hypersensitivity to tetracyclines',
+        profiles: [
+            {
+                species: ['cattle', 'buffalo'],
+                treatments: ['Respiratory infections', 'Mastitis', 'Foot rot', 'Metritis'],
+                dosage: {
+                    amount: 20,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    concentration: { value: 200, unit: 'mg/ml', label: '200mg/ml solution' },
+                    route: 'Intramuscular (IM) injection',
+                    frequency: 'Once daily for 3-5 days'
+                },
+                withdrawalPeriod: { meat: 28, milk: 7 }
+            },
+            {
+                species: ['goat', 'sheep'],
+                treatments: ['Pneumonia', 'Enteritis', 'Foot rot', 'Conjunctivitis'],
+                dosage: {
+                    amount: 20,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    concentration: { value: 200, unit: 'mg/ml', label: '200mg/ml solution' },
+                    route: 'Intramuscular (IM) injection',
+                    frequency: 'Once daily for 3-5 days'
+                },
+                withdrawalPeriod: { meat: 28, milk: 7 },
+                sideEffects: 'Injection site reactions possible',
+                precautions: 'Higher metabolic rate in goats may require higher doses than cattle.',
+                contraindications: 'Not for animals with kidney disease'
+            }
+        ]
+    },
+    {
+        code: 'penicillin-streptomycin',
+        name: 'Penicillin + Streptomycin',
+        type: 'Antibiotic Combination',
+        category: 'Dual Action Antibiotic',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Rare allergic reactions, injection site swelling',
+        precautions: 'Shake well before use. Complete full course even if symptoms improve.',
+        contraindications: 'Avoid in animals with penicillin allergy',
+        profiles: [
+            {
+                species: ['cattle', 'buffalo'],
+                treatments: ['Pneumonia', 'Septicemia', 'Wound infections', 'Acute mastitis'],
+                dosage: {
+                    amount: 10000,
+                    unit: 'IU/kg (Penicillin)',
+                    doseUnit: 'IU Penicillin',
+                    instructions: '+ 10mg/kg Streptomycin',
+                    route: 'Intramuscular (IM) injection',
+                    frequency: 'Every 12-24 hours for 3-5 days'
+                },
+                withdrawalPeriod: { meat: 21, milk: 4 }
+            }
+        ]
+    },
+    {
+        code: 'penicillin',
+        name: 'Penicillin',
+        type: 'Antibiotic',
+        category: 'Penicillin-based',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        precautions: 'Complete full course even if symptoms improve.',
+        contraindications: 'Avoid in animals with penicillin allergy',
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Wound infections', 'Pneumonia', 'Mastitis'],
+                dosage: null,
+                withdrawalPeriod: { meat: 10, milk: 4 }
+            }
+        ]
+    },
+    {
+        code: 'amoxicillin',
+        name: 'Amoxicillin',
+        type: 'Antibiotic',
+        category: 'Penicillin-based',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Generally safe, rare gut disturbance',
+        precautions: 'Complete full course even if symptoms improve.',
+        contraindications: 'Avoid in animals with penicillin allergy',
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Respiratory infections', 'Mastitis', 'Urinary tract infections'],
+                dosage: null,
+                withdrawalPeriod: { meat: 14, milk: 3 }
+            },
+            {
+                species: ['poultry'],
+                name: 'Amoxicillin (Water Soluble)',
+                treatments: ['Respiratory infections', 'E. coli infections', 'Salmonellosis'],
+                dosage: {
+                    amount: 15,
+                    unit: 'mg/kg body weight',
+                    instructions: 'For 100 birds: 50-100g powder per 100L drinking water',
+                    route: 'Drinking water',
+                    frequency: '5-7 days continuously'
+                },
+                withdrawalPeriod: { meat: 7, eggs: 3 },
+                precautions: 'Prepare fresh solution daily. Discard unused after 24 hours.',
+                contraindications: 'Not for layers producing eggs for human consumption during treatment'
+            }
+        ]
+    },
+    {
+        code: 'ceftiofur',
+        name: 'Ceftiofur',
+        type: 'Antibiotic',
+        category: 'Third Generation Cephalosporin',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        precautions: 'Reserve for infections that do not respond to first-line antibiotics.',
+        contraindications: 'Avoid in animals with cephalosporin allergy',
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Respiratory infections', 'Foot rot', 'Metritis'],
+                dosage: null,
+                withdrawalPeriod: { meat: 0, milk: 0 }
+            }
+        ]
+    },
+    {
+        code: 'ceftriaxone',
+        name: 'Ceftriaxone',
+        type: 'Antibiotic',
+        category: 'Third Generation Cephalosporin',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Rare allergic reactions',
+        precautions: 'Reserve for serious infections. Reconstitute just before use.',
+        contraindications: 'Avoid in animals with cephalosporin allergy',
+        profiles: [
+            {
+                species: ['goat', 'sheep'],
+                treatments: ['Severe bacterial infections', 'Septicemia', 'Pneumonia'],
+                dosage: {
+                    amount: 15,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    instructions: 'per dose',
+                    route: 'Intramuscular (IM) or Intravenous (IV)',
+                    frequency: 'Once or twice daily for 3-5 days'
+                },
+                withdrawalPeriod: { meat: 21, milk: 4 }
+            }
+        ]
+    },
+    {
+        code: 'enrofloxacin',
+        name: 'Enrofloxacin',
+        type: 'Antibiotic',
+        category: 'Fluoroquinolone',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Rare CNS effects at high doses',
+        precautions: 'Not for use in lactating dairy cattle. Complete full course.',
+        contraindications: 'Do not use in growing calves due to cartilage effects',
+        safety: {
+            minAge: { days: 365, level: 'WARN', reason: 'Fluoroquinolones can damage joint cartilage in growing calves' }
+        },
+        profiles: [
+            {
+                species: ['cattle', 'buffalo'],
+                treatments: ['Respiratory diseases', 'Urinary tract infections', 'Skin infections'],
+                dosage: {
+                    amount: 5,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    concentration: { value: 50, unit: 'mg/ml', label: '5% solution' },
+                    route: 'Subcutaneous (SC) or oral',
+                    frequency: 'Once daily for 3-5 days'
+                },
+                withdrawalPeriod: { meat: 14, milk: 0 } // Not approved for lactating dairy cattle
+            },
+            {
+                species: ['poultry'],
+                name: 'Enrofloxacin (Water Soluble)',
+                treatments: ['Colibacillosis', 'Chronic respiratory disease', 'Salmonellosis'],
+                dosage: {
+                    amount: 10,
+                    unit: 'mg/kg body weight',
+                    instructions: 'For 100 birds: 50ml of 10% solution per 100L water',
+                    route: 'Drinking water',
+                    frequency: '3-5 days'
+                },
+                withdrawalPeriod: { meat: 14, eggs: 7 },
+                sideEffects: 'Rare CNS effects at overdose',
+                precautions: 'Complete full course. Avoid prolonged use.',
+                contraindications: 'Not for use in growing birds under 2 weeks',
+                safety: {
+                    minAge: { days: 14, level: 'BLOCK', reason: 'Not for growing birds under 2 weeks' }
+                }
+            }
+        ]
+    },
+    {
+        code: 'tylosin',
+        name: 'Tylosin',
+        type: 'Antibiotic',
+        category: 'Macrolide',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Rare diarrhea',
+        precautions: 'Complete full course.',
+        contraindications: 'None significant',
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Pneumonia', 'Foot rot', 'Metritis'],
+                dosage: null,
+                withdrawalPeriod: { meat: 21, milk: 4 }
+            },
+            {
+                species: ['poultry'],
+                name: 'Tylosin (Water Soluble)',
+                treatments: ['Chronic respiratory disease', 'Necrotic enteritis', 'Mycoplasma'],
+                dosage: {
+                    amount: 0.5,
+                    unit: 'g/L drinking water',
+                    instructions: '0.5g per liter of drinking water',
+                    route: 'Drinking water',
+                    frequency: '3-5 days'
+                },
+                withdrawalPeriod: { meat: 14, eggs: 3 },
+                precautions: 'Complete full course. Fresh solution daily.'
+            }
+        ]
+    },
+    {
+        code: 'sulfadimidine',
+        name: 'Sulfadimidine',
+        type: 'Antibiotic',
+        category: 'Sulfonamide',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'May cause reduced egg production temporarily',
+        precautions: 'Ensure adequate water intake. Monitor for dehydration.',
+        contraindications: 'Not with amprolium or other sulfa drugs',
+        safety: {
+            interactions: [
+                { codes: ['amprolium'], level: 'BLOCK', reason: 'Must not be given together with amprolium' },
+                { categories: ['Sulfonamide'], level: 'BLOCK', reason: 'Two sulfa drugs at once risk kidney crystals and toxicity' }
+            ]
+        },
+        profiles: [
+            {
+                species: ['poultry'],
+                treatments: ['Coccidiosis', 'Fowl cholera', 'Pullorum disease'],
+                dosage: {
+                    amount: 200,
+                    unit: 'mg/L drinking water',
+                    instructions: '200mg per liter of drinking water',
+                    route: 'Drinking water',
+                    frequency: '5 days'
+                },
+                withdrawalPeriod: { meat: 10, eggs: 7 }
+            }
+        ]
+    },
+    {
+        code: 'ivermectin',
+        name: 'Ivermectin',
+        type: 'Anti-parasitic',
+        category: 'Endoparasiticide & Ectoparasiticide',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Generally safe, rare cases of lethargy',
+        precautions: 'Do not use in calves less than 6 weeks old. Not for IV use.',
+        contraindications: 'Not for use in dairy cattle producing milk for human consumption (prefer albendazole for milking animals)',
+        safety: {
+            minAge: { days: 42, level: 'BLOCK', reason: 'Not safe in animals less than 6 weeks old' }
+        },
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Gastrointestinal worms', 'Lung worms', 'Lice', 'Mange', 'Ticks'],
+                dosage: {
+                    amount: 0.2,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    concentration: { value: 10, unit: 'mg/ml', label: '1% solution' },
+                    route: 'Subcutaneous (SC) injection or oral',
+                    frequency: 'Single dose, repeat after 14 days if needed'
+                },
+                withdrawalPeriod: { meat: 35, milk: 28 }
+            }
+        ]
+    },
+    {
+        code: 'albendazole',
+        name: 'Albendazole',
+        type: 'Anti-parasitic',
+        category: 'Broad Spectrum Anthelmintic',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Transient diarrhea in some animals',
+        precautions: 'Not for use in first trimester of pregnancy. Give on empty stomach.',
+        contraindications: 'Avoid in pregnant animals during first 45 days',
+        safety: {
+            pregnancy: { level: 'BLOCK', untilDay: 45, reason: 'Can cause birth defects in the first 45 days of pregnancy' }
+        },
+        profiles: [
+            {
+                species: ['cattle', 'buffalo'],
+                treatments: ['Roundworms', 'Tapeworms', 'Liver flukes', 'Lungworms'],
+                dosage: {
+                    amount: 10,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    concentration: { value: 100, unit: 'mg/ml', label: '10% suspension' },
+                    route: 'Oral suspension',
+                    frequency: 'Single dose'
+                },
+                withdrawalPeriod: { meat: 14, milk: 3 }
+            }
+        ]
+    },
+    {
+        code: 'levamisole',
+        name: 'Levamisole',
+        type: 'Anti-parasitic',
+        category: 'Anthelmintic',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Transient salivation, muscle tremors',
+        precautions: 'Do not exceed recommended dose. Toxic at 3x dose.',
+        contraindications: 'Avoid in sick or stressed animals',
+        profiles: [
+            {
+                species: ['goat', 'sheep'],
+                treatments: ['Gastrointestinal roundworms', 'Lungworms'],
+                dosage: {
+                    amount: 7.5,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    concentration: { value: 75, unit: 'mg/ml', label: '7.5% solution' },
+                    route: 'Oral or subcutaneous',
+                    frequency: 'Single dose'
+                },
+                withdrawalPeriod: { meat: 14, milk: 3 }
+            }
+        ]
+    },
+    {
+        code: 'fenbendazole',
+        name: 'Fenbendazole',
+        type: 'Anti-parasitic',
+        category: 'Broad Spectrum Anthelmintic',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Generally well tolerated',
+        precautions: 'Safe for pregnant animals. Give with feed.',
+        contraindications: 'None known',
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Roundworms', 'Tapeworms', 'Some lungworms'],
+                dosage: {
+                    amount: 5,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    concentration: { value: 100, unit: 'mg/ml', label: '10% suspension' },
+                    instructions: 'per day',
+                    route: 'Oral suspension',
+                    frequency: 'Once daily for 3 days'
+                },
+                withdrawalPeriod: { meat: 14, milk: 5 }
+            }
+        ]
+    },
+    {
+        code: 'amprolium',
+        name: 'Amprolium (Coccidiostat)',
+        type: 'Anti-protozoal',
+        category: 'Coccidiosis Treatment',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Thiamine deficiency at prolonged high doses',
+        precautions: 'Do not use with sulfonamides. Ensure good ventilation.',
+        contraindications: 'None significant',
+        safety: {
+            interactions: [
+                { categories: ['Sulfonamide'], level: 'BLOCK', reason: 'Must not be given together with sulfonamides' }
+            ]
+        },
+        profiles: [
+            {
+                species: ['poultry'],
+                treatments: ['Coccidiosis', 'Bloody diarrhea'],
+                dosage: {
+                    amount: 100,
+                    unit: 'mg/L drinking water',
+                    instructions: '100-200mg per liter of drinking water for treatment',
+                    route: 'Drinking water',
+                    frequency: '5-7 days'
+                },
+                withdrawalPeriod: { meat: 0, eggs: 0 }
+            }
+        ]
+    },
+    {
+        code: 'meloxicam',
+        name: 'Meloxicam',
+        type: 'NSAID',
+        category: 'Non-Steroidal Anti-Inflammatory',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'May cause gastrointestinal upset if used long-term',
+        precautions: 'Ensure adequate hydration. Do not exceed recommended dose.',
+        contraindications: 'Not for pregnant or lactating animals, or those with kidney/liver disease',
+        safety: {
+            pregnancy: { level: 'BLOCK', reason: 'Not for pregnant animals' },
+            interactions: [
+                { types: ['NSAID', 'Corticosteroid'], level: 'BLOCK', reason: 'Combining anti-inflammatories raises the risk of stomach ulcers and kidney damage' }
+            ]
+        },
+        profiles: [
+            {
+                species: ['cattle', 'buffalo'],
+                treatments: ['Pain relief', 'Fever', 'Inflammation', 'Lameness'],
+                dosage: {
+                    amount: 0.5,
+                    unit: 'mg/kg',
+                    doseUnit: 'mg',
+                    concentration: { value: 20, unit: 'mg/ml', label: '20mg/ml solution' },
+                    route: 'Subcutaneous (SC) or oral',
+                    frequency: 'Once daily for up to 5 days'
+                },
+                withdrawalPeriod: { meat: 15, milk: 5 }
+            }
+        ]
+    },
+    {
+        code: 'flunixin',
+        name: 'Flunixin',
+        type: 'NSAID',
+        category: 'Non-Steroidal Anti-Inflammatory',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        precautions: 'Do not exceed recommended dose. Not for intramuscular use.',
+        contraindications: 'Avoid in animals with kidney, liver or gastrointestinal disease',
+        safety: {
+            pregnancy: { level: 'WARN', reason: 'May delay calving if given close to term' },
+            interactions: [
+                { types: ['NSAID', 'Corticosteroid'], level: 'BLOCK', reason: 'Combining anti-inflammatories raises the risk of stomach ulcers and kidney damage' }
+            ]
+        },
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Fever', 'Inflammation', 'Pain relief'],
+                dosage: null,
+                withdrawalPeriod: { meat: 4, milk: 2 }
+            }
+        ]
+    },
+    {
+        code: 'dexamethasone',
+        name: 'Dexamethasone',
+        type: 'Corticosteroid',
+        category: 'Steroidal Anti-Inflammatory',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        precautions: 'Suppresses immunity - cover with an antibiotic when infection is present.',
+        contraindications: 'Can induce abortion in late pregnancy',
+        safety: {
+            pregnancy: { level: 'BLOCK', reason: 'Can induce abortion, especially in late pregnancy' },
+            interactions: [
+                { types: ['NSAID', 'Corticosteroid'], level: 'BLOCK', reason: 'Combining anti-inflammatories raises the risk of stomach ulcers and kidney damage' }
+            ]
+        },
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Inflammation', 'Allergic reactions', 'Shock'],
+                dosage: null,
+                withdrawalPeriod: { meat: 3, milk: 3 }
+            }
+        ]
+    },
+    {
+        code: 'oxytocin',
+        name: 'Oxytocin',
+        type: 'Hormone',
+        category: 'Reproductive Hormone',
+        version: 2, // v2: structured safety rules
+        effectiveFrom: EFFECTIVE_FROM,
+        precautions: 'Use only under veterinary direction.',
+        contraindications: 'Do not use before the cervix is dilated',
+        safety: {
+            pregnancy: { level: 'WARN', reason: 'Only for use at parturition once the cervix is dilated - earlier use can harm the calf' }
+        },
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Retained placenta', 'Milk let-down'],
+                dosage: null,
+                withdrawalPeriod: { meat: 0, milk: 0 }
+            }
+        ]
+    },
+    {
+        code: 'vitamin-ad3e',
+        name: 'Vitamin AD3E Injectable',
+        type: 'Vitamin Supplement',
+        category: 'Nutritional Support',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Generally none, safe supplement',
+        precautions: 'Do not exceed recommended dose. Hypervitaminosis possible.',
+        contraindications: 'None known',
+        profiles: [
+            {
+                species: ['cattle', 'buffalo'],
+                treatments: ['Vitamin deficiency', 'Immunity boost', 'Post-disease recovery', 'Stress management'],
+                dosage: {
+                    amount: 1,
+                    unit: 'ml per 50 kg',
+                    doseUnit: 'ml',
+                    perWeightKg: 50,
+                    route: 'Intramuscular (IM) injection',
+                    frequency: 'Every 2-4 weeks as needed'
+                },
+                withdrawalPeriod: { meat: 0, milk: 0 }
+            }
+        ]
+    },
+    {
+        code: 'vitamin-b-complex',
+        name: 'Vitamin B-Complex',
+        type: 'Vitamin Supplement',
+        category: 'Nutritional Support',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'None',
+        precautions: 'Water-soluble, excess excreted.',
+        contraindications: 'None',
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Poor appetite', 'Post-antibiotic recovery', 'Stress'],
+                dosage: null,
+                withdrawalPeriod: { meat: 0, milk: 0 }
+            },
+            {
+                species: ['poultry'],
+                treatments: ['Stress', 'Poor growth', 'Post-antibiotic recovery', 'Feather pecking'],
+                dosage: {
+                    amount: 1,
+                    unit: 'ml per liter',
+                    instructions: '1-2ml per liter of drinking water',
+                    route: 'Drinking water',
+                    frequency: '3-5 days monthly'
+                },
+                withdrawalPeriod: { meat: 0, eggs: 0 },
+                precautions: 'Water-soluble, excess excreted. Use fresh daily.'
+            }
+        ]
+    },
+    {
+        code: 'calcium-borogluconate',
+        name: 'Calcium Borogluconate',
+        type: 'Mineral Supplement',
+        category: 'Emergency Metabolic Treatment',
+        version: 1,
+        effectiveFrom: EFFECTIVE_FROM,
+        sideEffects: 'Heart arrhythmia if given too fast IV',
+        precautions: 'MUST administer IV very slowly (10-15 minutes). Monitor heart rate.',
+        contraindications: 'None in emergency, but avoid if animal has heart disease',
+        profiles: [
+            {
+                species: RUMINANTS,
+                treatments: ['Milk fever (Hypocalcemia)', 'Parturient paresis', 'Muscle tremors'],
+                dosage: {
+                    amount: 1,
+                    unit: 'bottle (400-500ml)',
+                    instructions: 'Standard 400-500ml bottle for adult cattle',
+                    route: 'Slow intravenous (IV) or subcutaneous',
+                    frequency: 'Single dose, monitor closely'
+                },
+                withdrawalPeriod: { meat: 0, milk: 0 }
+            }
+        ]
+    }
+];
+
+module.exports = {
+    formularySeed
+};
@@ -40,8 +40,150 @@ function boundHealthScore(score) {
     return Math.max(0, Math.min(100, score));
 }
 
+const DAY_MS = 1000 * 60 * 60 * 24;
+const TREATMENT_LOOKBACK_DAYS = 180;
+const WEIGHT_LOOKBACK_DAYS = 90;
+
+/**
+ * Share of a treatment's deduction that still applies, by how long ago it was given
+ * @param {number} daysAgo - Days since the (last dose of the) treatment
+ * @returns {number} - Weight between 0 and 1
+ */
+function treatmentRecencyWeight(daysAgo) {
+    if (daysAgo <= 30) return 1;
+    if (daysAgo <= 90) return 0.5;
+    if (daysAgo <= TREATMENT_LOOKBACK_DAYS) return 0.25;
+    return 0;
+}
+
+/**
+ * Group medical logs into treatments - every dose of a course counts as one treatment.
+ * Vaccinations are preventive and don't count.
+ * @param {Array} medicalLogs - Logs for one animal
+ * @returns {Array} - [{ medicineName, withdrawalDays, lastGivenAt }]
+ */
+function groupTreatments(medicalLogs) {
+    const treatments = new Map();
+
+    medicalLogs.filter(log => !log.vaccination).forEach(log => {
+        const key = log.courseId ? `course:${log.courseId}` : `log:${log._id}`;
+        const givenAt = new Date(log.administeredAt);
+        const existing = treatments.get(key);
+
+        if (!existing || givenAt > existing.lastGivenAt) {
+            treatments.set(key, {
+                medicineName: log.medicineName,
+                withdrawalDays: log.withdrawalDays || 0,
+                lastGivenAt: givenAt
+            });
+        }
+    });
+
+    return Array.from(treatments.values());
+}
+
+/**
+ * Deduction from weight change over the last 90 days (earliest vs latest record)
+ * @param {Array} weightRecords - Weight records for one animal
+ * @param {Date} now
+ * @returns {{ points: number, detail: string }}
+ */
+function calculateWeightTrendImpact(weightRecords, now = new Date()) {
+    const recent = weightRecords
+        .filter(record => now - new Date(record.recordedDate) <= WEIGHT_LOOKBACK_DAYS * DAY_MS)
+        .sort((a, b) => new Date(a.recordedDate) - new Date(b.recordedDate));
+
+    if (recent.length < 2 || recent[0].weight <= 0) {
+        return { points: 0, detail: 'Not enough recent weight records' };
+    }
+
+    const first = recent[0].weight;
+    const last = recent[recent.length - 1].weight;
+    const changePercent = ((last - first) / first) * 100;
+    const detail = `${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(1)}% over ${recent.length} records`;
+
+    if (changePercent <= -10) return { points: -15, detail };
+    if (changePercent <= -5) return { points: -10, detail };
+    if (changePercent <= -2) return { points: -5, detail };
+    return { points: 0, detail };
+}
+
+/**
+ * Deduction for quarantine - an active episode, or a recent one for suspected disease
+ * @param {Array} quarantines - Quarantine episodes for one animal
+ * @param {Date} now
+ * @returns {{ points: number, detail: string }}
+ */
+function calculateQuarantineImpact(quarantines, now = new Date()) {
+    const active = quarantines.find(q => q.status === 'ACTIVE');
+    if (active) {
+        return active.reason === 'SUSPECTED_DISEASE'
+            ? { points: -15, detail: 'In quarantine for suspected disease' }
+            : { points: -5, detail: 'In precautionary quarantine' };
+    }
+
+    const recentDisease = quarantines.filter(q =>
+        q.reason === 'SUSPECTED_DISEASE' && q.releasedAt && now - new Date(q.releasedAt) <= 90 * DAY_MS
+    );
+    if (recentDisease.length > 0) {
+        return { points: -5, detail: 'Quarantined for suspected disease in the last 90 days' };
+    }
+
+    return { points: 0, detail: quarantines.length > 0 ? 'No recent disease quarantine' : 'Never quarantined' };
+}
+
+/**
+ * Recompute an animal's health score from its history.
+ * Starts at 100; each component adds or removes points and is kept so the
+ * score can be explained (e.g. "Treatments -15, Treatment-free +5").
+ * @param {Object} history - { medicalLogs, weightRecords, quarantines }
+ * @param {Date} now
+ * @returns {{ score: number, components: Array<{ key, label, points, detail }> }}
+ */
+function calculateHealthScore({ medicalLogs = [], weightRecords = [], quarantines = [] }, now = new Date()) {
+    const treatments = groupTreatments(medicalLogs);
+    const recentTreatments = treatments.filter(t => (now - t.lastGivenAt) / DAY_MS <= TREATMENT_LOOKBACK_DAYS);
+
+    const treatmentPoints = recentTreatments.reduce((sum, t) => {
+        const daysAgo = (now - t.lastGivenAt) / DAY_MS;
+        return sum + Math.round(calculateMedicationImpact(t.withdrawalDays) * treatmentRecencyWeight(daysAgo));
+    }, 0);
+
+    // Recovery can only win back points lost to treatments
+    let recoveryPoints = 0;
+    let recoveryDetail = 'No treatments on record';
+    if (treatments.length > 0) {
+        const lastTreatmentAt = new Date(Math.max(...treatments.map(t => t.lastGivenAt)));
+        const daysTreatmentFree = Math.floor((now - lastTreatmentAt) / DAY_MS);
+        recoveryPoints = Math.min(calculateHealthRecovery(daysTreatmentFree), treatmentPoints);
+        recoveryDetail = `${daysTreatmentFree} day(s) since last treatment`;
+    }
+
+    const weight = calculateWeightTrendImpact(weightRecords, now);
+    const quarantine = calculateQuarantineImpact(quarantines, now);
+
+    const components = [
+        {
+            key: 'treatments',
+            label: 'Treatments',
+            points: -treatmentPoints,
+            detail: `${recentTreatments.length} treatment(s) in the last ${TREATMENT_LOOKBACK_DAYS} days`
+        },
+        { key: 'recovery', label: 'Treatment-free interval', points: recoveryPoints, detail: recoveryDetail },
+        { key: 'weight', label: 'Weight trend', points: weight.points, detail: weight.detail },
+        { key: 'quarantine', label: 'Quarantine', points: quarantine.points, detail: quarantine.detail }
+    ];
+
+    const score = boundHealthScore(100 + components.reduce((sum, c) => sum + c.points, 0));
+
+    return { score, components };
+}
+
 module.exports = {
     calculateMedicationImpact,
     calculateHealthRecovery,
-    boundHealthScore
+    boundHealthScore,
+    calculateWeightTrendImpact,
+    calculateQuarantineImpact,
+    calculateHealthScore
 };
@@ -0,0 +1,55 @@
+// Health Score Scheduler
+// Recomputes every animal's health score once a day, so treatments age out and
+// treatment-free recovery shows up without waiting for the next medical log
+
+const Animal = require('../models/Animal');
+
+const DEFAULT_INTERVAL_HOURS = 24;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one recompute pass over all animals
+ * @returns {Promise<number>} - Number of animals rescored
+ */
+async function runHealthScoreRefresh() {
+    if (running) return 0;
+    running = true;
+
+    try {
+        const count = await Animal.recomputeAllHealthScores();
+        console.log(`✅ Health scores refreshed for ${count} animal(s)`);
+        return count;
+    } catch (error) {
+        console.error('Health score job error:', error);
+        return 0;
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the scheduler - runs once immediately, then every intervalHours
+ * @param {number} intervalHours - Defaults to HEALTH_SCORE_INTERVAL_HOURS or 24
+ */
+function startHealthScoreScheduler(intervalHours = parseFloat(process.env.HEALTH_SCORE_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS) {
+    if (timer) return;
+
+    runHealthScoreRefresh();
+    timer = setInterval(runHealthScoreRefresh, intervalHours * 60 * 60 * 1000);
+    timer.unref(); // Never keep the process alive on its own
+}
+
+function stopHealthScoreScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runHealthScoreRefresh,
+    startHealthScoreScheduler,
+    stopHealthScoreScheduler
+};
@@ -0,0 +1,157 @@
+// Herd Group Summaries
+// Headcount, health and feed efficiency of the animals currently in a group.
+// Averages follow the farm-wide figures on the dashboard: health score over every
+// member, FCR over the members that have enough weight and feed records for one.
+// Also splits a feed given to the whole group into each member's share.
+
+const FeedRecord = require('../models/FeedRecord');
+const WeightRecord = require('../models/WeightRecord');
+const GroupFeeding = require('../models/GroupFeeding');
+const { recordFeed, deleteFeed } = require('./feedStore');
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+}
+
+/**
+ * Figures for a group's current members
+ * @param {Array} members - Animal documents
+ * @returns {Promise<Object>} - { headcount, bySpecies: { species: count }, byStatus: { status: count },
+ *   avgHealthScore, avgFCR, avgWeight, latestWeights: { animalId: { weight, recordedDate } }, fcrs: { animalId: fcr } }
+ *   averages are null when no member has the figure
+ */
+async function summarizeGroup(members) {
+    const bySpecies = {};
+    const byStatus = {};
+    members.forEach(animal => {
+        bySpecies[animal.species] = (bySpecies[animal.species] || 0) + 1;
+        byStatus[animal.status] = (byStatus[animal.status] || 0) + 1;
+    });
+
+    // Two pipelines for the whole group rather than queries per member
+    const memberIds = members.map(animal => animal._id);
+    const [latestByAnimal, fcrByAnimal] = await Promise.all([
+        WeightRecord.getLatestWeights(memberIds),
+        FeedRecord.getFCRByAnimal(memberIds)
+    ]);
+
+    // Keyed in member order, as the averages have always been taken
+    const latestWeights = {};
+    const fcrs = {};
+    members.forEach(animal => {
+        const id = animal._id.toString();
+        if (latestByAnimal.has(id)) latestWeights[id] = latestByAnimal.get(id);
+        if (fcrByAnimal.has(id)) fcrs[id] = fcrByAnimal.get(id);
+    });
+
+    return {
+        headcount: members.length,
+        bySpecies,
+        byStatus,
+        avgHealthScore: average(members.map(animal => animal.healthScore)),
+        avgFCR: average(Object.values(fcrs)),
+        avgWeight: average(Object.values(latestWeights).map(latest => latest.weight)),
+        latestWeights,
+        fcrs
+    };
+}
+
+/**
+ * Split an amount in proportion to shares, to 0.01 kg. Hundredths lost to rounding go
+ * to the largest remainders so the parts always add back up to the total.
+ * @param {number} total - Amount to split (kg)
+ * @param {Array<number>} shares - Positive share per part (1 each for headcount, body weight otherwise)
+ * @returns {Array<number>} - Amount per part, in the order of shares
+ */
+function splitAmount(total, shares) {
+    const hundredths = Math.round(total * 100);
+    const totalShares = shares.reduce((sum, share) => sum + share, 0);
+
+    const exact = shares.map(share => (hundredths * share) / totalShares);
+    const parts = exact.map(Math.floor);
+
+    let left = hundredths - parts.reduce((sum, part) => sum + part, 0);
+    exact
+        .map((value, index) => ({ index, remainder: value - parts[index] }))
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(({ index }) => {
+            if (left > 0) {
+                parts[index]++;
+                left--;
+            }
+        });
+
+    return parts.map(part => part / 100);
+}
+
+/**
+ * Record one feed for a whole group - a group feeding plus a feed record per member,
+ * drawn from the feed store when the feed is a store item
+ * @param {Object} group
+ * @param {Array} memberIds - Animals to feed, in allocation order
+ * @param {Object} feed - { totalAmount, method, weights, feedItem, feedType, feedDate, notes, actor }
+ *   weights holds each member's body weight for BODY_WEIGHT and is ignored otherwise
+ * @returns {Promise<Object>} - { feeding, records, amounts, shortfall } with shortfall the kg the store didn't hold
+ */
+async function feedGroup(group, memberIds, { totalAmount, method, weights, feedItem, feedType, feedDate, notes, actor }) {
+    const byWeight = method === 'BODY_WEIGHT';
+    const amounts = splitAmount(totalAmount, byWeight ? weights : memberIds.map(() => 1));
+
+    const feeding = await GroupFeeding.create({
+        groupId: group._id,
+        ownerId: group.ownerId,
+        totalAmount,
+        feedType: feedItem ? feedItem.name : feedType,
+        feedDate,
+        method,
+        allocations: memberIds.map((animalId, i) => ({
+            animalId,
+            feedAmount: amounts[i],
+            weight: byWeight ? weights[i] : null
+        })),
+        notes,
+        actor
+    });
+
+    // All members or none - a failure part-way takes back the shares already recorded
+    const records = [];
+    let shortfall = 0;
+    try {
+        for (const allocation of feeding.allocations) {
+            const record = await recordFeed({
+                animalId: allocation.animalId,
+                feedAmount: allocation.feedAmount,
+                feedType: feeding.feedType,
+                feedDate,
+                notes: notes || `Group feeding - ${group.name}`,
+                groupFeedingId: feeding._id
+            }, feedItem);
+            records.push(record);
+            if (record.stock) shortfall += record.stock.shortfall;
+        }
+    } catch (error) {
+        await removeGroupFeeding({ feeding, records });
+        throw error;
+    }
+
+    return { feeding, records, amounts, shortfall };
+}
+
+/**
+ * Take back a group feeding: its feed records are deleted and their store feed returned
+ * @param {Object} fed - { feeding, records } as feedGroup returns them
+ */
+async function removeGroupFeeding({ feeding, records }) {
+    for (const record of records) {
+        await deleteFeed(record);
+    }
+    await GroupFeeding.deleteById(feeding._id);
+}
+
+module.exports = {
+    summarizeGroup,
+    splitAmount,
+    feedGroup,
+    removeGroupFeeding
+};
@@ -0,0 +1,340 @@
+// Lactations and Milk Yield
+// Groups milk records into lactations started by the calvings in the breeding
+// records and projects the 305-day yield of the current lactation.
+// Yield to date is cumulated with the test interval method (straight lines
+// between recorded days, the first recorded yield back to calving). The rest of
+// the 305 days comes from Wood's lactation curve y = a·t^b·e^(-c·t) fitted to the
+// recorded days, or from the recent average when there are too few of them.
+
+const Animal = require('../models/Animal');
+const MedicalLog = require('../models/MedicalLog');
+const TreatmentCourse = require('../models/TreatmentCourse');
+const MilkRecord = require('../models/MilkRecord');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const STANDARD_LACTATION_DAYS = 305;
+
+// Wood's curve needs this many recorded days over at least this span to be trusted
+const MIN_CURVE_DAYS = 5;
+const MIN_CURVE_SPAN_DAYS = 14;
+
+// Recorded days averaged for the fallback projection
+const RECENT_DAYS = 7;
+
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Periods when the animal's milk was under withdrawal, from its medicine history
+ * @param {Array} medicalLogs - Unvoided medical logs
+ * @param {Array} activeCourses - Running treatment courses (later doses aren't logged yet)
+ * @returns {Array} - [{ from, until, medicineName }]
+ */
+function getMilkWithdrawalWindows(medicalLogs, activeCourses = []) {
+    const windows = [];
+
+    medicalLogs.forEach(log => {
+        // Logs from before the meat/milk split only carry withdrawalDays
+        const milkDays = log.withdrawalPeriod ? log.withdrawalPeriod.milk : (log.withdrawalDays || 0);
+        if (milkDays > 0) {
+            windows.push({ from: new Date(log.administeredAt), until: addDays(log.administeredAt, milkDays), medicineName: log.medicineName });
+        }
+    });
+
+    activeCourses.forEach(course => {
+        if (course.withdrawalPeriod.milk > 0) {
+            const finalDoseAt = course.doses[course.doses.length - 1].scheduledAt;
+            windows.push({ from: new Date(course.startedAt), until: addDays(finalDoseAt, course.withdrawalPeriod.milk), medicineName: course.medicineName });
+        }
+    });
+
+    return windows;
+}
+
+/**
+ * Whether milk from a day must be discarded. Records are per day, so any
+ * withdrawal overlapping the day counts. The animal's live lock covers milk
+ * recorded from today on (it may have been set without a medicine record).
+ * @param {Object} animal
+ * @param {Array} windows - From getMilkWithdrawalWindows
+ * @param {Date} day - Start of the milking day
+ * @param {Date} now
+ * @returns {Object} - { discard, reason, source } - source is WITHDRAWAL (a medicine record) or LOCK
+ */
+function getMilkDiscard(animal, windows, day, now = new Date()) {
+    const dayStart = startOfDay(day);
+    const dayEnd = addDays(dayStart, 1);
+
+    const window = windows
+        .filter(w => w.from < dayEnd && w.until > dayStart)
+        .sort((a, b) => b.until - a.until)[0];
+    if (window) {
+        return { discard: true, reason: `Milk withdrawal for ${window.medicineName} until ${window.until.toLocaleDateString()}`, source: 'WITHDRAWAL' };
+    }
+
+    const lockEndsAt = Animal.getWithdrawalEndsAt(animal, 'milk', dayStart);
+    if (lockEndsAt && dayStart >= startOfDay(now)) {
+        return { discard: true, reason: `Milk withdrawal until ${lockEndsAt.toLocaleDateString()}`, source: 'LOCK' };
+    }
+
+    return { discard: false, reason: '', source: null };
+}
+
+/**
+ * Work out the discard flag again for milk already recorded, after the animal's
+ * medicine history changed (a back-dated treatment, a corrected or voided log).
+ * Milk discarded under the live lock alone is left as recorded.
+ * @param {Object} animal - With its locks as they are after the change
+ * @param {Date} since - Earliest day the change reaches
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of records changed
+ */
+async function refreshMilkDiscard(animal, since, now = new Date()) {
+    const from = startOfDay(since);
+    const records = (await MilkRecord.findByAnimal(animal._id))
+        .filter(record => new Date(record.recordedOn) >= from && record.discardSource !== 'LOCK');
+    if (records.length === 0) return 0;
+
+    const [medicalLogs, activeCourses] = await Promise.all([
+        MedicalLog.findUnvoidedByAnimal(animal._id),
+        TreatmentCourse.findActiveByAnimal(animal._id)
+    ]);
+    const windows = getMilkWithdrawalWindows(medicalLogs, activeCourses);
+
+    let changed = 0;
+    for (const record of records) {
+        const { discard, reason, source } = getMilkDiscard(animal, windows, record.recordedOn, now);
+        if (discard !== Boolean(record.discard) || reason !== (record.discardReason || '')) {
+            await MilkRecord.setDiscard(record._id, { discard, discardReason: reason, discardSource: source });
+            changed++;
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Fit Wood's curve by least squares on ln y = ln a + b·ln t - c·t
+ * @param {Array} points - [{ day, yield }] with day >= 1 and yield > 0
+ * @returns {Object|null} - { a, b, c }, or null when there is no sensible fit
+ */
+function fitWoodCurve(points) {
+    if (points.length < MIN_CURVE_DAYS) return null;
+    if (points[points.length - 1].day - points[0].day < MIN_CURVE_SPAN_DAYS) return null;
+
+    // Normal equations for the columns [1, ln t, -t]
+    const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const v = [0, 0, 0];
+    points.forEach(point => {
+        const row = [1, Math.log(point.day), -point.day];
+        const y = Math.log(point.yield);
+        for (let i = 0; i < 3; i++) {
+            v[i] += row[i] * y;
+            for (let j = 0; j < 3; j++) m[i][j] += row[i] * row[j];
+        }
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 3; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < 3; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-9) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        [v[col], v[pivot]] = [v[pivot], v[col]];
+
+        for (let row = col + 1; row < 3; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k < 3; k++) m[row][k] -= factor * m[col][k];
+            v[row] -= factor * v[col];
+        }
+    }
+    const x = [0, 0, 0];
+    for (let row = 2; row >= 0; row--) {
+        let sum = v[row];
+        for (let k = row + 1; k < 3; k++) sum -= m[row][k] * x[k];
+        x[row] = sum / m[row][row];
+    }
+
+    const curve = { a: Math.exp(x[0]), b: x[1], c: x[2] };
+
+    // A curve that never declines would project milk rising until day 305
+    if (!Object.values(curve).every(Number.isFinite) || curve.c <= 0) return null;
+    return curve;
+}
+
+function woodYield(curve, day) {
+    return curve.a * Math.pow(day, curve.b) * Math.exp(-curve.c * day);
+}
+
+// Yield from calving to a recorded day (test interval method)
+function cumulateYield(points, untilDay) {
+    let total = 0;
+    let previous = { day: 0, yield: points[0].yield };
+
+    for (const point of points) {
+        if (previous.day >= untilDay) break;
+
+        const endDay = Math.min(point.day, untilDay);
+        const endYield = point.day === previous.day
+            ? point.yield
+            : previous.yield + (point.yield - previous.yield) * (endDay - previous.day) / (point.day - previous.day);
+        total += (endDay - previous.day) * (previous.yield + endYield) / 2;
+        previous = { day: endDay, yield: endYield };
+    }
+
+    return total;
+}
+
+/**
+ * 305-day yield of a lactation - actual once it is past 305 days, otherwise projected
+ * @param {Array} points - Daily totals [{ day, yield }] in day order
+ * @param {number} daysInMilk - Days since calving (to the next calving for ended lactations)
+ * @returns {Object|null} - { yield, method: ACTUAL|CURVE|AVERAGE, toDay, curve } or null without records.
+ *   toDay is below 305 when the records of a finished lactation stop early
+ */
+function projectStandardYield(points, daysInMilk) {
+    const inPeriod = points.filter(point => point.day <= STANDARD_LACTATION_DAYS);
+    if (inPeriod.length === 0) return null;
+
+    const lastDay = inPeriod[inPeriod.length - 1].day;
+
+    if (daysInMilk >= STANDARD_LACTATION_DAYS || lastDay >= STANDARD_LACTATION_DAYS) {
+        // Milk after the last recorded day isn't known - it isn't made up
+        const toDay = Math.min(lastDay, STANDARD_LACTATION_DAYS);
+        return { yield: round(cumulateYield(inPeriod, toDay)), method: 'ACTUAL', toDay, curve: null };
+    }
+
+    let total = cumulateYield(inPeriod, lastDay);
+    const curve = fitWoodCurve(inPeriod.filter(point => point.day >= 1 && point.yield > 0));
+
+    if (curve) {
+        for (let day = lastDay + 1; day <= STANDARD_LACTATION_DAYS; day++) total += woodYield(curve, day);
+        return { yield: round(total), method: 'CURVE', toDay: STANDARD_LACTATION_DAYS, curve };
+    }
+
+    const recent = inPeriod.slice(-RECENT_DAYS);
+    const average = recent.reduce((sum, point) => sum + point.yield, 0) / recent.length;
+    total += average * (STANDARD_LACTATION_DAYS - lastDay);
+    return { yield: round(total), method: 'AVERAGE', toDay: STANDARD_LACTATION_DAYS, curve: null };
+}
+
+/**
+ * An animal's lactations, newest first
+ * @param {Array} breedingRecords - The animal's breeding records (CALVING records start lactations)
+ * @param {Array} milkRecords - The animal's milk records
+ * @param {Date} now
+ * @returns {Array} - [{ number, calvedAt, endedAt, current, daysInMilk, days: [{ date, day, yield, discarded }],
+ *   totalYield, discardedYield, saleableYield, peak, projection, curvePoints }]
+ *   number and the day-based figures are null for milk recorded before the first recorded calving
+ */
+function getLactations(breedingRecords, milkRecords, now = new Date()) {
+    const calvings = breedingRecords
+        .filter(record => record.type === 'CALVING')
+        .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+    // Daily totals - sessions of a day are added up
+    const byDate = new Map();
+    milkRecords.forEach(record => {
+        const key = startOfDay(record.recordedOn).getTime();
+        const total = byDate.get(key) || { date: startOfDay(record.recordedOn), yield: 0, discarded: 0 };
+        total.yield += record.yield;
+        if (record.discard) total.discarded += record.yield;
+        byDate.set(key, total);
+    });
+    const dailyTotals = [...byDate.values()].sort((a, b) => a.date - b.date);
+
+    const periods = [{ calving: null, from: null }, ...calvings.map(calving => ({ calving, from: startOfDay(calving.occurredAt) }))];
+
+    const lactations = periods.map((period, index) => {
+        const next = periods[index + 1];
+        const until = next ? next.from : null;
+        const calvedAt = period.calving ? new Date(period.calving.occurredAt) : null;
+
+        const days = dailyTotals
+            .filter(total => (!period.from || total.date >= period.from) && (!until || total.date < until))
+            .map(total => ({
+                date: total.date,
+                day: period.from ? Math.round((total.date - period.from) / DAY_MS) : null,
+                yield: round(total.yield),
+                discarded: round(total.discarded)
+            }));
+
+        const totalYield = days.reduce((sum, day) => sum + day.yield, 0);
+        const discardedYield = days.reduce((sum, day) => sum + day.discarded, 0);
+        const daysInMilk = period.from ? Math.round(((until || startOfDay(now)) - period.from) / DAY_MS) : null;
+        const peak = days.reduce((best, day) => (!best || day.yield > best.yield ? day : best), null);
+        const projection = period.from ? projectStandardYield(days, daysInMilk) : null;
+
+        return {
+            number: period.calving ? index : null,
+            calvingId: period.calving ? period.calving._id : null,
+            calvedAt,
+            endedAt: next ? new Date(next.calving.occurredAt) : null,
+            current: !next,
+            daysInMilk,
+            days,
+            totalYield: round(totalYield),
+            discardedYield: round(discardedYield),
+            saleableYield: round(totalYield - discardedYield),
+            peak,
+            projection,
+            // Fitted curve for the chart, every 5 days to day 305
+            curvePoints: projection && projection.curve
+                ? Array.from({ length: STANDARD_LACTATION_DAYS / 5 }, (_, i) => ({ day: (i + 1) * 5, yield: round(woodYield(projection.curve, (i + 1) * 5)) }))
+                : []
+        };
+    });
+
+    // Milk before the first recorded calving only shows when there is some
+    return lactations.filter(lactation => lactation.number !== null || lactation.days.length > 0).reverse();
+}
+
+/**
+ * The lactation a milking day belongs to
+ * @param {Array} breedingRecords
+ * @param {Date} day
+ * @returns {Object} - { number, calving } - number null before the first recorded calving
+ */
+function getLactationOn(breedingRecords, day) {
+    const calvings = breedingRecords
+        .filter(record => record.type === 'CALVING')
+        .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+    let number = null;
+    let calving = null;
+    calvings.forEach((record, index) => {
+        if (startOfDay(record.occurredAt) <= startOfDay(day)) {
+            number = index + 1;
+            calving = record;
+        }
+    });
+
+    return { number, calving };
+}
+
+module.exports = {
+    STANDARD_LACTATION_DAYS,
+    startOfDay,
+    getMilkWithdrawalWindows,
+    getMilkDiscard,
+    refreshMilkDiscard,
+    fitWoodCurve,
+    projectStandardYield,
+    getLactations,
+    getLactationOn
+};
@@ -0,0 +1,89 @@
+// Medicine Lot Recall Tracing
+// Follows a medicine lot from the farm's stock to the animals treated with it,
+// the products listed from those animals and the orders sold from them
+
+const Animal = require('../models/Animal');
+const MedicineStock = require('../models/MedicineStock');
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+/**
+ * Stock lots of a farm matching a recalled lot number
+ * @param {string} farmerId
+ * @param {string} lotNumber - Compared case-insensitively
+ * @param {string} medicineName - Optional, narrows the match when lot numbers are reused across brands
+ * @returns {Promise<Array>}
+ */
+async function findRecalledLots(farmerId, lotNumber, medicineName) {
+    const wanted = lotNumber.trim().toLowerCase();
+    const lots = await MedicineStock.findByFarmer(farmerId);
+
+    return lots.filter(lot =>
+        lot.lotNumber.toLowerCase() === wanted &&
+        (!medicineName || lot.medicineName === medicineName)
+    );
+}
+
+/**
+ * Trace a medicine lot through the farm.
+ * Products and orders only count from the animal's first dose out of the lot -
+ * anything listed or sold before the treatment can't contain it.
+ * @param {string} farmerId
+ * @param {string} lotNumber
+ * @param {string} medicineName - Optional
+ * @returns {Promise<Object>} - { lots, animals, products, orders }
+ */
+async function traceLot(farmerId, lotNumber, medicineName) {
+    const db = getDB();
+    const lots = await findRecalledLots(farmerId, lotNumber, medicineName);
+
+    if (lots.length === 0) {
+        return { lots, animals: [], products: [], orders: [] };
+    }
+
+    // Voided logs were entered in error and their stock was put back
+    const logs = await db.collection('medicalLogs')
+        .find({ 'stock.lotId': { $in: lots.map(lot => lot._id) }, voidedAt: null })
+        .sort({ administeredAt: 1 })
+        .toArray();
+
+    // One row per animal, with every dose it got from the lot
+    const byAnimal = new Map();
+    logs.forEach(log => {
+        const key = log.animalId.toString();
+        if (!byAnimal.has(key)) {
+            byAnimal.set(key, { animalId: log.animalId, firstDoseAt: log.administeredAt, logs: [] });
+        }
+        byAnimal.get(key).logs.push(log);
+    });
+
+    const animals = (await Promise.all(
+        Array.from(byAnimal.values()).map(async entry => {
+            const animal = await Animal.findById(entry.animalId);
+            return animal ? { ...entry, animal, tagId: animal.tagId } : null;
+        })
+    )).filter(Boolean);
+
+    const firstDoseById = new Map(animals.map(entry => [entry.animalId.toString(), entry.firstDoseAt]));
+    const firstDoseByTag = new Map(animals.map(entry => [entry.tagId, entry.firstDoseAt]));
+
+    const products = (await db.collection('products')
+        .find({ animalId: { $in: animals.map(entry => entry.animalId) } })
+        .sort({ createdAt: -1 })
+        .toArray())
+        .filter(product => product.createdAt >= firstDoseById.get(product.animalId.toString()));
+
+    // Orders keep the animal's tag ID for traceability, so they're matched on it
+    const orders = (await db.collection('orders')
+        .find({ sellerId: new ObjectId(farmerId), animalTagId: { $in: Array.from(firstDoseByTag.keys()) } })
+        .sort({ createdAt: -1 })
+        .toArray())
+        .filter(order => order.createdAt >= firstDoseByTag.get(order.animalTagId));
+
+    return { lots, animals, products, orders };
+}
+
+module.exports = {
+    findRecalledLots,
+    traceLot
+};
@@ -0,0 +1,201 @@
+// Pedigree and Inbreeding
+// Builds ancestry from the dam/sire links set at birth registration and
+// calculates Wright's inbreeding coefficient with the recursive coancestry
+// method: F(X) = f(dam, sire), where
+//   f(A, A) = ½ (1 + F(A))
+//   f(A, B) = ½ (f(A, dam of B) + f(A, sire of B))   when B is not an ancestor of A
+// Sires from outside the herd (AI bulls) are only known by name, so offspring of
+// the same bull are matched on it - reusing one bull is the common risk in small herds.
+
+const Animal = require('../models/Animal');
+
+const DEFAULT_GENERATIONS = 4;
+const MAX_GENERATIONS = 6;
+
+// Ancestors further back than this are treated as unrelated founders
+const INBREEDING_GENERATIONS = 10;
+
+function externalSireKey(name) {
+    return `name:${name.trim().toLowerCase()}`;
+}
+
+// Keys of an animal's parents - the animal id, or the name of an outside sire
+function parentKeys(animal) {
+    return {
+        dam: animal.damId ? animal.damId.toString() : null,
+        sire: animal.sireId
+            ? animal.sireId.toString()
+            : (animal.sireName && animal.sireName.trim() ? externalSireKey(animal.sireName) : null)
+    };
+}
+
+/**
+ * Load the ancestors of some animals, breadth first, up to a number of generations
+ * @param {Array} animals - Starting animals (full documents)
+ * @param {number} generations
+ * @param {Map} ancestry - Map to add to; key -> { key, animal, name, dam, sire }
+ * @returns {Promise<Map>}
+ */
+async function loadAncestry(animals, generations, ancestry = new Map()) {
+    let current = animals.map(animal => ({ animal, key: animal._id.toString(), name: animal.tagId }));
+
+    for (let depth = 0; current.length > 0; depth++) {
+        const next = [];
+
+        for (const { animal, key, name } of current) {
+            if (ancestry.has(key)) continue;
+
+            // Beyond the limit an animal is a founder - its parents aren't followed.
+            // Removed animals and outside sires have no recorded parents.
+            const parents = animal && depth < generations ? parentKeys(animal) : { dam: null, sire: null };
+            ancestry.set(key, { key, animal, name, dam: parents.dam, sire: parents.sire });
+
+            // A removed parent still counts as a shared ancestor of its offspring
+            if (parents.dam && !ancestry.has(parents.dam)) {
+                const dam = await Animal.findById(parents.dam);
+                next.push({ animal: dam, key: parents.dam, name: dam ? dam.tagId : 'Removed animal' });
+            }
+            if (parents.sire && !ancestry.has(parents.sire)) {
+                const sire = animal.sireId ? await Animal.findById(parents.sire) : null;
+                const sireName = animal.sireId ? (sire ? sire.tagId : 'Removed animal') : animal.sireName.trim();
+                next.push({ animal: sire, key: parents.sire, name: sireName });
+            }
+        }
+
+        current = next;
+    }
+
+    return ancestry;
+}
+
+/**
+ * Coancestry and inbreeding over a loaded ancestry, memoised
+ * @param {Map} ancestry - From loadAncestry
+ * @returns {Object} - { coancestry(keyA, keyB), inbreeding(key) }
+ */
+function createCalculator(ancestry) {
+    const ancestorMemo = new Map();
+    const coancestryMemo = new Map();
+
+    function ancestorsOf(key) {
+        if (ancestorMemo.has(key)) return ancestorMemo.get(key);
+
+        const ancestors = new Set();
+        const node = ancestry.get(key);
+        [node && node.dam, node && node.sire].filter(Boolean).forEach(parent => {
+            ancestors.add(parent);
+            ancestorsOf(parent).forEach(ancestor => ancestors.add(ancestor));
+        });
+
+        ancestorMemo.set(key, ancestors);
+        return ancestors;
+    }
+
+    function inbreeding(key) {
+        const node = ancestry.get(key);
+        return node ? coancestry(node.dam, node.sire) : 0;
+    }
+
+    function coancestry(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 0.5 * (1 + inbreeding(a));
+
+        const memoKey = a < b ? `${a}|${b}` : `${b}|${a}`;
+        if (coancestryMemo.has(memoKey)) return coancestryMemo.get(memoKey);
+
+        // Expand whichever of the two is not an ancestor of the other
+        const [keep, expand] = ancestorsOf(a).has(b) ? [b, a] : [a, b];
+        const node = ancestry.get(expand);
+        const value = node ? 0.5 * (coancestry(keep, node.dam) + coancestry(keep, node.sire)) : 0;
+
+        coancestryMemo.set(memoKey, value);
+        return value;
+    }
+
+    return { coancestry, inbreeding };
+}
+
+/**
+ * Inbreeding coefficient of an animal
+ * @param {Object} animal
+ * @returns {Promise<number>} - 0 to 1
+ */
+async function calculateInbreeding(animal) {
+    const ancestry = await loadAncestry([animal], INBREEDING_GENERATIONS);
+    return createCalculator(ancestry).inbreeding(animal._id.toString());
+}
+
+/**
+ * Inbreeding coefficient the offspring of a proposed mating would have
+ * @param {Object} dam
+ * @param {Array} sires - Herd animals ({ _id, ... }) or outside sires ({ name })
+ * @returns {Promise<Array>} - [{ sire, coefficient }] in the order given
+ */
+async function calculateMatingInbreeding(dam, sires) {
+    const herdSires = sires.filter(sire => sire._id);
+    const ancestry = await loadAncestry([dam, ...herdSires], INBREEDING_GENERATIONS);
+
+    sires.filter(sire => !sire._id).forEach(sire => {
+        const key = externalSireKey(sire.name);
+        if (!ancestry.has(key)) ancestry.set(key, { key, animal: null, name: sire.name, dam: null, sire: null });
+    });
+
+    const calculator = createCalculator(ancestry);
+    return sires.map(sire => ({
+        sire,
+        coefficient: calculator.coancestry(dam._id.toString(), sire._id ? sire._id.toString() : externalSireKey(sire.name))
+    }));
+}
+
+/**
+ * Pedigree tree going up a number of generations
+ * @param {Object} animal
+ * @param {number} generations
+ * @returns {Promise<Object>} - { key, animal, name, inbreeding, dam, sire } with dam/sire nested the same way (or null)
+ */
+async function getPedigree(animal, generations = DEFAULT_GENERATIONS) {
+    const depth = Math.min(Math.max(parseInt(generations) || DEFAULT_GENERATIONS, 1), MAX_GENERATIONS);
+
+    // Ancestry is loaded deeper than shown so the coefficients include older common ancestors
+    const ancestry = await loadAncestry([animal], INBREEDING_GENERATIONS);
+    const calculator = createCalculator(ancestry);
+
+    const build = (key, level) => {
+        const node = key ? ancestry.get(key) : null;
+        if (!node) return null;
+
+        return {
+            key,
+            animal: node.animal,
+            name: node.name,
+            inbreeding: calculator.inbreeding(key),
+            dam: level < depth ? build(node.dam, level + 1) : null,
+            sire: level < depth ? build(node.sire, level + 1) : null
+        };
+    };
+
+    return build(animal._id.toString(), 0);
+}
+
+/**
+ * Plain-language reading of a coefficient
+ * @param {number} coefficient
+ * @returns {Object} - { level: NONE|LOW|MODERATE|HIGH, label }
+ */
+function describeInbreeding(coefficient) {
+    if (coefficient === 0) return { level: 'NONE', label: 'No common ancestors recorded' };
+    if (coefficient < 0.0625) return { level: 'LOW', label: 'Low - more distant than first cousins' };
+    if (coefficient < 0.125) return { level: 'MODERATE', label: 'Moderate - like a first-cousin mating' };
+    return { level: 'HIGH', label: 'High - half-sibling, parent-offspring or full-sibling mating' };
+}
+
+module.exports = {
+    DEFAULT_GENERATIONS,
+    MAX_GENERATIONS,
+    loadAncestry,
+    createCalculator,
+    calculateInbreeding,
+    calculateMatingInbreeding,
+    getPedigree,
+    describeInbreeding
+};
@@ -0,0 +1,370 @@
+// Ration Builder
+// Daily dry matter, crude protein and energy needs of a ruminant from its species,
+// body weight, production stage and milk yield, and the least-cost mix of the farm's
+// feed items that meets them. Requirements are rule-of-thumb feeding standards:
+// maintenance scales with metabolic weight (kg^0.75), milk adds a fixed amount per
+// litre, growth and late pregnancy add a share of maintenance. Intake is a share of
+// body weight. The mix is solved as a linear programme over kg of each feed as fed.
+
+const Formulary = require('../models/Formulary');
+const WeightRecord = require('../models/WeightRecord');
+const MilkRecord = require('../models/MilkRecord');
+const BreedingRecord = require('../models/BreedingRecord');
+const { startOfDay } = require('./lactation');
+
+// Per species: ME (MJ) and CP (g) per kg^0.75 for maintenance, ME and CP per litre
+// of milk, dry matter intake as % of body weight by stage and extra DM per litre
+const SPECIES_REQUIREMENTS = {
+    cattle: {
+        maintenanceEnergy: 0.5, maintenanceProtein: 4.5, energyPerLitre: 5, proteinPerLitre: 85,
+        intake: { MAINTENANCE: 2, GROWING: 2.5, LATE_PREGNANCY: 2, LACTATING: 2.5 }, intakePerLitre: 0.1
+    },
+    buffalo: {
+        maintenanceEnergy: 0.5, maintenanceProtein: 4.5, energyPerLitre: 7, proteinPerLitre: 95,
+        intake: { MAINTENANCE: 2, GROWING: 2.5, LATE_PREGNANCY: 2, LACTATING: 2.5 }, intakePerLitre: 0.1
+    },
+    goat: {
+        maintenanceEnergy: 0.45, maintenanceProtein: 4.2, energyPerLitre: 5, proteinPerLitre: 70,
+        intake: { MAINTENANCE: 3, GROWING: 3.5, LATE_PREGNANCY: 3, LACTATING: 4 }, intakePerLitre: 0
+    },
+    sheep: {
+        maintenanceEnergy: 0.45, maintenanceProtein: 4.2, energyPerLitre: 7, proteinPerLitre: 90,
+        intake: { MAINTENANCE: 2.5, GROWING: 3.5, LATE_PREGNANCY: 3, LACTATING: 4 }, intakePerLitre: 0
+    }
+};
+
+// Share of maintenance added for growth and for the last trimester
+const STAGE_ALLOWANCES = { GROWING: 0.3, LATE_PREGNANCY: 0.3 };
+
+// The mix may come in this far either side of the expected intake
+const INTAKE_TOLERANCE = 0.05;
+
+// Fodder, silage and straw must make up at least this share of the dry matter
+const MIN_ROUGHAGE_SHARE = 0.4;
+const ROUGHAGE_CATEGORIES = ['GREEN_FODDER', 'DRY_FODDER', 'SILAGE'];
+
+// Milk yield is the average of the last week's recorded days; pregnancy counts as
+// late in the last this many days before the expected calving
+const RECENT_MILK_DAYS = 7;
+const LATE_PREGNANCY_DAYS = 90;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const EPSILON = 1e-9;
+const MAX_PIVOTS = 500;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function getStages() {
+    return {
+        MAINTENANCE: 'Maintenance (dry, not pregnant)',
+        GROWING: 'Growing',
+        LATE_PREGNANCY: 'Late pregnancy',
+        LACTATING: 'Lactating'
+    };
+}
+
+// Species the builder has standards for, e.g. Cow -> cattle
+function getRationSpecies(species) {
+    const name = Formulary.normalizeSpecies(species);
+    return SPECIES_REQUIREMENTS[name] ? name : null;
+}
+
+/**
+ * Builder inputs for an animal from its records - body weight from the latest weight
+ * record, milk yield from the last week's milk records and a suggested stage
+ * @param {Object} animal
+ * @param {Date} now
+ * @returns {Promise<Object>} - { animalId, tagId, species, bodyWeight, weighedOn, stage, milkYield }
+ *   bodyWeight is null when the animal has never been weighed
+ */
+async function getAnimalRationInputs(animal, now = new Date()) {
+    const [latest] = await WeightRecord.getWeightHistory(animal._id, 1);
+
+    const since = startOfDay(new Date(now.getTime() - (RECENT_MILK_DAYS - 1) * DAY_MS));
+    const byDay = new Map();
+    (await MilkRecord.findByAnimal(animal._id))
+        .filter(record => new Date(record.recordedOn) >= since && new Date(record.recordedOn) <= now)
+        .forEach(record => {
+            const key = startOfDay(record.recordedOn).getTime();
+            byDay.set(key, (byDay.get(key) || 0) + record.yield);
+        });
+    const milkYield = byDay.size > 0 ? round([...byDay.values()].reduce((sum, value) => sum + value, 0) / byDay.size) : 0;
+
+    let stage = animal.dateOfBirth && new Date(now) - new Date(animal.dateOfBirth) < 365 * DAY_MS ? 'GROWING' : 'MAINTENANCE';
+    const expectedCalvingAt = animal.pregnancy
+        ? BreedingRecord.getExpectedCalvingAt(animal.species, animal.pregnancy.conceivedAt)
+        : null;
+    if (milkYield > 0) {
+        stage = 'LACTATING';
+    } else if (expectedCalvingAt && expectedCalvingAt - now <= LATE_PREGNANCY_DAYS * DAY_MS) {
+        stage = 'LATE_PREGNANCY';
+    }
+
+    return {
+        animalId: animal._id,
+        tagId: animal.tagId,
+        species: animal.species,
+        bodyWeight: latest ? latest.weight : null,
+        weighedOn: latest ? latest.recordedDate : null,
+        stage,
+        milkYield
+    };
+}
+
+/**
+ * Daily nutrient requirements of one animal
+ * @param {Object} inputs - { species, bodyWeight (kg), stage, milkYield (litres/day, lactating only) }
+ * @returns {Object} - { dryMatter (kg), minDryMatter, maxDryMatter, crudeProtein (g), energy (MJ ME) } or { error }
+ */
+function calculateRequirements({ species, bodyWeight, stage, milkYield }) {
+    if (!species) return { error: 'Species is required' };
+    const standard = SPECIES_REQUIREMENTS[getRationSpecies(species)];
+    if (!standard) return { error: `The ration builder covers cattle, buffalo, goats and sheep - not ${species}` };
+    if (!getStages()[stage]) return { error: 'Invalid production stage' };
+    if (!(bodyWeight > 0)) return { error: 'A body weight is required' };
+
+    const litres = stage === 'LACTATING' ? (milkYield || 0) : 0;
+    if (litres < 0) return { error: 'Milk yield cannot be negative' };
+
+    const metabolicWeight = Math.pow(bodyWeight, 0.75);
+    const allowance = 1 + (STAGE_ALLOWANCES[stage] || 0);
+    const dryMatter = bodyWeight * standard.intake[stage] / 100 + litres * standard.intakePerLitre;
+
+    return {
+        dryMatter: round(dryMatter),
+        minDryMatter: round(dryMatter * (1 - INTAKE_TOLERANCE)),
+        maxDryMatter: round(dryMatter * (1 + INTAKE_TOLERANCE)),
+        crudeProtein: Math.round(standard.maintenanceProtein * metabolicWeight * allowance + litres * standard.proteinPerLitre),
+        energy: round(standard.maintenanceEnergy * metabolicWeight * allowance + litres * standard.energyPerLitre)
+    };
+}
+
+function pivot(table, row, column) {
+    const factor = table[row][column];
+    table[row] = table[row].map(value => value / factor);
+
+    table.forEach((line, i) => {
+        if (i === row || Math.abs(line[column]) < EPSILON) return;
+        const multiple = line[column];
+        table[i] = line.map((value, j) => value - multiple * table[row][j]);
+    });
+}
+
+// Primal simplex with Bland's rule over the first columnLimit columns - false when unbounded
+function runSimplex(table, basis, objective, columnLimit) {
+    const rhs = table[0].length - 1;
+
+    for (let step = 0; step < MAX_PIVOTS; step++) {
+        let entering = -1;
+        for (let j = 0; j < columnLimit && entering < 0; j++) {
+            const reducedCost = objective[j] - table.reduce((sum, line, i) => sum + objective[basis[i]] * line[j], 0);
+            if (reducedCost < -EPSILON) entering = j;
+        }
+        if (entering < 0) return true;
+
+        let leaving = -1;
+        table.forEach((line, i) => {
+            if (line[entering] <= EPSILON) return;
+            if (leaving < 0) {
+                leaving = i;
+                return;
+            }
+            const ratio = line[rhs] / line[entering];
+            const best = table[leaving][rhs] / table[leaving][entering];
+            if (ratio < best - EPSILON || (Math.abs(ratio - best) <= EPSILON && basis[i] < basis[leaving])) leaving = i;
+        });
+        if (leaving < 0) return false;
+
+        pivot(table, leaving, entering);
+        basis[leaving] = entering;
+    }
+
+    return false;
+}
+
+/**
+ * Minimise costs . x subject to the constraints and x >= 0 (two-phase simplex)
+ * @param {Array<number>} costs
+ * @param {Array<Object>} constraints - [{ coefficients, type: '>=' or '<=', rhs }]
+ * @returns {Array<number>|null} - Optimal x, or null when no x meets the constraints
+ */
+function solveLinearProgram(costs, constraints) {
+    const n = costs.length;
+    const m = constraints.length;
+
+    // Keep every right-hand side non-negative; a ">= 0" row needs no artificial as "<= 0"
+    const rows = constraints.map(({ coefficients, type, rhs }) => (rhs < 0 || (rhs === 0 && type === '>='))
+        ? { coefficients: coefficients.map(value => -value), type: type === '>=' ? '<=' : '>=', rhs: -rhs }
+        : { coefficients, type, rhs });
+
+    const artificialRows = rows.map((row, i) => (row.type === '>=' ? i : -1)).filter(i => i >= 0);
+    const artificialStart = n + m;
+    const width = artificialStart + artificialRows.length + 1;
+
+    const basis = [];
+    const table = rows.map((row, i) => {
+        const line = new Array(width).fill(0);
+        row.coefficients.forEach((value, j) => { line[j] = value; });
+        line[n + i] = row.type === '<=' ? 1 : -1;
+        line[width - 1] = row.rhs;
+
+        if (row.type === '>=') {
+            const artificial = artificialStart + artificialRows.indexOf(i);
+            line[artificial] = 1;
+            basis.push(artificial);
+        } else {
+            basis.push(n + i);
+        }
+        return line;
+    });
+
+    // Phase 1 - find a feasible mix by driving the artificials to zero
+    if (artificialRows.length > 0) {
+        const objective = new Array(width).fill(0);
+        for (let j = artificialStart; j < width - 1; j++) objective[j] = 1;
+
+        runSimplex(table, basis, objective, width - 1);
+        const infeasibility = table.reduce((sum, line, i) => sum + (basis[i] >= artificialStart ? line[width - 1] : 0), 0);
+        if (infeasibility > 1e-7) return null;
+
+        table.forEach((line, i) => {
+            if (basis[i] < artificialStart) return;
+            const column = line.findIndex((value, j) => j < artificialStart && Math.abs(value) > EPSILON);
+            if (column >= 0) {
+                pivot(table, i, column);
+                basis[i] = column;
+            }
+        });
+    }
+
+    // Phase 2 - cheapest feasible mix, artificials kept out
+    const objective = new Array(width).fill(0);
+    costs.forEach((value, j) => { objective[j] = value; });
+    if (!runSimplex(table, basis, objective, artificialStart)) return null;
+
+    const solution = new Array(n).fill(0);
+    basis.forEach((column, i) => {
+        if (column < n) solution[column] = Math.max(0, table[i][width - 1]);
+    });
+    return solution;
+}
+
+// Dry matter (kg), crude protein (g) and energy (MJ) in one kg of a feed as fed
+function perKgAsFed(nutrients) {
+    const dryMatter = nutrients.dryMatter / 100;
+    return {
+        dryMatter,
+        crudeProtein: dryMatter * nutrients.crudeProtein * 10,
+        energy: dryMatter * nutrients.energy
+    };
+}
+
+// Why no mix works, from the best each nutrient could do within the intake limit
+function explainInfeasible(requirements, feeds) {
+    const densities = feeds.map(feed => perKgAsFed(feed.item.nutrients));
+    const best = key => Math.max(...densities.map(density => density[key] / density.dryMatter));
+
+    if (!feeds.some(feed => ROUGHAGE_CATEGORIES.includes(feed.item.category))) {
+        return 'No fodder, silage or straw with nutrients and a price is in store - a ruminant ration needs roughage';
+    }
+    if (best('energy') * requirements.maxDryMatter < requirements.energy) {
+        return 'The feeds in store are too low in energy for this animal - add a grain or concentrate';
+    }
+    if (best('crudeProtein') * requirements.maxDryMatter < requirements.crudeProtein) {
+        return 'The feeds in store are too low in protein for this animal - add an oilseed cake or concentrate';
+    }
+    return `No mix of the feeds in store meets the requirements with at least ${MIN_ROUGHAGE_SHARE * 100}% roughage - add a richer concentrate or a better fodder`;
+}
+
+/**
+ * Least-cost daily ration for one animal
+ * @param {Object} requirements - From calculateRequirements
+ * @param {Array} feeds - [{ item, costPerKg }] - items must have nutrients
+ * @returns {Object} - { ingredients: [{ feedItemId, name, category, amount, costPerKg, cost }],
+ *   supplied: { dryMatter, crudeProtein, energy, roughageShare }, costPerHead } or { error }
+ *   amounts are kg as fed per head per day, to 10 g. Dry matter stays within maxDryMatter unless no
+ *   rounding down keeps the other requirements - then it is over by less than 10 g per ingredient
+ */
+function formulateRation(requirements, feeds) {
+    if (feeds.length === 0) {
+        return { error: 'No feed in store has both nutrients and a purchase price - fill in the nutrient table and record purchases first' };
+    }
+
+    const densities = feeds.map(feed => perKgAsFed(feed.item.nutrients));
+    const roughage = feeds.map(feed => (ROUGHAGE_CATEGORIES.includes(feed.item.category) ? 1 : 0));
+
+    const solution = solveLinearProgram(feeds.map(feed => feed.costPerKg), [
+        { coefficients: densities.map(density => density.dryMatter), type: '>=', rhs: requirements.minDryMatter },
+        { coefficients: densities.map(density => density.dryMatter), type: '<=', rhs: requirements.maxDryMatter },
+        { coefficients: densities.map(density => density.crudeProtein), type: '>=', rhs: requirements.crudeProtein },
+        { coefficients: densities.map(density => density.energy), type: '>=', rhs: requirements.energy },
+        {
+            coefficients: densities.map((density, i) => density.dryMatter * (roughage[i] - MIN_ROUGHAGE_SHARE)),
+            type: '>=',
+            rhs: 0
+        }
+    ]);
+    if (!solution) return { error: explainInfeasible(requirements, feeds) };
+
+    // Round up to 10 g so rounding never takes the mix below a requirement
+    const amounts = solution.map(value => (value > 0.001 ? Math.ceil(value * 100 - 1e-6) / 100 : 0));
+
+    // Rounding up can push dry matter over the intake limit - take 10 g back where it was added,
+    // densest feed first, as long as the mix still meets every requirement
+    const total = key => amounts.reduce((sum, amount, i) => sum + amount * densities[i][key], 0);
+    const meetsRequirements = () => total('dryMatter') >= requirements.minDryMatter - EPSILON
+        && total('crudeProtein') >= requirements.crudeProtein - EPSILON
+        && total('energy') >= requirements.energy - EPSILON;
+    amounts
+        .map((amount, i) => i)
+        .filter(i => amounts[i] - solution[i] > 1e-6)
+        .sort((a, b) => densities[b].dryMatter - densities[a].dryMatter)
+        .forEach(i => {
+            if (total('dryMatter') <= requirements.maxDryMatter + EPSILON) return;
+            amounts[i] = round(amounts[i] - 0.01);
+            if (!meetsRequirements()) amounts[i] = round(amounts[i] + 0.01);
+        });
+
+    const ingredients = [];
+    const supplied = { dryMatter: 0, crudeProtein: 0, energy: 0, roughage: 0 };
+    feeds.forEach((feed, i) => {
+        if (amounts[i] <= 0) return;
+
+        ingredients.push({
+            feedItemId: feed.item._id,
+            name: feed.item.name,
+            category: feed.item.category,
+            amount: amounts[i],
+            costPerKg: feed.costPerKg,
+            cost: round(amounts[i] * feed.costPerKg)
+        });
+        supplied.dryMatter += amounts[i] * densities[i].dryMatter;
+        supplied.crudeProtein += amounts[i] * densities[i].crudeProtein;
+        supplied.energy += amounts[i] * densities[i].energy;
+        supplied.roughage += amounts[i] * densities[i].dryMatter * roughage[i];
+    });
+
+    return {
+        ingredients: ingredients.sort((a, b) => b.amount - a.amount),
+        supplied: {
+            dryMatter: round(supplied.dryMatter),
+            crudeProtein: Math.round(supplied.crudeProtein),
+            energy: round(supplied.energy),
+            roughageShare: supplied.dryMatter > 0 ? Math.round(supplied.roughage / supplied.dryMatter * 100) : 0
+        },
+        costPerHead: round(ingredients.reduce((sum, ingredient) => sum + ingredient.amount * ingredient.costPerKg, 0))
+    };
+}
+
+module.exports = {
+    MIN_ROUGHAGE_SHARE,
+    getStages,
+    getRationSpecies,
+    getAnimalRationInputs,
+    calculateRequirements,
+    solveLinearProgram,
+    formulateRation
+};
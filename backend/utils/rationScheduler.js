@@ -0,0 +1,168 @@
+// Ration Feeding Scheduler
+// Records each scheduled ration as a daily group feed - one group feeding per
+// ingredient, split by headcount and drawn from the feed store. Days missed while
+// the server was down are caught up. Groups that are archived stop their schedule.
+
+const Animal = require('../models/Animal');
+const Ration = require('../models/Ration');
+const HerdGroup = require('../models/HerdGroup');
+const FeedItem = require('../models/FeedItem');
+const StatusHistory = require('../models/StatusHistory');
+const { feedGroup, removeGroupFeeding } = require('./herdGroups');
+const { getRationSpecies } = require('./ration');
+const { startOfDay } = require('./lactation');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let timer = null;
+let running = false;
+
+function nextDay(date) {
+    const day = startOfDay(date);
+    day.setDate(day.getDate() + 1);
+    return day;
+}
+
+/**
+ * Record one day of a ration for a group's current members. Members of another species
+ * than the ration was built for (added since it was applied) are left out. The day is
+ * all or nothing - if an ingredient fails, the ingredients already recorded are taken back.
+ * @param {Object} ration
+ * @param {Object} group
+ * @param {Date} day - Start of the day fed
+ * @param {Object} actor
+ * @returns {Promise<number>} - Number of animals fed
+ */
+async function feedRationToGroup(ration, group, day, actor = StatusHistory.systemActor()) {
+    const species = getRationSpecies(ration.inputs.species);
+    const members = await Animal.findByIds(await HerdGroup.findMemberIds(group._id));
+    const others = members.filter(animal => getRationSpecies(animal.species) !== species);
+    if (others.length > 0) {
+        console.warn(`⚠️ Ration ${ration.name} is for ${species} - not fed to ${others.map(animal => animal.tagId).join(', ')} in ${group.name}`);
+    }
+
+    const memberIds = members.filter(animal => !others.includes(animal)).map(animal => animal._id);
+    if (memberIds.length === 0) return 0;
+
+    const fed = [];
+    try {
+        for (const ingredient of ration.ingredients) {
+            fed.push(await feedGroup(group, memberIds, {
+                totalAmount: Math.round(ingredient.amount * memberIds.length * 100) / 100,
+                method: 'HEADCOUNT',
+                feedItem: await FeedItem.findById(ingredient.feedItemId),
+                feedType: ingredient.name,
+                feedDate: day,
+                notes: `Ration ${ration.name} - ${group.name}`,
+                actor
+            }));
+        }
+    } catch (error) {
+        for (const feeding of fed) {
+            await removeGroupFeeding(feeding);
+        }
+        throw error;
+    }
+
+    return memberIds.length;
+}
+
+/**
+ * Feed a schedule's ration for each day from its start (or the day after it was
+ * last fed) up to today - stops the schedule if its ration or group is gone. A day
+ * whose feeding throws has nothing recorded and is released so the next run tries it again
+ * @param {Object} schedule
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of days recorded
+ */
+async function feedSchedule(schedule, now = new Date()) {
+    const ration = await Ration.findById(schedule.rationId);
+    const group = await HerdGroup.findById(schedule.groupId);
+    if (!ration || !group || group.archivedAt) {
+        await Ration.stopSchedule(schedule._id);
+        return 0;
+    }
+
+    const today = startOfDay(now);
+    let previous = schedule.lastFedOn;
+    let day = previous ? nextDay(previous) : startOfDay(schedule.startsOn);
+    let days = 0;
+    while (day <= today) {
+        // Another run got to this day first
+        if (!(await Ration.claimDay(schedule._id, previous, day))) break;
+
+        try {
+            await feedRationToGroup(ration, group, day);
+        } catch (error) {
+            await Ration.releaseDay(schedule._id, day, previous);
+            throw error;
+        }
+        days++;
+        previous = day;
+        day = nextDay(day);
+    }
+
+    return days;
+}
+
+/**
+ * Run one pass over every active schedule
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of group-days recorded
+ */
+async function runRationFeeding(now = new Date()) {
+    if (running) return 0;
+    running = true;
+
+    try {
+        let fed = 0;
+        for (const schedule of await Ration.findActiveSchedules()) {
+            // One schedule failing leaves the rest to be fed
+            try {
+                fed += await feedSchedule(schedule, now);
+            } catch (error) {
+                console.error(`Ration schedule ${schedule._id} error:`, error);
+            }
+        }
+
+        if (fed > 0) {
+            console.log(`✅ Recorded ${fed} day(s) of scheduled rations`);
+        }
+
+        return fed;
+    } catch (error) {
+        console.error('Ration feeding job error:', error);
+        return 0;
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the scheduler - runs once immediately, then every intervalMinutes
+ * @param {number} intervalMinutes - Defaults to RATION_FEED_INTERVAL_MINUTES or 60
+ */
+function startRationScheduler(intervalMinutes = parseFloat(process.env.RATION_FEED_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES) {
+    if (timer) return;
+
+    runRationFeeding();
+    timer = setInterval(runRationFeeding, intervalMinutes * 60 * 1000);
+    timer.unref(); // Never keep the process alive on its own
+
+    console.log(`⏱️ Ration feeding scheduler running every ${intervalMinutes} minute(s)`);
+}
+
+function stopRationScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    feedRationToGroup,
+    feedSchedule,
+    runRationFeeding,
+    startRationScheduler,
+    stopRationScheduler
+};
@@ -0,0 +1,253 @@
+// Treatment Safety Checks
+// Run before a medical log is saved. Looks at the animal's active treatments,
+// species, age and pregnancy (confirmed, or possible after an undiagnosed
+// service), and returns hard blocks and warnings. Warnings have to be
+// acknowledged by the farmer before the treatment is recorded.
+
+const Animal = require('../models/Animal');
+const Formulary = require('../models/Formulary');
+const MedicalLog = require('../models/MedicalLog');
+const TreatmentCourse = require('../models/TreatmentCourse');
+const BreedingRecord = require('../models/BreedingRecord');
+const { getReproductiveStatus } = require('./breeding');
+
+const HOUR_MS = 1000 * 60 * 60;
+const DAY_MS = HOUR_MS * 24;
+
+// A dose outside an active course still counts as an active treatment for this long
+const RECENT_TREATMENT_HOURS = 72;
+
+/**
+ * Treatments still acting on the animal: active courses plus doses given in the
+ * last RECENT_TREATMENT_HOURS. Formulary details come from the revision each
+ * treatment was logged against.
+ * @param {Object} animal
+ * @param {Date} now
+ * @returns {Promise<Array>} - [{ name, code, type, category, safety, since, courseId, activeCourse }]
+ */
+async function getActiveTreatments(animal, now = new Date()) {
+    const courses = await TreatmentCourse.findActiveByAnimal(animal._id);
+    const logs = await MedicalLog.findUnvoidedByAnimal(animal._id);
+
+    const activeCourseIds = new Set(courses.map(course => course._id.toString()));
+    const cutoff = new Date(now.getTime() - RECENT_TREATMENT_HOURS * HOUR_MS);
+
+    // One entry per course or stand-alone dose
+    const sources = new Map();
+    courses.forEach(course => {
+        sources.set(course._id.toString(), {
+            name: course.medicineName,
+            formulary: course.formulary,
+            since: course.startedAt,
+            courseId: course._id,
+            activeCourse: true
+        });
+    });
+
+    logs
+        .filter(log => new Date(log.administeredAt) >= cutoff && new Date(log.administeredAt) <= now)
+        .forEach(log => {
+            const key = log.courseId ? log.courseId.toString() : log._id.toString();
+            if (activeCourseIds.has(key) || sources.has(key)) return;
+
+            sources.set(key, {
+                name: log.medicineName,
+                formulary: log.formulary,
+                since: log.administeredAt,
+                courseId: log.courseId,
+                activeCourse: false
+            });
+        });
+
+    return await Promise.all(Array.from(sources.values()).map(async source => {
+        const entry = source.formulary ? await Formulary.findById(source.formulary.entryId) : null;
+        const medicine = entry ? Formulary.forSpecies(entry, animal.species) : null;
+
+        return {
+            name: source.name,
+            code: source.formulary ? source.formulary.code : null,
+            type: medicine ? medicine.type : null,
+            category: medicine ? medicine.category : null,
+            safety: medicine ? medicine.safety : null,
+            since: source.since,
+            courseId: source.courseId,
+            activeCourse: source.activeCourse
+        };
+    }));
+}
+
+// Does an interaction rule name this drug (by code, type or category)?
+function ruleMatches(rule, drug) {
+    return Boolean(
+        (rule.codes && drug.code && rule.codes.includes(drug.code)) ||
+        (rule.types && drug.type && rule.types.includes(drug.type)) ||
+        (rule.categories && drug.category && rule.categories.includes(drug.category))
+    );
+}
+
+// First interaction rule on either drug that names the other one
+function findInteraction(medicine, treatment) {
+    const forward = ((medicine.safety && medicine.safety.interactions) || []).find(rule => ruleMatches(rule, treatment));
+    if (forward) return forward;
+    return ((treatment.safety && treatment.safety.interactions) || []).find(rule => ruleMatches(rule, medicine));
+}
+
+function sameMedicine(medicine, treatment) {
+    if (medicine.code || treatment.code) return medicine.code === treatment.code;
+    return medicine.name.trim().toLowerCase() === treatment.name.trim().toLowerCase();
+}
+
+/**
+ * Check a treatment against the animal and its active treatments
+ * @param {Object} animal - Needs species, dateOfBirth, pregnancy
+ * @param {Object} medicine - { code, name, type, category, safety, contraindications, precautions }; code is null for custom medicines
+ * @param {Array} activeTreatments - From getActiveTreatments
+ * @param {Date} at - When the treatment is given
+ * @param {Date|null} servedAt - Service not yet followed by a pregnancy diagnosis
+ * @returns {Object} - { blocks, warnings, notes }; blocks/warnings are [{ key, rule, message }]
+ */
+function checkTreatmentSafety(animal, medicine, activeTreatments, at = new Date(), servedAt = null) {
+    const blocks = [];
+    const warnings = [];
+    const notes = [];
+
+    const add = (level, finding) => (level === 'BLOCK' ? blocks : warnings).push(finding);
+    const ref = medicine.code || medicine.name;
+    const safety = medicine.safety || {};
+
+    activeTreatments.forEach(treatment => {
+        const since = new Date(treatment.since).toLocaleDateString();
+        const otherRef = treatment.code || treatment.name;
+
+        // Same drug again - a running course gets its next dose through the course
+        if (sameMedicine(medicine, treatment)) {
+            add(treatment.activeCourse ? 'BLOCK' : 'WARN', {
+                key: `duplicate:${otherRef}`,
+                rule: 'DUPLICATE',
+                message: treatment.activeCourse
+                    ? `${treatment.name} is already being given as a course started ${since}. Record the next dose on the course instead.`
+                    : `${treatment.name} was already given on ${since}. Check this isn't a double dose.`
+            });
+            return;
+        }
+
+        const interaction = findInteraction(medicine, treatment);
+        if (interaction) {
+            add(interaction.level, {
+                key: `interaction:${ref}:${otherRef}`,
+                rule: 'INTERACTION',
+                message: `${medicine.name} with ${treatment.name} (active since ${since}): ${interaction.reason}`
+            });
+            return;
+        }
+
+        // Stacking antibiotics without a reason breeds resistance
+        if (Formulary.isAntimicrobial(medicine) && Formulary.isAntimicrobial(treatment)) {
+            warnings.push({
+                key: `antimicrobial:${otherRef}`,
+                rule: 'ANTIMICROBIAL_STACKING',
+                message: medicine.category && medicine.category === treatment.category
+                    ? `${treatment.name} is the same class of antibiotic (${treatment.category}) and is still active since ${since}. A second drug of the same class adds no benefit.`
+                    : `${treatment.name} is another antibiotic still active since ${since}. Combine antibiotics only on veterinary advice.`
+            });
+        }
+    });
+
+    // Age limits - an unknown age can't be cleared, so it becomes a warning
+    if (safety.minAge) {
+        const ageDays = Animal.getAgeInDays(animal, at);
+        if (ageDays === null) {
+            warnings.push({
+                key: `age-unknown:${ref}`,
+                rule: 'AGE',
+                message: `${safety.minAge.reason}. The date of birth isn't recorded - confirm the animal is at least ${safety.minAge.days} days old.`
+            });
+        } else if (ageDays < safety.minAge.days) {
+            add(safety.minAge.level, {
+                key: `age:${ref}`,
+                rule: 'AGE',
+                message: `${safety.minAge.reason}. This animal is ${ageDays} days old (minimum ${safety.minAge.days}).`
+            });
+        }
+    }
+
+    // Pregnancy - some drugs are only a risk early on (untilDay after conception)
+    if (safety.pregnancy && animal.pregnancy) {
+        const rule = safety.pregnancy;
+        const conceivedAt = animal.pregnancy.conceivedAt;
+
+        if (!rule.untilDay) {
+            add(rule.level, { key: `pregnancy:${ref}`, rule: 'PREGNANCY', message: `${rule.reason}. This animal is pregnant.` });
+        } else if (!conceivedAt) {
+            warnings.push({
+                key: `pregnancy-unknown:${ref}`,
+                rule: 'PREGNANCY',
+                message: `${rule.reason}. This animal is pregnant but the conception date isn't recorded - confirm it is past day ${rule.untilDay}.`
+            });
+        } else {
+            const day = Math.floor((new Date(at) - new Date(conceivedAt)) / DAY_MS);
+            if (day < rule.untilDay) {
+                add(rule.level, {
+                    key: `pregnancy:${ref}`,
+                    rule: 'PREGNANCY',
+                    message: `${rule.reason}. This animal is on day ${day} of pregnancy.`
+                });
+            }
+        }
+    } else if (safety.pregnancy && servedAt) {
+        // Served but not yet diagnosed - she may have conceived on that service
+        const rule = safety.pregnancy;
+        const day = Math.floor((new Date(at) - new Date(servedAt)) / DAY_MS);
+        if (!rule.untilDay || day < rule.untilDay) {
+            warnings.push({
+                key: `pregnancy-possible:${ref}`,
+                rule: 'PREGNANCY',
+                message: `${rule.reason}. This animal was served ${day} day(s) ago and hasn't had a pregnancy diagnosis yet - she may be pregnant.`
+            });
+        }
+    }
+
+    // Label text that can't be checked automatically, shown for information
+    if (medicine.code) {
+        if (medicine.contraindications) notes.push(`Contraindications: ${medicine.contraindications}`);
+        if (medicine.precautions) notes.push(`Precautions: ${medicine.precautions}`);
+    } else {
+        notes.push('Custom medicine - without formulary data only repeat doses can be checked.');
+    }
+
+    return { blocks, warnings, notes };
+}
+
+/**
+ * Load the animal's active treatments and run the checks
+ * @param {Object} animal
+ * @param {Object} medicine - See checkTreatmentSafety
+ * @param {Date} at
+ * @returns {Promise<Object>} - { blocks, warnings, notes }
+ */
+async function runTreatmentChecks(animal, medicine, at = new Date()) {
+    const activeTreatments = await getActiveTreatments(animal, at);
+
+    const reproduction = getReproductiveStatus(animal, await BreedingRecord.findByAnimal(animal._id), at);
+    const servedAt = reproduction && reproduction.state === 'SERVED' ? reproduction.lastService.occurredAt : null;
+
+    return checkTreatmentSafety(animal, medicine, activeTreatments, at, servedAt);
+}
+
+/**
+ * Warnings the farmer hasn't acknowledged yet
+ * @param {Array} warnings - From checkTreatmentSafety
+ * @param {Array|string} acknowledged - Warning keys sent back by the form
+ * @returns {Array}
+ */
+function findUnacknowledged(warnings, acknowledged) {
+    const keys = new Set(Array.isArray(acknowledged) ? acknowledged : (acknowledged ? [acknowledged] : []));
+    return warnings.filter(warning => !keys.has(warning.key));
+}
+
+module.exports = {
+    getActiveTreatments,
+    checkTreatmentSafety,
+    runTreatmentChecks,
+    findUnacknowledged
+};
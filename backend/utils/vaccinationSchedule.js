@@ -0,0 +1,282 @@
+// Vaccination Schedules
+// Per-species vaccination protocols and the schedule they give each animal,
+// counted from its date of birth. Vaccinations are recorded as medical logs
+// with a `vaccination` reference, so the schedule is always rebuilt from the
+// animal's history rather than stored.
+
+const Formulary = require('../models/Formulary');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// "Due this week" window for reminders
+const DUE_SOON_DAYS = 7;
+
+/**
+ * Protocols by species. Doses are given in order: the first at `atAgeDays`,
+ * later ones `afterPreviousDays` after the dose before. Once the primary doses
+ * are given, a booster is due every `boosterEveryDays` (null = none).
+ * `sex` limits a protocol to one sex - animals whose sex isn't recorded still get it.
+ * Based on the national livestock vaccination calendar; the farm vet may vary it.
+ */
+const VACCINATION_PROTOCOLS = [
+    {
+        code: 'fmd',
+        name: 'FMD',
+        disease: 'Foot and Mouth Disease',
+        species: ['cattle', 'buffalo'],
+        doses: [{ label: 'Primary', atAgeDays: 120 }, { label: 'Booster', afterPreviousDays: 30 }],
+        boosterEveryDays: 182,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'hs',
+        name: 'HS',
+        disease: 'Haemorrhagic Septicaemia',
+        species: ['cattle', 'buffalo'],
+        doses: [{ label: 'Primary', atAgeDays: 180 }],
+        boosterEveryDays: 365, // before the monsoon
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'bq',
+        name: 'BQ',
+        disease: 'Black Quarter',
+        species: ['cattle', 'buffalo'],
+        doses: [{ label: 'Primary', atAgeDays: 180 }],
+        boosterEveryDays: 365,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'brucellosis',
+        name: 'Brucella S19',
+        disease: 'Brucellosis',
+        species: ['cattle', 'buffalo'],
+        sex: 'female',
+        // Single dose for female calves at 4-8 months, protects for life
+        doses: [{ label: 'Single dose', atAgeDays: 120 }],
+        boosterEveryDays: null,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'lsd',
+        name: 'LSD',
+        disease: 'Lumpy Skin Disease',
+        species: ['cattle', 'buffalo'],
+        doses: [{ label: 'Primary', atAgeDays: 120 }],
+        boosterEveryDays: 365,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'ppr',
+        name: 'PPR',
+        disease: 'Peste des Petits Ruminants',
+        species: ['goat', 'sheep'],
+        doses: [{ label: 'Primary', atAgeDays: 90 }],
+        boosterEveryDays: 365 * 3,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'et',
+        name: 'ET',
+        disease: 'Enterotoxaemia',
+        species: ['goat', 'sheep'],
+        doses: [{ label: 'Primary', atAgeDays: 120 }, { label: 'Booster', afterPreviousDays: 21 }],
+        boosterEveryDays: 365,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'fmd-small-ruminant',
+        name: 'FMD',
+        disease: 'Foot and Mouth Disease',
+        species: ['goat', 'sheep'],
+        doses: [{ label: 'Primary', atAgeDays: 120 }, { label: 'Booster', afterPreviousDays: 30 }],
+        boosterEveryDays: 182,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'pox',
+        name: 'Goat/Sheep Pox',
+        disease: 'Goat Pox and Sheep Pox',
+        species: ['goat', 'sheep'],
+        doses: [{ label: 'Primary', atAgeDays: 90 }],
+        boosterEveryDays: 365,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'mareks',
+        name: "Marek's",
+        disease: "Marek's Disease",
+        species: ['poultry'],
+        doses: [{ label: 'Day-old', atAgeDays: 1 }],
+        boosterEveryDays: null,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'nd',
+        name: 'Ranikhet (ND)',
+        disease: 'Newcastle Disease',
+        species: ['poultry'],
+        doses: [
+            { label: 'F1 / Lasota', atAgeDays: 7 },
+            { label: 'Lasota booster', afterPreviousDays: 21 },
+            { label: 'R2B', afterPreviousDays: 28 }
+        ],
+        boosterEveryDays: 60,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'ibd',
+        name: 'Gumboro (IBD)',
+        disease: 'Infectious Bursal Disease',
+        species: ['poultry'],
+        doses: [{ label: 'Primary', atAgeDays: 14 }, { label: 'Booster', afterPreviousDays: 14 }],
+        boosterEveryDays: null,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    },
+    {
+        code: 'fowl-pox',
+        name: 'Fowl Pox',
+        disease: 'Fowl Pox',
+        species: ['poultry'],
+        doses: [{ label: 'Wing web', atAgeDays: 42 }],
+        boosterEveryDays: null,
+        withdrawalPeriod: { meat: 0, milk: 0 }
+    }
+];
+
+function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+function startOfDay(date) {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+}
+
+/**
+ * Protocols that apply to an animal
+ * @param {Object} animal - Needs species; sex is optional
+ * @returns {Array}
+ */
+function getProtocolsForAnimal(animal) {
+    const species = Formulary.normalizeSpecies(animal.species);
+    return VACCINATION_PROTOCOLS.filter(protocol =>
+        protocol.species.includes(species) && (!protocol.sex || !animal.sex || protocol.sex === animal.sex)
+    );
+}
+
+function findProtocol(code) {
+    return VACCINATION_PROTOCOLS.find(protocol => protocol.code === code) || null;
+}
+
+// Label of the nth dose (0-based) - primary doses first, then repeating boosters
+function doseLabel(protocol, index) {
+    return index < protocol.doses.length ? protocol.doses[index].label : 'Booster';
+}
+
+/**
+ * Schedule of one protocol for an animal: the doses already given and the next one due
+ * @param {Object} animal
+ * @param {Object} protocol
+ * @param {Array} vaccinationLogs - Unvoided logs of this protocol, any order
+ * @param {Date} now
+ * @returns {Object} - { protocol, given, next } where next is
+ *   { doseNumber, label, dueAt, status: OVERDUE|DUE_SOON|UPCOMING|NO_BIRTH_DATE } or null when complete
+ */
+function getProtocolSchedule(animal, protocol, vaccinationLogs, now = new Date()) {
+    const given = vaccinationLogs
+        .slice()
+        .sort((a, b) => new Date(a.administeredAt) - new Date(b.administeredAt));
+
+    const index = given.length;
+    const lastGivenAt = index > 0 ? given[index - 1].administeredAt : null;
+
+    let dueAt = null;
+    if (index < protocol.doses.length) {
+        const dose = protocol.doses[index];
+        if (dose.atAgeDays !== undefined) {
+            dueAt = animal.dateOfBirth ? addDays(animal.dateOfBirth, dose.atAgeDays) : null;
+        } else {
+            dueAt = addDays(lastGivenAt, dose.afterPreviousDays);
+        }
+    } else if (protocol.boosterEveryDays) {
+        dueAt = addDays(lastGivenAt, protocol.boosterEveryDays);
+    } else {
+        return { protocol, given, next: null };
+    }
+
+    // Without a date of birth the first dose can't be placed
+    if (!dueAt) {
+        return {
+            protocol,
+            given,
+            next: { doseNumber: index + 1, label: doseLabel(protocol, index), dueAt: null, status: 'NO_BIRTH_DATE' }
+        };
+    }
+
+    const today = startOfDay(now);
+    let status = 'UPCOMING';
+    if (dueAt < today) status = 'OVERDUE';
+    else if (dueAt < addDays(today, DUE_SOON_DAYS + 1)) status = 'DUE_SOON';
+
+    return {
+        protocol,
+        given,
+        next: { doseNumber: index + 1, label: doseLabel(protocol, index), dueAt, status }
+    };
+}
+
+/**
+ * Full vaccination schedule for an animal
+ * @param {Object} animal
+ * @param {Array} medicalLogs - The animal's logs; only unvoided vaccinations are used
+ * @param {Date} now
+ * @returns {Array} - One getProtocolSchedule result per applicable protocol
+ */
+function getVaccinationSchedule(animal, medicalLogs, now = new Date()) {
+    const vaccinations = medicalLogs.filter(log => log.vaccination && !log.voidedAt);
+
+    return getProtocolsForAnimal(animal).map(protocol => getProtocolSchedule(
+        animal,
+        protocol,
+        vaccinations.filter(log => log.vaccination.code === protocol.code),
+        now
+    ));
+}
+
+/**
+ * Overdue and due-this-week vaccinations across a herd, for dashboard reminders
+ * @param {Array} animals
+ * @param {Array} vaccinationLogs - Vaccination logs of all these animals
+ * @param {Date} now
+ * @returns {Object} - { overdue, dueSoon }; entries are { animalId, tagId, protocol, label, dueAt }
+ */
+function getHerdVaccinationReminders(animals, vaccinationLogs, now = new Date()) {
+    const overdue = [];
+    const dueSoon = [];
+
+    animals.forEach(animal => {
+        const logs = vaccinationLogs.filter(log => log.animalId.toString() === animal._id.toString());
+
+        getVaccinationSchedule(animal, logs, now).forEach(({ protocol, next }) => {
+            if (!next || (next.status !== 'OVERDUE' && next.status !== 'DUE_SOON')) return;
+
+            const reminder = { animalId: animal._id, tagId: animal.tagId, protocol, label: next.label, dueAt: next.dueAt };
+            (next.status === 'OVERDUE' ? overdue : dueSoon).push(reminder);
+        });
+    });
+
+    const byDueDate = (a, b) => a.dueAt - b.dueAt;
+    return { overdue: overdue.sort(byDueDate), dueSoon: dueSoon.sort(byDueDate) };
+}
+
+module.exports = {
+    VACCINATION_PROTOCOLS,
+    DUE_SOON_DAYS,
+    getProtocolsForAnimal,
+    findProtocol,
+    getProtocolSchedule,
+    getVaccinationSchedule,
+    getHerdVaccinationReminders
+};
@@ -0,0 +1,64 @@
+// Withdrawal Expiry Scheduler
+// Releases expired withdrawal locks on a fixed interval instead of on every request
+
+const Animal = require('../models/Animal');
+const { emitAnimalUnlocked } = require('./animalEvents');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one expiry pass
+ * @returns {Promise<number>} - Number of animals unlocked
+ */
+async function runWithdrawalExpiry() {
+    // Skip a tick if the previous pass is still going
+    if (running) return 0;
+    running = true;
+
+    try {
+        const unlocked = await Animal.checkAndUnlockExpired();
+
+        unlocked.forEach(animal => emitAnimalUnlocked(animal, 'scheduler'));
+
+        if (unlocked.length > 0) {
+            console.log(`✅ Auto-unlocked ${unlocked.length} animal(s) with expired withdrawal periods`);
+        }
+
+        return unlocked.length;
+    } catch (error) {
+        console.error('Withdrawal expiry job error:', error);
+        return 0;
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the scheduler - runs once immediately, then every intervalMinutes
+ * @param {number} intervalMinutes - Defaults to WITHDRAWAL_CHECK_INTERVAL_MINUTES or 5
+ */
+function startWithdrawalScheduler(intervalMinutes = parseFloat(process.env.WITHDRAWAL_CHECK_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES) {
+    if (timer) return;
+
+    runWithdrawalExpiry();
+    timer = setInterval(runWithdrawalExpiry, intervalMinutes * 60 * 1000);
+    timer.unref(); // Never keep the process alive on its own
+
+    console.log(`⏱️ Withdrawal expiry scheduler running every ${intervalMinutes} minute(s)`);
+}
+
+function stopWithdrawalScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runWithdrawalExpiry,
+    startWithdrawalScheduler,
+    stopWithdrawalScheduler
+};
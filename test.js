@@ -118,6 +118,68 @@ try {
     process.exit(1);
 }
 
+// Test 6: Antimicrobial usage dose estimates
+console.log('Test 6: Checking AMU dose estimates...');
+try {
+    const { estimateDoseMg } = require('./backend/utils/amuReport');
+    const medicine = {
+        dosage: { concentration: { value: 100, unit: 'mg/ml' }, amount: 10, doseUnit: 'mg', perWeightKg: 1 }
+    };
+
+    assert.deepStrictEqual(estimateDoseMg({ dosage: '20 mg/kg' }, medicine, 400), { mg: 8000, source: 'DOSAGE' });
+    assert.deepStrictEqual(estimateDoseMg({ dosage: '20 mg per kg' }, medicine, 400), { mg: 8000, source: 'DOSAGE' });
+    assert.deepStrictEqual(estimateDoseMg({ dosage: '1 ml per 10 kg' }, medicine, 400), { mg: 4000, source: 'DOSAGE' });
+    assert.deepStrictEqual(estimateDoseMg({ dosage: '5 ml' }, medicine, 400), { mg: 500, source: 'DOSAGE' });
+    assert.deepStrictEqual(estimateDoseMg({ dosage: '1.5 g' }, medicine, 400), { mg: 1500, source: 'DOSAGE' });
+    // A per-kg dose without a weight is never taken as a flat dose
+    assert.strictEqual(estimateDoseMg({ dosage: '20 mg/kg' }, medicine, null), null);
+
+    console.log('✅ AMU dose estimates are correct\n');
+} catch (error) {
+    console.error('❌ AMU dose estimate check failed:', error.message);
+    process.exit(1);
+}
+
+// Test 7: Least-cost rations and group splits
+console.log('Test 7: Checking ration formulation...');
+try {
+    const { formulateRation } = require('./backend/utils/ration');
+    const { splitAmount } = require('./backend/utils/herdGroups');
+    const feed = (name, category, dryMatter, crudeProtein, energy, costPerKg) => ({
+        item: { _id: name, name, category, nutrients: { dryMatter, crudeProtein, energy } },
+        costPerKg
+    });
+    const requirements = { dryMatter: 1.28, minDryMatter: 1.22, maxDryMatter: 1.34, crudeProtein: 197, energy: 16.05 };
+    const feeds = [
+        feed('Green fodder', 'GREEN_FODDER', 90, 12, 11, 8),
+        feed('Silage', 'SILAGE', 59, 9, 13, 37),
+        feed('Oilseed cake', 'OILSEED_CAKE', 81, 39, 12, 13)
+    ];
+
+    // Rounding each amount up to 10 g must not take dry matter over the intake limit
+    const ration = formulateRation(requirements, feeds);
+    assert.ok(!ration.error, ration.error);
+    assert.ok(ration.supplied.dryMatter >= requirements.minDryMatter && ration.supplied.dryMatter <= requirements.maxDryMatter);
+    assert.ok(ration.supplied.crudeProtein >= requirements.crudeProtein);
+    assert.ok(ration.supplied.energy >= requirements.energy);
+    assert.ok(ration.supplied.roughageShare >= 40);
+
+    // Straw alone can't reach the energy within the intake limit
+    assert.deepStrictEqual(formulateRation(requirements, [feed('Straw', 'DRY_FODDER', 90, 3, 6, 2)]), {
+        error: 'The feeds in store are too low in energy for this animal - add a grain or concentrate'
+    });
+
+    // Hundredths lost to rounding go to the largest remainders
+    assert.deepStrictEqual(splitAmount(10, [1, 1, 1]), [3.34, 3.33, 3.33]);
+    const byWeight = splitAmount(12.5, [310, 452, 287, 395]);
+    assert.strictEqual(Math.round(byWeight.reduce((sum, part) => sum + part, 0) * 100), 1250);
+
+    console.log('✅ Rations meet requirements and group splits add up\n');
+} catch (error) {
+    console.error('❌ Ration formulation check failed:', error.message);
+    process.exit(1);
+}
+
 console.log('═══════════════════════════════════════');
 console.log('🎉 All tests passed!');
 console.log('═══════════════════════════════════════');